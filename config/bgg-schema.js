@@ -0,0 +1,36 @@
+/**
+ * BoardGameGeek CSV Schema
+ * Declarative mapping of boardgames_ranks.csv columns to board_games fields.
+ * Drives row parsing, change detection and indexes.
+ *
+ * Each entry:
+ *   column    - CSV header name
+ *   field     - Target field, dotted paths create nested objects
+ *   type      - 'integer' | 'float' | 'string' | 'boolean' | 'date'
+ *   required  - Reject the row if the value is missing or invalid
+ *   transform - Optional function applied to the parsed value; returning nothing marks it invalid
+ *   index     - Optional index options (true for a plain ascending index)
+ */
+
+const bggConfig = require('./bgg-config');
+
+const subdomainFields = Object.entries(bggConfig.processing.subdomainRanks).map(([subdomain, column]) => ({
+  column,
+  field: `subdomain_ranks.${subdomain}`,
+  type: 'integer',
+  index: { sparse: true, name: `subdomain_rank_${subdomain}_asc` }
+}));
+
+module.exports = [
+  { column: 'id', field: 'id', type: 'integer', required: true, index: { unique: true } },
+  { column: 'name', field: 'name', type: 'string', required: true, index: { collated: true } },
+  { column: 'yearpublished', field: 'year_published', type: 'integer' },
+  { column: 'rank', field: 'rank', type: 'integer', index: true },
+  { column: 'bayesaverage', field: 'bayes_average', type: 'float' },
+  { column: 'average', field: 'average', type: 'float' },
+  { column: 'usersrated', field: 'users_rated', type: 'integer' },
+  { column: 'is_expansion', field: 'is_expansion', type: 'boolean' },
+  // Kept at the top level for existing readers, also stored as subdomain_ranks.abstracts
+  { column: 'abstracts_rank', field: 'abstracts_rank', type: 'integer' },
+  ...subdomainFields
+];
@@ -0,0 +1,40 @@
+/**
+ * Currency Configuration
+ * Base currency of price aggregations and the exchange rates used to convert to it
+ */
+
+const bggConfig = require('./bgg-config');
+
+module.exports = {
+  // Currency every aggregated price (e.g. price_stats) is converted to
+  baseCurrency: (process.env.BASE_CURRENCY || 'EUR').toUpperCase(),
+
+  rates: {
+    // Local rates file in the ECB format: a Date column, then one column per currency
+    // with the units of it per 1 `base`, e.g. eurofxref-hist.csv of
+    // https://www.ecb.europa.eu/stats/eurofxref/eurofxref-hist.zip
+    file: process.env.EXCHANGE_RATES_FILE || './data/eurofxref-hist.csv',
+    base: (process.env.EXCHANGE_RATES_BASE || 'EUR').toUpperCase(),
+
+    // Optional download of the rates file (CSV or an archive of it) by the exchange_rates_fetch job;
+    // without it the job loads the local file
+    url: process.env.EXCHANGE_RATES_URL || null,
+
+    // Rates are published on working days; a date without one uses the latest
+    // earlier rate up to this many days back
+    maxAgeDays: parseInt(process.env.EXCHANGE_RATES_MAX_AGE_DAYS) || 7,
+
+    // Dates written per bulk write when loading a file
+    batchSize: 500
+  },
+
+  // Download retry, resume and timeout settings
+  download: bggConfig.download,
+
+  // Limits for downloaded archives
+  extraction: bggConfig.extraction,
+
+  collections: {
+    rates: 'exchange_rates'
+  }
+};
@@ -0,0 +1,87 @@
+/**
+ * Job Configuration
+ * Jobs registered with the JobRunner by the main worker, keyed by job name.
+ * `type` selects the implementation in src/jobs/index.js, `options` are passed to it.
+ * `retry` ({ maxAttempts, backoffMs, maxBackoffMs }) and `catchUp` are applied by the JobRunner.
+ */
+
+const bggConfig = require('./bgg-config');
+const listingsConfig = require('./listings-config');
+const currencyConfig = require('./currency-config');
+
+/**
+ * Read an "true"/"false" environment flag, falling back when unset
+ */
+function envFlag(name, fallback) {
+  const value = process.env[name];
+  return value === undefined || value === '' ? fallback : value === 'true';
+}
+
+module.exports = {
+  // Run every enabled job once at startup
+  runOnStart: envFlag('RUN_IMMEDIATELY', false),
+
+  // Lease lock in job_locks so a job runs on one worker instance at a time
+  lock: {
+    ttlMs: parseInt(process.env.JOB_LOCK_TTL_MS) || 10 * 60 * 1000,
+    heartbeatMs: parseInt(process.env.JOB_LOCK_HEARTBEAT_MS) || 60 * 1000
+  },
+
+  jobs: {
+    // Generic archive download from DATA_SOURCE_URL
+    data_fetch: {
+      type: 'data_fetch',
+      enabled: envFlag('DATA_FETCH_ENABLED', !!process.env.DATA_SOURCE_URL),
+      schedule: process.env.CRON_SCHEDULE || '0 */6 * * *', // Every 6 hours
+      timezone: 'UTC',
+      retry: { maxAttempts: 3, backoffMs: 60 * 1000, maxBackoffMs: 10 * 60 * 1000 },
+      catchUp: envFlag('CATCH_UP_MISSED_RUNS', true),
+      options: {
+        url: process.env.DATA_SOURCE_URL,
+        dataDir: './data',
+        extraction: {
+          maxUncompressedBytes: parseInt(process.env.EXTRACT_MAX_BYTES) || undefined,
+          maxEntries: parseInt(process.env.EXTRACT_MAX_ENTRIES) || undefined
+        }
+      }
+    },
+
+    // BGG ranks dump download and import
+    bgg_data_fetch: {
+      type: 'bgg_data',
+      enabled: envFlag('BGG_JOB_ENABLED', !!(bggConfig.dataSource.url || bggConfig.dataSource.dumpsPage.sessionCookie)),
+      schedule: process.env.BGG_CRON_SCHEDULE || bggConfig.schedule.cron,
+      timezone: bggConfig.schedule.timezone,
+      // Signed S3 links and the dumps page fail transiently, retry well before the next daily run
+      retry: {
+        maxAttempts: parseInt(process.env.BGG_RETRY_ATTEMPTS) || 4,
+        backoffMs: 5 * 60 * 1000,
+        maxBackoffMs: 60 * 60 * 1000
+      },
+      catchUp: envFlag('CATCH_UP_MISSED_RUNS', true),
+      options: {}
+    },
+
+    // Marketplace listings export download and import
+    listings_fetch: {
+      type: 'listings',
+      enabled: envFlag('LISTINGS_JOB_ENABLED', !!listingsConfig.source.url),
+      schedule: process.env.LISTINGS_CRON_SCHEDULE || '0 */4 * * *', // Every 4 hours
+      timezone: 'UTC',
+      retry: { maxAttempts: 3, backoffMs: 5 * 60 * 1000, maxBackoffMs: 30 * 60 * 1000 },
+      catchUp: envFlag('CATCH_UP_MISSED_RUNS', true),
+      options: {}
+    },
+
+    // Exchange rates from EXCHANGE_RATES_URL, or the local EXCHANGE_RATES_FILE when unset
+    exchange_rates_fetch: {
+      type: 'exchange_rates',
+      enabled: envFlag('EXCHANGE_RATES_JOB_ENABLED', !!currencyConfig.rates.url),
+      schedule: process.env.EXCHANGE_RATES_CRON_SCHEDULE || '30 16 * * 1-5', // After the ECB publishes, on working days
+      timezone: 'Europe/Berlin',
+      retry: { maxAttempts: 3, backoffMs: 15 * 60 * 1000, maxBackoffMs: 60 * 60 * 1000 },
+      catchUp: envFlag('CATCH_UP_MISSED_RUNS', true),
+      options: {}
+    }
+  }
+};
@@ -0,0 +1,55 @@
+/**
+ * Marketplace Listings Configuration
+ * Configuration for importing marketplace offers into the listings collection
+ */
+
+const bggConfig = require('./bgg-config');
+
+module.exports = {
+  // Export of marketplace offers: a CSV or JSON (array or JSON Lines) file, or an archive of them
+  source: {
+    url: process.env.LISTINGS_URL || null,
+    // Marketplace name stored on listings whose rows have no source column
+    name: process.env.LISTINGS_SOURCE || 'marketplace',
+    headers: {
+      'User-Agent': 'BG-Market-Worker/1.0'
+    }
+  },
+
+  // Download retry, resume and timeout settings
+  download: bggConfig.download,
+
+  // Limits for downloaded archives
+  extraction: bggConfig.extraction,
+
+  processing: {
+    // Data files extracted from archives; without expectedFiles the first one is imported
+    fileExtensions: ['.csv', '.json', '.jsonl', '.ndjson'],
+    expectedFiles: [],
+
+    // Rows linked and written per chunk
+    chunkSize: 1000,
+
+    // Titles are linked to board_games by fuzzy name search when a row has no known game id.
+    // minScore is the name match score to accept (100 exact, 80-90 prefix, 30-70 token matches;
+    // 50 accepts a one-letter typo in a single-word title).
+    matching: {
+      minScore: parseInt(process.env.LISTINGS_MIN_MATCH_SCORE) || 50
+    },
+
+    collections: {
+      listings: 'listings',
+      priceStats: 'price_stats',
+      games: bggConfig.processing.collections.games,
+      search: bggConfig.processing.collections.search
+    }
+  },
+
+  // Price statistics per game, recomputed after each import (see src/pricing/priceStats.js)
+  stats: {
+    windowsDays: [30, 90, 365],
+    // Games without new listings are recomputed once their stats are this old, so windows move on
+    staleAfterHours: parseInt(process.env.PRICE_STATS_STALE_HOURS) || 24,
+    batchSize: 200
+  }
+};
@@ -0,0 +1,49 @@
+/**
+ * Marketplace Listings Schema
+ * Mapping of listing export columns (CSV headers or JSON keys) to listings fields,
+ * in the format of config/bgg-schema.js.
+ *
+ * A row needs a game_id or a title to be linked to a game.
+ */
+
+// Marketplace condition grades mapped to the grades stored on listings
+const CONDITIONS = {
+  new: ['new', 'sealed', 'new in shrink', 'nib', 'mint in shrink'],
+  like_new: ['like new', 'like_new', 'mint', 'near mint', 'nm', 'unpunched'],
+  very_good: ['very good', 'very_good', 'vg', 'excellent'],
+  good: ['good', 'used', 'played'],
+  acceptable: ['acceptable', 'fair', 'worn'],
+  poor: ['poor', 'damaged', 'incomplete']
+};
+
+const CONDITION_LOOKUP = new Map(Object.entries(CONDITIONS).flatMap(([grade, names]) => names.map(name => [name, grade])));
+
+/**
+ * Map a marketplace condition to a grade, 'unknown' if it is not recognized
+ */
+function normalizeCondition(value) {
+  return CONDITION_LOOKUP.get(value.toLowerCase().replace(/[-\s]+/g, ' ').trim()) || 'unknown';
+}
+
+/**
+ * ISO 4217 code, e.g. "eur" -> "EUR"
+ */
+function normalizeCurrency(value) {
+  const code = value.toUpperCase();
+  return /^[A-Z]{3}$/.test(code) ? code : undefined;
+}
+
+module.exports = [
+  { column: 'listing_id', field: 'listing_id', type: 'string' },
+  { column: 'source', field: 'source', type: 'string' },
+  { column: 'game_id', field: 'listed_game_id', type: 'integer' },
+  { column: 'title', field: 'title', type: 'string' },
+  { column: 'year', field: 'year_published', type: 'integer' },
+  { column: 'seller', field: 'seller', type: 'string', required: true },
+  { column: 'condition', field: 'condition', type: 'string', transform: normalizeCondition },
+  { column: 'price', field: 'price', type: 'float', required: true, transform: value => (value >= 0 ? value : undefined) },
+  { column: 'currency', field: 'currency', type: 'string', required: true, transform: normalizeCurrency },
+  { column: 'location', field: 'location', type: 'string' },
+  { column: 'url', field: 'url', type: 'string' },
+  { column: 'observed_at', field: 'observed_at', type: 'date' }
+];
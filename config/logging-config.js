@@ -0,0 +1,27 @@
+/**
+ * Logging Configuration
+ * Settings of the shared logger in src/utils/logger.js
+ */
+
+module.exports = {
+  // debug, info, warn or error
+  level: process.env.LOG_LEVEL || 'info',
+
+  // 'pretty' for humans, 'json' (one object per line) for log shippers
+  format: process.env.LOG_FORMAT || 'pretty',
+
+  file: {
+    // Empty LOG_FILE disables the log file
+    path: process.env.LOG_FILE !== undefined ? process.env.LOG_FILE : './data/worker.log',
+    // Rotate once the file would grow past this size
+    maxBytes: parseInt(process.env.LOG_FILE_MAX_BYTES) || 10 * 1024 * 1024,
+    // Rotated files kept next to the live one (worker.log.1 ... worker.log.N);
+    // 0 truncates the file on rotation without keeping any
+    maxFiles: parseMaxFiles(process.env.LOG_FILE_MAX_FILES)
+  }
+};
+
+function parseMaxFiles(value) {
+  const maxFiles = parseInt(value);
+  return Number.isNaN(maxFiles) || maxFiles < 0 ? 5 : maxFiles;
+}
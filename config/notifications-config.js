@@ -0,0 +1,76 @@
+/**
+ * Notification Configuration
+ * Sinks the Notifier in src/notifications sends job events to, and which events each receives.
+ *
+ * Event types:
+ *   job_failed     - A job run failed (by default only once its retries are used up)
+ *   job_recovered  - A job run succeeded after the job had failed
+ *   import_summary - An import finished, with its new and updated game counts
+ */
+
+const EVENT_TYPES = ['job_failed', 'job_recovered', 'import_summary'];
+
+/**
+ * Read an "true"/"false" environment flag, falling back when unset
+ */
+function envFlag(name, fallback) {
+  const value = process.env[name];
+  return value === undefined || value === '' ? fallback : value === 'true';
+}
+
+/**
+ * Read a comma separated environment list, falling back when unset
+ */
+function envList(name, fallback) {
+  const value = process.env[name];
+  return value === undefined || value === '' ? fallback : value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+module.exports = {
+  eventTypes: EVENT_TYPES,
+
+  events: {
+    job_failed: {
+      // Also notify failed attempts that will be retried
+      includeRetries: envFlag('NOTIFY_FAILED_INCLUDE_RETRIES', false)
+    },
+    import_summary: {
+      // Skip imports that added and changed nothing
+      onlyWithChanges: envFlag('NOTIFY_IMPORT_ONLY_WITH_CHANGES', true),
+      // New games listed in the summary
+      sampleSize: 10
+    }
+  },
+
+  sinks: [
+    // Generic JSON webhook, signed with HMAC-SHA256 when a secret is set
+    {
+      name: 'webhook',
+      type: 'webhook',
+      enabled: !!process.env.NOTIFY_WEBHOOK_URL,
+      url: process.env.NOTIFY_WEBHOOK_URL,
+      secret: process.env.NOTIFY_WEBHOOK_SECRET || null,
+      // 'json' posts the event itself, 'slack' a Slack-compatible message
+      format: process.env.NOTIFY_WEBHOOK_FORMAT || 'json',
+      events: envList('NOTIFY_WEBHOOK_EVENTS', EVENT_TYPES),
+      retries: parseInt(process.env.NOTIFY_WEBHOOK_RETRIES) || 3,
+      backoffMs: 1000,
+      maxBackoffMs: 30000,
+      timeoutMs: 10000
+    },
+
+    // Slack (or Mattermost, Rocket.Chat...) incoming webhook
+    {
+      name: 'slack',
+      type: 'webhook',
+      enabled: !!process.env.NOTIFY_SLACK_WEBHOOK_URL,
+      url: process.env.NOTIFY_SLACK_WEBHOOK_URL,
+      format: 'slack',
+      events: envList('NOTIFY_SLACK_EVENTS', EVENT_TYPES),
+      retries: 3,
+      backoffMs: 1000,
+      maxBackoffMs: 30000,
+      timeoutMs: 10000
+    }
+  ]
+};
@@ -7,6 +7,9 @@
 
 const Database = require('../src/utils/database');
 const bggConfig = require('../config/bgg-config');
+const { logger } = require('../src/utils/logger');
+
+const log = logger.child({ component: 'add-timestamps' });
 
 class TimestampAdder {
   constructor() {
@@ -15,23 +18,23 @@ class TimestampAdder {
 
   async initialize() {
     try {
-      console.log('🕒 Initializing Timestamp Adder...');
-      console.log(`📡 Database: ${bggConfig.database.uri}/${bggConfig.database.name}`);
+      log.info('🕒 Initializing Timestamp Adder...');
+      log.info(`📡 Database: ${bggConfig.database.uri}/${bggConfig.database.name}`);
 
       this.database.connectionString = bggConfig.database.uri;
       this.database.databaseName = bggConfig.database.name;
       
       await this.database.connect();
-      console.log('✅ Timestamp Adder initialized successfully');
+      log.info('✅ Timestamp Adder initialized successfully');
     } catch (error) {
-      console.error('❌ Failed to initialize Timestamp Adder:', error);
+      log.error('❌ Failed to initialize Timestamp Adder', { error });
       process.exit(1);
     }
   }
 
   async addTimestamps() {
     try {
-      console.log('\n🚀 === Starting timestamp addition process ===');
+      log.info('🚀 === Starting timestamp addition process ===');
 
       const gamesCollection = this.database.getCollection(bggConfig.processing.collections.games);
       const searchCollection = this.database.getCollection(bggConfig.processing.collections.search);
@@ -40,12 +43,12 @@ class TimestampAdder {
       const gamesCount = await gamesCollection.countDocuments();
       const searchCount = await searchCollection.countDocuments();
       
-      console.log(`\n📋 Current data counts:`);
-      console.log(`   🎲 Board games: ${gamesCount.toLocaleString()}`);
-      console.log(`   🔎 Search entries: ${searchCount.toLocaleString()}`);
+      log.info(`📋 Current data counts:`);
+      log.info(`🎲 Board games: ${gamesCount.toLocaleString()}`);
+      log.info(`🔎 Search entries: ${searchCount.toLocaleString()}`);
 
       if (gamesCount === 0 && searchCount === 0) {
-        console.log('❌ No data found to update!');
+        log.info('❌ No data found to update!');
         return;
       }
 
@@ -55,30 +58,30 @@ class TimestampAdder {
 
       // Step 1: Update board_games collection
       if (gamesCount > 0) {
-        console.log('\n🎲 Step 1: Adding timestamps to board_games collection...');
+        log.info('🎲 Step 1: Adding timestamps to board_games collection...');
         await this.addTimestampsToCollection(gamesCollection, 'board_games', currentTimestamp);
       }
 
       // Step 2: Update games_search collection
       if (searchCount > 0) {
-        console.log('\n🔍 Step 2: Adding timestamps to games_search collection...');
+        log.info('🔍 Step 2: Adding timestamps to games_search collection...');
         await this.addTimestampsToCollection(searchCollection, 'games_search', currentTimestamp);
       }
 
-      console.log('\n✅ === Timestamp addition completed successfully ===');
+      log.info('✅ === Timestamp addition completed successfully ===');
       
       // Show sample of updated data
       await this.showSampleWithTimestamps();
 
     } catch (error) {
-      console.error('\n❌ Timestamp addition failed:', error.message);
+      log.error('❌ Timestamp addition failed', { error });
       throw error;
     }
   }
 
   async addTimestampsToCollection(collection, collectionName, timestamp) {
     try {
-      console.log(`   ⏰ Adding timestamps to ${collectionName}...`);
+      log.info(`⏰ Adding timestamps to ${collectionName}...`);
       
       // Count documents that need updating (don't have timestamps)
       const documentsWithoutTimestamps = await collection.countDocuments({
@@ -88,10 +91,10 @@ class TimestampAdder {
         ]
       });
 
-      console.log(`   📊 Documents needing timestamps: ${documentsWithoutTimestamps.toLocaleString()}`);
+      log.info(`📊 Documents needing timestamps: ${documentsWithoutTimestamps.toLocaleString()}`);
 
       if (documentsWithoutTimestamps === 0) {
-        console.log(`   ✅ All documents in ${collectionName} already have timestamps`);
+        log.info(`✅ All documents in ${collectionName} already have timestamps`);
         return;
       }
 
@@ -111,57 +114,57 @@ class TimestampAdder {
         }
       );
 
-      console.log(`   ✅ ${collectionName} updated successfully!`);
-      console.log(`   📊 Documents modified: ${updateResult.modifiedCount.toLocaleString()}`);
-      console.log(`   📊 Documents matched: ${updateResult.matchedCount.toLocaleString()}`);
+      log.info(`✅ ${collectionName} updated successfully!`);
+      log.info(`📊 Documents modified: ${updateResult.modifiedCount.toLocaleString()}`);
+      log.info(`📊 Documents matched: ${updateResult.matchedCount.toLocaleString()}`);
 
     } catch (error) {
-      console.error(`   ❌ Failed to add timestamps to ${collectionName}:`, error.message);
+      log.error(`❌ Failed to add timestamps to ${collectionName}`, { error });
       throw error;
     }
   }
 
   async showSampleWithTimestamps() {
     try {
-      console.log('\n📊 === Sample Data with Timestamps ===');
+      log.info('📊 === Sample Data with Timestamps ===');
 
       const gamesCollection = this.database.getCollection(bggConfig.processing.collections.games);
       
-      console.log('\n🎲 Sample board_games with timestamps:');
+      log.info('🎲 Sample board_games with timestamps:');
       const sampleGames = await gamesCollection.find({})
         .limit(3)
         .toArray();
 
       sampleGames.forEach((game, index) => {
-        console.log(`   ${index + 1}. ${game.name}`);
-        console.log(`      📅 Created: ${game.date_created ? game.date_created.toISOString() : 'N/A'}`);
-        console.log(`      🔄 Updated: ${game.date_updated ? game.date_updated.toISOString() : 'N/A'}`);
-        console.log(`      🏆 Rank: ${game.rank || 'N/A'}`);
-        console.log('');
+        log.info(`${index + 1}. ${game.name}`, {
+          created: game.date_created ? game.date_created.toISOString() : 'N/A',
+          updated: game.date_updated ? game.date_updated.toISOString() : 'N/A',
+          rank: game.rank || 'N/A'
+        });
       });
 
       const searchCollection = this.database.getCollection(bggConfig.processing.collections.search);
       
-      console.log('🔍 Sample games_search with timestamps:');
+      log.info('🔍 Sample games_search with timestamps:');
       const sampleSearch = await searchCollection.find({})
         .limit(3)
         .toArray();
 
       sampleSearch.forEach((entry, index) => {
-        console.log(`   ${index + 1}. ${entry.name} (ID: ${entry.id})`);
-        console.log(`      📅 Created: ${entry.date_created ? entry.date_created.toISOString() : 'N/A'}`);
-        console.log(`      🔄 Updated: ${entry.date_updated ? entry.date_updated.toISOString() : 'N/A'}`);
-        console.log('');
+        log.info(`${index + 1}. ${entry.name} (ID: ${entry.id})`, {
+          created: entry.date_created ? entry.date_created.toISOString() : 'N/A',
+          updated: entry.date_updated ? entry.date_updated.toISOString() : 'N/A'
+        });
       });
 
     } catch (error) {
-      console.error('Error showing sample data:', error);
+      log.error('Error showing sample data', { error });
     }
   }
 
   async createIndexes() {
     try {
-      console.log('\n📊 Creating indexes for timestamp fields...');
+      log.info('📊 Creating indexes for timestamp fields...');
       
       const gamesCollection = this.database.getCollection(bggConfig.processing.collections.games);
       const searchCollection = this.database.getCollection(bggConfig.processing.collections.search);
@@ -173,16 +176,16 @@ class TimestampAdder {
       await searchCollection.createIndex({ date_created: 1 }, { name: 'date_created_asc' });
       await searchCollection.createIndex({ date_updated: 1 }, { name: 'date_updated_asc' });
 
-      console.log('✅ Timestamp indexes created successfully');
+      log.info('✅ Timestamp indexes created successfully');
       
     } catch (error) {
-      console.error('❌ Failed to create timestamp indexes:', error);
+      log.error('❌ Failed to create timestamp indexes', { error });
     }
   }
 
   async disconnect() {
     await this.database.disconnect();
-    console.log('\n👋 Disconnected from database');
+    log.info('👋 Disconnected from database');
   }
 }
 
@@ -194,14 +197,14 @@ async function main() {
     await adder.addTimestamps();
     await adder.createIndexes();
     
-    console.log('\n🎉 Timestamp addition completed successfully!');
-    console.log('\n💡 All your documents now have date_created and date_updated fields');
-    console.log('   Query examples:');
-    console.log('   mongo bg_market --eval "db.board_games.find({}, {name:1, date_created:1, date_updated:1}).limit(3).pretty()"');
-    console.log('   mongo bg_market --eval "db.games_search.find({}, {name:1, date_created:1, date_updated:1}).limit(3).pretty()"');
+    log.info('🎉 Timestamp addition completed successfully!');
+    log.info('💡 All your documents now have date_created and date_updated fields');
+    log.info('Query examples:');
+    log.info('mongo bg_market --eval "db.board_games.find({}, {name:1, date_created:1, date_updated:1}).limit(3).pretty()"');
+    log.info('mongo bg_market --eval "db.games_search.find({}, {name:1, date_created:1, date_updated:1}).limit(3).pretty()"');
     
   } catch (error) {
-    console.error('\n💥 Timestamp addition failed:', error.message);
+    log.error('💥 Timestamp addition failed', { error });
     process.exit(1);
   } finally {
     await adder.disconnect();
@@ -210,7 +213,7 @@ async function main() {
 
 // Handle graceful shutdown
 process.on('SIGINT', async () => {
-  console.log('\n🛑 Shutting down...');
+  log.info('🛑 Shutting down...');
   process.exit(0);
 });
 
@@ -8,8 +8,13 @@
 const Database = require('../src/utils/database');
 const FileExtractor = require('../src/utils/fileExtractor');
 const BGGDataProcessor = require('../src/processors/bggDataProcessor');
+const RunTimeline = require('../src/utils/runTimeline');
 const bggConfig = require('../config/bgg-config');
 const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('../src/utils/logger');
+
+const log = logger.child({ component: 'bgg-data-worker' });
 
 class SimpleBGGWorker {
   constructor() {
@@ -19,8 +24,8 @@ class SimpleBGGWorker {
 
   async initialize() {
     try {
-      console.log('🎲 Starting Simple BGG Worker...');
-      console.log(`📡 Database: ${bggConfig.database.uri}/${bggConfig.database.name}`);
+      log.info('🎲 Starting Simple BGG Worker...');
+      log.info(`📡 Database: ${bggConfig.database.uri}/${bggConfig.database.name}`);
 
       this.database.connectionString = bggConfig.database.uri;
       this.database.databaseName = bggConfig.database.name;
@@ -28,47 +33,75 @@ class SimpleBGGWorker {
       await this.database.connect();
       this.processor = new BGGDataProcessor(this.database, bggConfig);
 
-      console.log('✅ Simple BGG Worker initialized successfully');
+      log.info('✅ Simple BGG Worker initialized successfully');
     } catch (error) {
-      console.error('❌ Failed to initialize BGG worker:', error);
+      log.error('❌ Failed to initialize BGG worker', { error });
       process.exit(1);
     }
   }
 
   async processAllData() {
+    const runId = crypto.randomUUID();
+    const timeline = new RunTimeline();
+    const startedAt = new Date();
+
     try {
-      console.log('\n🚀 === Starting BGG data processing ===');
+      log.info('🚀 === Starting BGG data processing ===');
 
       const csvPath = path.join('data', 'boardgames_ranks.csv');
 
-      console.log(`📄 Using local file: ${csvPath}`);
-      console.log('\n🔄 Step 1: Processing CSV data...');
+      log.info(`📄 Using local file: ${csvPath}`);
+      log.info('🔄 Step 1: Processing CSV data...');
 
-      const recordCount = await this.processor.processCsvFile(csvPath);
+      const result = await this.processor.processCsvFile(csvPath, { timeline });
 
-      console.log('\n📝 Step 2: Updating metadata...');
+      log.info('📝 Step 2: Logging execution...');
 
-      await this.processor.updateMetadata('boardgames_ranks.csv', recordCount);
+      const finishedAt = new Date();
       await this.database.logJobExecution({
+        runId,
         jobType: 'bgg_data_fetch',
         status: 'success',
+        trigger: 'manual',
         csvPath,
-        recordCount,
-        executionTime: new Date()
+        totalProcessed: result.totalProcessed,
+        newGamesCount: result.newGamesCount,
+        updatedGamesCount: result.updatedGamesCount,
+        unchangedCount: result.unchangedCount,
+        totals: {
+          rows: result.validationReport.rowsTotal,
+          rejected: result.validationReport.rowsRejected,
+          new: result.newGamesCount,
+          updated: result.updatedGamesCount,
+          unchanged: result.unchangedCount
+        },
+        steps: timeline.toJSON(),
+        startedAt,
+        finishedAt,
+        durationMs: finishedAt - startedAt,
+        executionTime: finishedAt
       });
 
-      console.log('\n✅ === BGG data processing completed successfully ===');
+      log.info('✅ === BGG data processing completed successfully ===');
 
       await this.showStats();
       return csvPath;
     } catch (error) {
-      console.error('\n❌ BGG data processing failed:', error.message);
+      log.error('❌ BGG data processing failed', { error });
 
+      const finishedAt = new Date();
+      timeline.fail(error);
       await this.database.logJobExecution({
+        runId,
         jobType: 'bgg_data_fetch',
         status: 'error',
+        trigger: 'manual',
         error: error.message,
-        executionTime: new Date()
+        steps: timeline.toJSON(),
+        startedAt,
+        finishedAt,
+        durationMs: finishedAt - startedAt,
+        executionTime: finishedAt
       });
 
       throw error;
@@ -77,23 +110,23 @@ class SimpleBGGWorker {
 
   async showStats() {
     try {
-      console.log('\n📊 === Final Statistics ===');
+      log.info('📊 === Final Statistics ===');
 
       const gamesCollection = this.database.getCollection(bggConfig.processing.collections.games);
       const searchCollection = this.database.getCollection(bggConfig.processing.collections.search);
       const gamesCount = await gamesCollection.countDocuments();
       const searchCount = await searchCollection.countDocuments();
 
-      console.log(`🎲 Total games in database: ${gamesCount.toLocaleString()}`);
-      console.log(`🔎 Total search entries: ${searchCount.toLocaleString()}`);
+      log.info(`🎲 Total games in database: ${gamesCount.toLocaleString()}`);
+      log.info(`🔎 Total search entries: ${searchCount.toLocaleString()}`);
     } catch (error) {
-      console.error('Error showing stats:', error);
+      log.error('Error showing stats', { error });
     }
   }
 
   async disconnect() {
     await this.database.disconnect();
-    console.log('\n👋 Disconnected from database');
+    log.info('👋 Disconnected from database');
   }
 }
 
@@ -103,9 +136,9 @@ async function main() {
     await worker.initialize();
     await worker.processAllData();
     await worker.disconnect();
-    console.log('\n🎉 All done! Your BGG data is now in MongoDB.');
+    log.info('🎉 All done! Your BGG data is now in MongoDB.');
   } catch (error) {
-    console.error('\n💥 Worker failed:', error.message);
+    log.error('💥 Worker failed', { error });
     await worker.disconnect();
     process.exit(1);
   }
@@ -113,7 +146,7 @@ async function main() {
 
 // Handle graceful shutdown
 process.on('SIGINT', async () => {
-  console.log('\n🛑 Shutting down...');
+  log.info('🛑 Shutting down...');
   process.exit(0);
 });
 
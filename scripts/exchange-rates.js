@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+/**
+ * Exchange Rates Script
+ * Loads an ECB-style rates file into exchange_rates and converts amounts with it, offline
+ *
+ * Usage:
+ *   npm run exchange-rates -- load [eurofxref-hist.csv]   (default: EXCHANGE_RATES_FILE)
+ *   npm run exchange-rates -- convert 100 PLN EUR [2024-05-03]
+ *   npm run exchange-rates -- status
+ */
+
+const Database = require('../src/utils/database');
+const { ExchangeRates } = require('../src/currency');
+const bggConfig = require('../config/bgg-config');
+const currencyConfig = require('../config/currency-config');
+const { logger } = require('../src/utils/logger');
+
+const log = logger.child({ component: 'exchange-rates' });
+
+async function load(exchangeRates, [file = currencyConfig.rates.file]) {
+  const result = await exchangeRates.loadFile(file);
+  console.log(`Loaded ${result.dates} dates (${result.from.toISOString().slice(0, 10)} to ${result.to.toISOString().slice(0, 10)}): ${result.currencies.join(', ')}`);
+}
+
+async function convert(exchangeRates, [amount, from, to = currencyConfig.baseCurrency, dateText]) {
+  const value = parseFloat(amount);
+  const date = dateText ? ExchangeRates.parseDate(dateText) : new Date();
+  if (isNaN(value) || !from || !date) {
+    throw new Error('Usage: npm run exchange-rates -- convert <amount> <from> [to] [date]');
+  }
+
+  await exchangeRates.prepare(date, date);
+  const converted = exchangeRates.convert(value, from.toUpperCase(), to.toUpperCase(), date);
+  if (converted === null) {
+    throw new Error(`No ${from.toUpperCase()}/${to.toUpperCase()} rate within ${currencyConfig.rates.maxAgeDays} days before ${date.toISOString().slice(0, 10)}`);
+  }
+  console.log(`${value} ${from.toUpperCase()} = ${converted.toFixed(2)} ${to.toUpperCase()} (${date.toISOString().slice(0, 10)})`);
+}
+
+async function status(exchangeRates) {
+  const latest = await exchangeRates.getLatestDate();
+  console.log(latest
+    ? `Latest rates: ${latest.toISOString().slice(0, 10)} (base currency ${currencyConfig.baseCurrency})`
+    : 'No exchange rates loaded');
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const database = new Database();
+  database.connectionString = bggConfig.database.uri;
+  database.databaseName = bggConfig.database.name;
+
+  try {
+    await database.connect();
+    await database.createIndexes();
+    const exchangeRates = new ExchangeRates(database, currencyConfig);
+
+    switch (command) {
+      case 'load':
+        await load(exchangeRates, args);
+        break;
+      case 'convert':
+        await convert(exchangeRates, args);
+        break;
+      case 'status':
+        await status(exchangeRates);
+        break;
+      default:
+        throw new Error('Usage: exchange-rates load [file.csv] | convert <amount> <from> [to] [date] | status');
+    }
+  } catch (error) {
+    log.error(`💥 ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await database.disconnect();
+  }
+}
+
+main();
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+
+/**
+ * Import Listings Script
+ * Imports a local marketplace listings export (CSV, JSON array or JSON Lines)
+ *
+ * Usage:
+ *   npm run import-listings -- listings.csv [--source marketplace] [--observed-at 2024-05-01]
+ */
+
+const Database = require('../src/utils/database');
+const ListingsProcessor = require('../src/processors/listingsProcessor');
+const bggConfig = require('../config/bgg-config');
+const listingsConfig = require('../config/listings-config');
+const { logger } = require('../src/utils/logger');
+
+const log = logger.child({ component: 'import-listings' });
+
+function parseOptions(argv) {
+  const options = { file: null, source: listingsConfig.source.name, observedAt: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--source') {
+      options.source = argv[++i];
+    } else if (argv[i] === '--observed-at') {
+      options.observedAt = new Date(argv[++i]);
+    } else {
+      options.file = argv[i];
+    }
+  }
+
+  if (!options.file) {
+    throw new Error('Usage: npm run import-listings -- <file> [--source name] [--observed-at date]');
+  }
+  if (options.observedAt && isNaN(options.observedAt.getTime())) {
+    throw new Error('--observed-at must be a date, e.g. 2024-05-01');
+  }
+
+  return options;
+}
+
+async function main() {
+  const database = new Database();
+  database.connectionString = bggConfig.database.uri;
+  database.databaseName = bggConfig.database.name;
+
+  try {
+    const options = parseOptions(process.argv.slice(2));
+    log.info(`🏷️  Importing listings from ${options.file}...`);
+    log.info(`📡 Database: ${bggConfig.database.uri}/${bggConfig.database.name}`);
+
+    await database.connect();
+
+    const processor = new ListingsProcessor(database, listingsConfig);
+    const result = await processor.processFile(options.file, {
+      source: options.source,
+      observedAt: options.observedAt
+    });
+
+    log.info(`✅ Imported ${(result.rows - result.rejected).toLocaleString()} of ${result.rows.toLocaleString()} rows`);
+  } catch (error) {
+    log.error('💥 Listings import failed', { error });
+    process.exitCode = 1;
+  } finally {
+    await database.disconnect();
+  }
+}
+
+main();
@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+
+/**
+ * Job Runs Script
+ * Prints the last N job runs with their step durations and row totals as a table
+ *
+ * Usage: npm run job-runs -- [--limit 10] [--job bgg_data_fetch]
+ */
+
+const Database = require('../src/utils/database');
+const bggConfig = require('../config/bgg-config');
+const { logger } = require('../src/utils/logger');
+
+// Timeline steps shown as columns, in pipeline order
+const STEP_COLUMNS = ['resolve_url', 'download', 'extract', 'index', 'parse', 'link', 'diff', 'write', 'swap', 'history', 'changes', 'alerts', 'load', 'stats'];
+
+const USAGE = 'Usage: npm run job-runs -- [--limit 10] [--job bgg_data_fetch]';
+
+function parseArgs(argv) {
+  const options = { limit: 10, jobType: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--limit') {
+      options.limit = parseInt(argv[++i]);
+    } else if (argv[i] === '--job' && argv[i + 1]) {
+      options.jobType = argv[++i];
+    } else {
+      throw new Error(`Unknown option ${argv[i]}. ${USAGE}`);
+    }
+  }
+
+  if (isNaN(options.limit) || options.limit < 1) {
+    throw new Error(`--limit must be a positive integer. ${USAGE}`);
+  }
+
+  return options;
+}
+
+function formatDuration(ms) {
+  if (ms === undefined || ms === null) return '';
+  if (ms < 1000) return `${ms}ms`;
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+  return `${Math.floor(ms / 60000)}m${Math.round((ms % 60000) / 1000)}s`;
+}
+
+function formatCount(value) {
+  return typeof value === 'number' ? value.toLocaleString() : '';
+}
+
+/**
+ * Build one table row from a job_logs entry
+ */
+function toRow(run, stepColumns) {
+  const steps = new Map((run.steps || []).map(step => [step.name, step]));
+  const totals = run.totals || {};
+  const row = {
+    Run: run.runId ? run.runId.slice(0, 8) : '-',
+    Job: run.jobType,
+    Started: new Date(run.startedAt || run.executionTime || run.timestamp).toISOString().slice(0, 19).replace('T', ' '),
+    Status: run.status,
+    Duration: formatDuration(run.durationMs)
+  };
+
+  for (const name of stepColumns) {
+    const step = steps.get(name);
+    row[name] = step ? `${formatDuration(step.durationMs)}${step.status === 'failed' ? '!' : ''}` : '';
+  }
+
+  row.Rows = formatCount(totals.rows);
+  row.New = formatCount(totals.new);
+  row.Updated = formatCount(totals.updated);
+  row.Unchanged = formatCount(totals.unchanged);
+
+  return row;
+}
+
+function printTable(rows) {
+  const columns = Object.keys(rows[0]);
+  const widths = columns.map(column => Math.max(column.length, ...rows.map(row => String(row[column]).length)));
+  const line = (values) => values.map((value, i) => String(value).padEnd(widths[i])).join('  ').trimEnd();
+
+  console.log(line(columns));
+  console.log(line(widths.map(width => '-'.repeat(width))));
+  for (const row of rows) {
+    console.log(line(columns.map(column => row[column])));
+  }
+}
+
+async function main() {
+  const database = new Database();
+  database.connectionString = bggConfig.database.uri;
+  database.databaseName = bggConfig.database.name;
+
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    await database.connect();
+
+    const runs = await database.getRecentRuns(options);
+    if (runs.length === 0) {
+      console.log(`No runs found${options.jobType ? ` for job ${options.jobType}` : ''}`);
+      return;
+    }
+
+    // Only show step columns some run actually has
+    const stepColumns = STEP_COLUMNS.filter(name => runs.some(run => (run.steps || []).some(step => step.name === name)));
+    printTable(runs.map(run => toRow(run, stepColumns)));
+
+    const failed = runs.filter(run => run.status === 'error');
+    for (const run of failed) {
+      console.log(`\n❌ ${run.runId || run.jobType}: ${run.error}`);
+    }
+  } catch (error) {
+    logger.error('💥 Failed to list job runs', { error });
+    process.exitCode = 1;
+  } finally {
+    await database.disconnect();
+  }
+}
+
+main();
@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+
+/**
+ * Migrate Name Indexes Script
+ * One-time migration from physically re-sorted collections to collated name indexes:
+ * - creates the case/diacritic-insensitive name indexes
+ * - drops the legacy name_asc indexes
+ * - removes _temp_/_backup_ collections left behind by the old re-sort
+ *
+ * Usage: node scripts/migrate-name-indexes.js [--dry-run] [--force]
+ *   --dry-run  Only report what would be changed
+ *   --force    Also drop leftovers holding more documents than the live collection
+ */
+
+const Database = require('../src/utils/database');
+const bggConfig = require('../config/bgg-config');
+const { logger } = require('../src/utils/logger');
+
+const log = logger.child({ component: 'migrate-name-indexes' });
+
+const LEGACY_INDEX_NAME = 'name_asc';
+
+class NameIndexMigration {
+  constructor(options = {}) {
+    this.database = new Database();
+    this.dryRun = !!options.dryRun;
+    this.force = !!options.force;
+    this.collectionNames = [
+      bggConfig.processing.collections.games,
+      bggConfig.processing.collections.search
+    ];
+  }
+
+  async initialize() {
+    log.info('🔧 Initializing name index migration...');
+    log.info(`📡 Database: ${bggConfig.database.uri}/${bggConfig.database.name}`);
+    if (this.dryRun) {
+      log.info('🧪 Dry run: nothing will be changed');
+    }
+
+    this.database.connectionString = bggConfig.database.uri;
+    this.database.databaseName = bggConfig.database.name;
+
+    await this.database.connect();
+  }
+
+  async run() {
+    log.info('📊 Step 1: Creating collated name indexes...');
+    if (!this.dryRun) {
+      await this.database.createIndexes();
+    }
+
+    log.info('🗑️  Step 2: Dropping legacy name indexes...');
+    for (const collectionName of this.collectionNames) {
+      await this.dropLegacyIndex(collectionName);
+    }
+
+    log.info('🧹 Step 3: Removing leftover re-sort collections...');
+    await this.removeLeftoverCollections();
+  }
+
+  async dropLegacyIndex(collectionName) {
+    const collection = this.database.getCollection(collectionName);
+    const indexes = await collection.indexes().catch(() => []);
+
+    if (!indexes.some(index => index.name === LEGACY_INDEX_NAME)) {
+      log.info(`✅ ${collectionName}: no legacy index`);
+      return;
+    }
+
+    if (this.dryRun) {
+      log.info(`🧪 ${collectionName}: would drop ${LEGACY_INDEX_NAME}`);
+      return;
+    }
+    await collection.dropIndex(LEGACY_INDEX_NAME);
+    log.info(`🗑️  ${collectionName}: dropped ${LEGACY_INDEX_NAME}`);
+  }
+
+  async removeLeftoverCollections() {
+    const pattern = new RegExp(`^(${this.collectionNames.join('|')})_(temp|backup)_\\d+$`);
+    const collections = await this.database.getDb().listCollections({}, { nameOnly: true }).toArray();
+    const leftovers = collections.map(info => info.name).filter(name => pattern.test(name));
+
+    if (leftovers.length === 0) {
+      log.info('✅ No leftover collections found');
+      return;
+    }
+
+    for (const leftoverName of leftovers) {
+      const liveName = leftoverName.match(pattern)[1];
+      const leftoverCount = await this.database.getCollection(leftoverName).countDocuments();
+      const liveCount = await this.database.getCollection(liveName).countDocuments();
+
+      // A crash mid-resort could leave the only complete copy of the data in the leftover
+      if (leftoverCount > liveCount && !this.force) {
+        log.warn(`⚠️  Keeping ${leftoverName}: ${leftoverCount.toLocaleString()} documents vs ${liveCount.toLocaleString()} in ${liveName}. Restore it or re-run with --force.`);
+        continue;
+      }
+
+      if (this.dryRun) {
+        log.info(`🧪 Would drop ${leftoverName} (${leftoverCount.toLocaleString()} documents)`);
+        continue;
+      }
+      await this.database.getCollection(leftoverName).drop();
+      log.info(`🗑️  Dropped ${leftoverName} (${leftoverCount.toLocaleString()} documents)`);
+    }
+  }
+
+  async disconnect() {
+    await this.database.disconnect();
+    log.info('👋 Disconnected from database');
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const migration = new NameIndexMigration({
+    dryRun: args.includes('--dry-run'),
+    force: args.includes('--force')
+  });
+
+  try {
+    await migration.initialize();
+    await migration.run();
+
+    log.info('🎉 Name index migration completed successfully!');
+    log.info('💡 Read games in alphabetical order with Database.findSortedByName()');
+  } catch (error) {
+    log.error('💥 Migration failed', { error });
+    process.exitCode = 1;
+  } finally {
+    await migration.disconnect();
+  }
+}
+
+main();
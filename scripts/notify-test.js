@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+
+/**
+ * Notify Test Script
+ * Sends sample notification events through the sinks configured in
+ * config/notifications-config.js, to check a webhook end to end
+ *
+ * Usage: npm run notify-test -- [--event job_failed]
+ */
+
+const { createNotifier } = require('../src/notifications');
+const notificationsConfig = require('../config/notifications-config');
+const { logger } = require('../src/utils/logger');
+
+const SAMPLE_RUN = {
+  job: 'bgg_data_fetch',
+  runId: '00000000-0000-4000-8000-000000000000',
+  trigger: 'manual',
+  attempt: 1
+};
+
+function sampleData(type) {
+  const now = Date.now();
+
+  switch (type) {
+    case 'job_failed':
+      return {
+        error: 'Unexpected HTTP status 503',
+        failedStep: 'download',
+        maxAttempts: 4,
+        willRetry: false,
+        nextRetryAt: null,
+        failingSince: new Date(now - 2 * 3600 * 1000).toISOString(),
+        durationMs: 42000
+      };
+    case 'job_recovered':
+      return {
+        status: 'success',
+        lastError: 'Unexpected HTTP status 503',
+        failingSince: new Date(now - 26 * 3600 * 1000).toISOString(),
+        failedForMs: 26 * 3600 * 1000,
+        durationMs: 95000
+      };
+    case 'import_summary':
+      return {
+        dumpDate: new Date(now).toISOString().slice(0, 10),
+        newGamesCount: 2,
+        updatedGamesCount: 1500,
+        unchangedCount: 160000,
+        newGames: [
+          { id: 400001, name: 'Sample Game', year_published: 2025, rank: null },
+          { id: 400002, name: 'Another Sample Game', year_published: 2026, rank: null }
+        ],
+        changeEvents: 1502,
+        totals: { rows: 161502, rejected: 0, new: 2, updated: 1500, unchanged: 160000 },
+        durationMs: 95000
+      };
+    default:
+      throw new Error(`Unknown event: ${type}. Expected one of: ${notificationsConfig.eventTypes.join(', ')}`);
+  }
+}
+
+async function main() {
+  const eventIndex = process.argv.indexOf('--event');
+  const types = eventIndex !== -1 ? [process.argv[eventIndex + 1]] : notificationsConfig.eventTypes;
+
+  try {
+    const notifier = createNotifier();
+    if (notifier.sinks.length === 0) {
+      throw new Error('No notification sinks configured. Set NOTIFY_WEBHOOK_URL or NOTIFY_SLACK_WEBHOOK_URL.');
+    }
+
+    for (const type of types) {
+      logger.info(`📣 Sending sample ${type} event...`);
+      await notifier.notify(type, SAMPLE_RUN, sampleData(type));
+    }
+  } catch (error) {
+    logger.error('💥 Failed to send test notifications', { error });
+    process.exitCode = 1;
+  }
+}
+
+main();
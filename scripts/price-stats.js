@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+
+/**
+ * Price Stats Script
+ * Recomputes price_stats from listings, e.g. after changing the stats windows
+ *
+ * Usage:
+ *   npm run price-stats                    (every game listed within the longest window)
+ *   npm run price-stats -- --game 13 --game 174430
+ */
+
+const Database = require('../src/utils/database');
+const { PriceStats } = require('../src/pricing');
+const bggConfig = require('../config/bgg-config');
+const listingsConfig = require('../config/listings-config');
+const { logger } = require('../src/utils/logger');
+
+const log = logger.child({ component: 'price-stats' });
+
+function parseOptions(argv) {
+  const options = { gameIds: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--game') {
+      const gameId = parseInt(argv[++i]);
+      if (isNaN(gameId)) {
+        throw new Error('--game must be a game id');
+      }
+      options.gameIds.push(gameId);
+    }
+  }
+
+  return options;
+}
+
+async function main() {
+  const database = new Database();
+  database.connectionString = bggConfig.database.uri;
+  database.databaseName = bggConfig.database.name;
+
+  try {
+    const options = parseOptions(process.argv.slice(2));
+    log.info('💶 Recomputing price stats from listings...');
+    log.info(`📡 Database: ${bggConfig.database.uri}/${bggConfig.database.name}`);
+
+    await database.connect();
+    await database.createIndexes();
+
+    const priceStats = new PriceStats(database, listingsConfig);
+    const recomputed = options.gameIds.length > 0
+      ? await priceStats.recompute(options.gameIds)
+      : await priceStats.recomputeAll();
+
+    log.info(`✅ Recomputed price stats of ${recomputed.toLocaleString()} games`);
+  } catch (error) {
+    log.error('💥 Price stats failed', { error });
+    process.exitCode = 1;
+  } finally {
+    await database.disconnect();
+  }
+}
+
+main();
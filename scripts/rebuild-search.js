@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+
+/**
+ * Rebuild Search Script
+ * Recomputes normalized names, tokens and trigrams in games_search from board_games
+ */
+
+const Database = require('../src/utils/database');
+const { GameSearch } = require('../src/search');
+const bggConfig = require('../config/bgg-config');
+const { logger } = require('../src/utils/logger');
+
+const log = logger.child({ component: 'rebuild-search' });
+
+async function main() {
+  const database = new Database();
+  database.connectionString = bggConfig.database.uri;
+  database.databaseName = bggConfig.database.name;
+
+  try {
+    log.info('🔎 Rebuilding games_search from board_games...');
+    log.info(`📡 Database: ${bggConfig.database.uri}/${bggConfig.database.name}`);
+
+    await database.connect();
+    await database.createIndexes();
+
+    const gameSearch = new GameSearch(database, bggConfig);
+    const rebuilt = await gameSearch.rebuildIndex();
+
+    log.info(`✅ Rebuilt ${rebuilt.toLocaleString()} search entries`);
+  } catch (error) {
+    log.error('💥 Rebuild failed', { error });
+    process.exitCode = 1;
+  } finally {
+    await database.disconnect();
+  }
+}
+
+main();
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+/**
+ * Rollback Import Script
+ * Restores the previous generation of board_games and games_search kept by the last import
+ */
+
+const Database = require('../src/utils/database');
+const StagingImport = require('../src/processors/stagingImport');
+const bggConfig = require('../config/bgg-config');
+const { logger } = require('../src/utils/logger');
+
+const log = logger.child({ component: 'rollback-import' });
+
+async function main() {
+  const database = new Database();
+  database.connectionString = bggConfig.database.uri;
+  database.databaseName = bggConfig.database.name;
+
+  try {
+    log.info('⏪ Rolling back the last BGG import...');
+    log.info(`📡 Database: ${bggConfig.database.uri}/${bggConfig.database.name}`);
+
+    await database.connect();
+
+    const staging = new StagingImport(database, bggConfig);
+    const restored = await staging.rollback();
+
+    if (!restored) {
+      log.info('❌ No previous generation found, nothing to roll back');
+      process.exitCode = 1;
+      return;
+    }
+
+    // Point the import metadata back at the restored dump
+    const metadataCollection = database.getCollection(bggConfig.processing.collections.metadata);
+    const current = await metadataCollection.findOne({ source: 'bgg_data_dump' }, { sort: { lastProcessed: -1 } });
+    if (current) {
+      await metadataCollection.updateOne(
+        { _id: current._id },
+        {
+          $set: {
+            dumpDate: current.previousDumpDate || null,
+            previousDumpDate: null,
+            rolledBackFrom: current.dumpDate || null,
+            rolledBackAt: new Date()
+          }
+        }
+      );
+    }
+
+    // Without this the identical-dump check would skip re-importing the rolled back dump
+    const csvFiles = database.getCollection('csv_files');
+    const lastImport = await database.getLastSuccessfulImport('bgg_data_fetch');
+    if (lastImport) {
+      await csvFiles.updateOne(
+        { _id: lastImport._id },
+        { $set: { status: 'rolled_back', rolledBackAt: new Date() } }
+      );
+    }
+
+    await database.logJobExecution({
+      jobType: 'bgg_data_fetch',
+      status: 'rolled_back',
+      rolledBackFrom: current ? current.dumpDate || null : null,
+      executionTime: new Date()
+    });
+
+    log.info('✅ Previous import restored');
+  } catch (error) {
+    log.error('💥 Rollback failed', { error });
+    process.exitCode = 1;
+  } finally {
+    await database.disconnect();
+  }
+}
+
+main();
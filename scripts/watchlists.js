@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+/**
+ * Watchlists Script
+ * Manages the watchlists checked by every BGG import and lists their alerts
+ *
+ * Usage:
+ *   npm run watchlists -- list
+ *   npm run watchlists -- save watchlist.json       (creates or replaces the watchlist by name)
+ *   npm run watchlists -- remove "Buyer picks"
+ *   npm run watchlists -- alerts [--limit 20] [--status open] [--watchlist "Buyer picks"]
+ */
+
+const fs = require('fs-extra');
+const Database = require('../src/utils/database');
+const { Watchlists } = require('../src/watchlists');
+const CsvSchema = require('../src/utils/csvSchema');
+const bggConfig = require('../config/bgg-config');
+const bggSchema = require('../config/bgg-schema');
+const { logger } = require('../src/utils/logger');
+
+function parseOptions(argv) {
+  const options = { limit: 20, status: null, watchlist: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--limit') {
+      options.limit = parseInt(argv[++i]);
+    } else if (argv[i] === '--status') {
+      options.status = argv[++i];
+    } else if (argv[i] === '--watchlist') {
+      options.watchlist = argv[++i];
+    }
+  }
+
+  if (isNaN(options.limit) || options.limit < 1) {
+    throw new Error('--limit must be a positive integer');
+  }
+
+  return options;
+}
+
+function formatCondition({ field, op, value }) {
+  return `${field} ${op} ${JSON.stringify(value)}`;
+}
+
+function formatValues(values) {
+  return Object.entries(values || {})
+    .map(([field, { before, after }]) => `${field} ${before ?? '-'} → ${after ?? '-'}`)
+    .join(', ');
+}
+
+async function list(watchlists) {
+  const all = await watchlists.list();
+  if (all.length === 0) {
+    console.log('No watchlists');
+    return;
+  }
+
+  for (const watchlist of all) {
+    console.log(`${watchlist.name}${watchlist.owner ? ` (${watchlist.owner})` : ''}${watchlist.enabled === false ? ' [disabled]' : ''}`);
+    for (const rule of watchlist.rules || []) {
+      const scope = [
+        rule.game_ids ? `games ${rule.game_ids.join(', ')}` : null,
+        rule.change_types ? rule.change_types.join('/') : null
+      ].filter(Boolean).join('; ');
+      console.log(`  ${rule.id}: ${(rule.conditions || []).map(formatCondition).join(' and ')}${scope ? ` [${scope}]` : ''}${rule.enabled === false ? ' [disabled]' : ''}`);
+    }
+  }
+}
+
+async function alerts(watchlists, options) {
+  const recent = await watchlists.readAlerts(options);
+  if (recent.length === 0) {
+    console.log('No alerts');
+    return;
+  }
+
+  for (const alert of recent) {
+    const resolved = alert.status === 'resolved' ? ` (resolved ${alert.resolved_at.toISOString().slice(0, 10)})` : '';
+    console.log(`${alert.triggered_at.toISOString().slice(0, 19).replace('T', ' ')}  ${alert.watchlist_name}/${alert.rule_id}  ${alert.name} (ID: ${alert.game_id})  ${formatValues(alert.values)}${resolved}`);
+  }
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const database = new Database();
+  database.connectionString = bggConfig.database.uri;
+  database.databaseName = bggConfig.database.name;
+
+  try {
+    await database.connect();
+    const watchlists = new Watchlists(database, bggConfig, new CsvSchema(bggSchema));
+
+    switch (command) {
+      case 'list':
+        await list(watchlists);
+        break;
+      case 'save': {
+        if (!args[0]) throw new Error('Usage: save <watchlist.json>');
+        await database.createIndexes();
+        const saved = await watchlists.save(await fs.readJson(args[0]));
+        logger.info(`✅ Saved watchlist ${saved.name} with ${saved.rules.length} rules`);
+        break;
+      }
+      case 'remove':
+        if (!args[0]) throw new Error('Usage: remove <name>');
+        if (!(await watchlists.remove(args[0]))) {
+          throw new Error(`No watchlist named ${args[0]}`);
+        }
+        logger.info(`🗑️  Removed watchlist ${args[0]}`);
+        break;
+      case 'alerts':
+        await alerts(watchlists, parseOptions(args));
+        break;
+      default:
+        throw new Error('Usage: watchlists list | save <file.json> | remove <name> | alerts [--limit N] [--status open|resolved] [--watchlist name]');
+    }
+  } catch (error) {
+    logger.error(`💥 ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await database.disconnect();
+  }
+}
+
+main();
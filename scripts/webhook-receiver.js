@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+/**
+ * Webhook Receiver Script
+ * Local endpoint for trying out notification webhooks: prints every delivery and
+ * checks its signature against the shared secret
+ *
+ * Usage: npm run webhook-receiver -- [--port 4000] [--secret s3cret] [--fail 2]
+ *   --secret defaults to NOTIFY_WEBHOOK_SECRET
+ *   --fail answers the first N requests with 503, to see the sink retry
+ *
+ * Then run the worker (or npm run notify-test) with NOTIFY_WEBHOOK_URL=http://localhost:4000/
+ */
+
+const http = require('http');
+const { WebhookSink, summarize } = require('../src/notifications');
+
+function parseArgs(argv) {
+  const options = { port: 4000, secret: process.env.NOTIFY_WEBHOOK_SECRET || null, fail: 0 };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port') {
+      options.port = parseInt(argv[++i]);
+    } else if (argv[i] === '--secret') {
+      options.secret = argv[++i];
+    } else if (argv[i] === '--fail') {
+      options.fail = parseInt(argv[++i]);
+    }
+  }
+
+  if (isNaN(options.port) || isNaN(options.fail)) {
+    throw new Error('--port and --fail must be integers');
+  }
+
+  return options;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  let received = 0;
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      received += 1;
+      const body = Buffer.concat(chunks).toString('utf8');
+      const delivery = req.headers['x-bgworker-delivery'] || '-';
+
+      if (received <= options.fail) {
+        console.log(`↩️  #${received} ${req.headers['x-bgworker-event']} ${delivery}: answering 503 (--fail ${options.fail})`);
+        res.writeHead(503).end();
+        return;
+      }
+
+      let signature = 'unsigned';
+      if (req.headers['x-bgworker-signature']) {
+        signature = options.secret
+          ? (WebhookSink.verify(options.secret, req.headers, body) ? 'valid signature' : 'INVALID signature')
+          : 'signed, no --secret to check it';
+      }
+
+      let payload;
+      try {
+        payload = JSON.parse(body);
+      } catch (error) {
+        console.log(`❌ #${received} ${delivery}: body is not JSON`);
+        res.writeHead(400).end();
+        return;
+      }
+
+      // JSON events have a type, Slack messages only text and blocks
+      const text = payload.type ? summarize(payload) : payload.text;
+      console.log(`📨 #${received} ${req.headers['x-bgworker-event']} ${delivery} (${signature})`);
+      console.log(`   ${text}`);
+      console.log(JSON.stringify(payload, null, 2).split('\n').map(line => `   ${line}`).join('\n'));
+
+      const ok = signature !== 'INVALID signature';
+      res.writeHead(ok ? 204 : 401).end();
+    });
+  });
+
+  server.listen(options.port, () => {
+    console.log(`👂 Listening for webhooks on http://localhost:${options.port}/${options.secret ? ' (checking signatures)' : ''}`);
+  });
+
+  const stop = () => server.close(() => process.exit(0));
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+}
+
+main();
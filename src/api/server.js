@@ -0,0 +1,328 @@
+const http = require('http');
+const { GameSearch } = require('../search');
+const ChangeFeed = require('../history/changeFeed');
+const { PriceStats } = require('../pricing');
+const bggConfig = require('../../config/bgg-config');
+const listingsConfig = require('../../config/listings-config');
+const { logger } = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+const log = logger.child({ component: 'apiServer' });
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const GAME_SORTS = {
+  rank: { rank: 1 },
+  name: { name: 1 },
+  users_rated: { users_rated: -1 },
+  average: { average: -1 },
+  bayes_average: { bayes_average: -1 },
+  year_published: { year_published: -1 }
+};
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+class ApiServer {
+  /**
+   * @param {Object} worker - Worker exposing getStatus() and healthCheck()
+   * @param {Database} database - Connected database
+   * @param {Object} config - BGG config (collection names)
+   */
+  constructor(worker, database, config = bggConfig) {
+    this.worker = worker;
+    this.database = database;
+    this.config = config;
+    this.gameSearch = new GameSearch(database, config);
+    this.changeFeed = new ChangeFeed(database, config);
+    this.priceStats = new PriceStats(database, listingsConfig);
+    this.server = null;
+
+    this.routes = [
+      { pattern: /^\/health$/, handler: this.getHealth },
+      { pattern: /^\/status$/, handler: this.getStatus },
+      { pattern: /^\/metrics$/, handler: this.getMetrics },
+      { pattern: /^\/games$/, handler: this.listGames },
+      { pattern: /^\/games\/(\d+)$/, handler: this.getGame },
+      { pattern: /^\/games\/(\d+)\/listings$/, handler: this.listGameListings },
+      { pattern: /^\/search$/, handler: this.searchGames },
+      { pattern: /^\/changes$/, handler: this.listChanges },
+      { pattern: /^\/jobs\/([\w-]+)\/logs$/, handler: this.getJobLogs }
+    ];
+  }
+
+  /**
+   * Start listening for requests
+   * @param {number} port - Port to listen on
+   */
+  start(port) {
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, () => {
+        this.server.removeListener('error', reject);
+        log.info(`🌐 HTTP API listening on port ${this.server.address().port}`);
+        resolve(this.server);
+      });
+    });
+  }
+
+  /**
+   * Stop accepting requests
+   */
+  stop() {
+    if (!this.server) return Promise.resolve();
+
+    return new Promise((resolve) => {
+      this.server.close(() => {
+        this.server = null;
+        log.info('🛑 HTTP API stopped');
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Route a request and write the response, JSON unless the handler sets a contentType
+   */
+  async handleRequest(req, res) {
+    try {
+      if (req.method !== 'GET') {
+        throw new HttpError(405, `Method ${req.method} not allowed`);
+      }
+
+      const url = new URL(req.url, 'http://localhost');
+
+      for (const route of this.routes) {
+        const match = url.pathname.match(route.pattern);
+        if (match) {
+          const { status = 200, body, contentType } = await route.handler.call(this, url.searchParams, ...match.slice(1));
+          if (contentType) {
+            res.writeHead(status, { 'Content-Type': contentType });
+            return res.end(body);
+          }
+          return this.sendJson(res, status, body);
+        }
+      }
+
+      throw new HttpError(404, `Route ${url.pathname} not found`);
+
+    } catch (error) {
+      const status = error.status || 500;
+      if (status >= 500) {
+        log.error('❌ HTTP API error', { error });
+      }
+
+      this.sendJson(res, status, {
+        error: {
+          status,
+          message: status >= 500 ? 'Internal server error' : error.message
+        }
+      });
+    }
+  }
+
+  sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+   * Parse page/limit query params
+   * @param {URLSearchParams} params - Query params
+   */
+  getPagination(params) {
+    const page = params.has('page') ? parseInt(params.get('page')) : 1;
+    const limit = params.has('limit') ? parseInt(params.get('limit')) : DEFAULT_LIMIT;
+
+    if (isNaN(page) || page < 1) {
+      throw new HttpError(400, 'page must be a positive integer');
+    }
+    if (isNaN(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw new HttpError(400, `limit must be an integer between 1 and ${MAX_LIMIT}`);
+    }
+
+    return { page, limit, skip: (page - 1) * limit };
+  }
+
+  async getHealth() {
+    const health = await this.worker.healthCheck();
+    return { status: health.status === 'healthy' ? 200 : 503, body: health };
+  }
+
+  async getStatus() {
+    return { body: this.worker.getStatus() };
+  }
+
+  /**
+   * Prometheus scrape endpoint
+   */
+  async getMetrics() {
+    metrics.collectWorkerStatus(this.worker.getStatus());
+    return { body: metrics.registry.render(), contentType: 'text/plain; version=0.0.4; charset=utf-8' };
+  }
+
+  async listGames(params) {
+    const { page, limit, skip } = this.getPagination(params);
+    const sortKey = params.get('sort') || 'rank';
+    const sort = GAME_SORTS[sortKey];
+
+    if (!sort) {
+      throw new HttpError(400, `sort must be one of: ${Object.keys(GAME_SORTS).join(', ')}`);
+    }
+
+    // Unranked games have no rank, keep them out of rank ordering
+    const filter = sortKey === 'rank' ? { rank: { $exists: true, $ne: null } } : {};
+    const collection = this.database.getCollection(this.config.processing.collections.games);
+
+    // ?category=<subdomain> restricts to that category and ranks by its subdomain rank
+    let effectiveSort = sort;
+    if (params.has('category')) {
+      const category = params.get('category');
+      if (!Object.hasOwn(this.config.processing.subdomainRanks, category)) {
+        throw new HttpError(400, `category must be one of: ${Object.keys(this.config.processing.subdomainRanks).join(', ')}`);
+      }
+
+      const rankField = `subdomain_ranks.${category}`;
+      delete filter.rank;
+      filter[rankField] = { $exists: true, $ne: null };
+      if (sortKey === 'rank') {
+        effectiveSort = { [rankField]: 1 };
+      }
+    }
+
+    const cursor = sortKey === 'name'
+      ? this.database.findSortedByName(this.config.processing.collections.games, filter, { skip, limit })
+      : collection.find(filter, { projection: { _id: 0 } }).sort(effectiveSort).skip(skip).limit(limit);
+
+    const [data, total] = await Promise.all([
+      cursor.toArray(),
+      collection.countDocuments(filter)
+    ]);
+    await this.priceStats.attach(data);
+
+    return { body: { data, pagination: { page, limit, total } } };
+  }
+
+  async getGame(params, id) {
+    const collection = this.database.getCollection(this.config.processing.collections.games);
+    const game = await collection.findOne({ id: parseInt(id) }, { projection: { _id: 0 } });
+
+    if (!game) {
+      throw new HttpError(404, `Game ${id} not found`);
+    }
+    await this.priceStats.attach([game]);
+
+    return { body: game };
+  }
+
+  /**
+   * Marketplace listings linked to a game, most recently observed first
+   */
+  async listGameListings(params, id) {
+    const { page, limit, skip } = this.getPagination(params);
+    const filter = { game_id: parseInt(id) };
+
+    if (params.has('condition')) {
+      filter.condition = { $in: params.get('condition').split(',') };
+    }
+    if (params.has('currency')) {
+      filter.currency = params.get('currency').toUpperCase();
+    }
+    if (params.has('source')) {
+      filter.source = params.get('source');
+    }
+
+    const collection = this.database.getCollection(listingsConfig.processing.collections.listings);
+    const [data, total] = await Promise.all([
+      collection.find(filter, { projection: { _id: 0, dedupe_key: 0 } }).sort({ last_observed_at: -1 }).skip(skip).limit(limit).toArray(),
+      collection.countDocuments(filter)
+    ]);
+
+    return { body: { gameId: filter.game_id, data, pagination: { page, limit, total } } };
+  }
+
+  async searchGames(params) {
+    const query = (params.get('q') || '').trim();
+    if (!query) {
+      throw new HttpError(400, 'q is required');
+    }
+
+    const { limit } = this.getPagination(params);
+    const options = { limit };
+
+    if (params.has('is_expansion')) {
+      options.isExpansion = params.get('is_expansion') === 'true' || params.get('is_expansion') === '1';
+    }
+    for (const [param, option] of [['year', 'year'], ['year_from', 'yearFrom'], ['year_to', 'yearTo']]) {
+      if (params.has(param)) {
+        const value = parseInt(params.get(param));
+        if (isNaN(value)) {
+          throw new HttpError(400, `${param} must be an integer`);
+        }
+        options[option] = value;
+      }
+    }
+
+    const data = await this.gameSearch.search(query, options);
+    return { body: { query, data } };
+  }
+
+  /**
+   * Change events after a cursor; pass the returned cursor as `after` to continue
+   */
+  async listChanges(params) {
+    const { limit } = this.getPagination(params);
+    const after = params.has('after') ? parseInt(params.get('after')) : 0;
+    if (isNaN(after) || after < 0) {
+      throw new HttpError(400, 'after must be a non-negative integer');
+    }
+
+    const options = { after, limit };
+    if (params.has('type')) {
+      options.types = params.get('type').split(',');
+      const unknown = options.types.filter(type => !['new', 'updated'].includes(type));
+      if (unknown.length > 0) {
+        throw new HttpError(400, 'type must be new, updated or both (comma separated)');
+      }
+    }
+    if (params.has('game_id')) {
+      options.gameId = parseInt(params.get('game_id'));
+      if (isNaN(options.gameId)) {
+        throw new HttpError(400, 'game_id must be an integer');
+      }
+    }
+    if (params.has('field')) {
+      options.fields = params.get('field').split(',');
+    }
+
+    const { events, cursor, hasMore } = await this.changeFeed.read(options);
+    return { body: { data: events, cursor, hasMore } };
+  }
+
+  async getJobLogs(params, jobId) {
+    const { page, limit, skip } = this.getPagination(params);
+    const logsCollection = this.database.getCollection('job_logs');
+    const filter = { jobType: jobId };
+
+    const [status, data, total] = await Promise.all([
+      this.database.getCollection('job_status').findOne({ jobId }, { projection: { _id: 0 } }),
+      logsCollection.find(filter, { projection: { _id: 0, stack: 0 } }).sort({ timestamp: -1 }).skip(skip).limit(limit).toArray(),
+      logsCollection.countDocuments(filter)
+    ]);
+
+    if (!status && total === 0) {
+      throw new HttpError(404, `Job ${jobId} not found`);
+    }
+
+    return { body: { jobId, status, data, pagination: { page, limit, total } } };
+  }
+}
+
+module.exports = ApiServer;
@@ -0,0 +1,199 @@
+const fs = require('fs-extra');
+const path = require('path');
+const csv = require('csv-parser');
+const { timeBulkWrite } = require('../utils/metrics');
+const currencyConfig = require('../../config/currency-config');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ component: 'exchangeRates' });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Exchange rates by date in the `exchange_rates` collection, loaded from
+ * ECB-style CSV files:
+ *
+ *   Date,USD,JPY,GBP,PLN,...
+ *   2024-05-03,1.0746,164.88,0.85725,4.3183,...
+ *
+ * where each rate is the units of a currency per 1 of the file's base currency
+ * (EUR for ECB files) and "N/A" or an empty cell means no rate. One document per date:
+ *
+ *   { date, base, rates: { USD: 1.0746, ... }, source, updated_at }
+ *
+ * Conversions use the rate of the given date or, for weekends and holidays,
+ * the latest earlier one up to maxAgeDays back. prepare() loads the rates of a
+ * date range once so that convert() can run for many prices without queries.
+ */
+class ExchangeRates {
+  constructor(database, config = currencyConfig) {
+    this.database = database;
+    this.config = config;
+    this.base = config.rates.base;
+    this.maxAgeMs = (config.rates.maxAgeDays || 7) * DAY_MS;
+    this.table = [];
+  }
+
+  getCollection() {
+    return this.database.getCollection(this.config.collections.rates);
+  }
+
+  /**
+   * Parse the date of a rates row, "2024-05-03" or "03 May 2024" (ECB daily file)
+   * @param {string} text - Date cell
+   * @returns {Date|null} - UTC midnight of the date
+   */
+  static parseDate(text) {
+    const value = String(text || '').trim();
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(value) : new Date(`${value} UTC`);
+    if (isNaN(date.getTime())) return null;
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  }
+
+  /**
+   * Load a rates file into the collection; rates of dates already stored are replaced per currency
+   * @param {string} filePath - ECB-style CSV file
+   * @param {Object} options - Optional { source } stored on the dates (default: file name)
+   * @returns {Promise<Object>} - { dates, currencies, from, to, skippedRows }
+   */
+  async loadFile(filePath, { source = path.basename(filePath) } = {}) {
+    const collection = this.getCollection();
+    const batchSize = this.config.rates.batchSize || 500;
+    const currencies = new Set();
+    const updatedAt = new Date();
+    let operations = [];
+    let dates = 0;
+    let skippedRows = 0;
+    let from = null;
+    let to = null;
+
+    const flush = async () => {
+      await timeBulkWrite(this.config.collections.rates, 'bulkWrite', () => collection.bulkWrite(operations, { ordered: false }));
+      operations = [];
+    };
+
+    log.info(`💱 Loading exchange rates from ${path.basename(filePath)} (base ${this.base})`);
+
+    const rows = fs.createReadStream(filePath).pipe(csv({ mapHeaders: ({ header }) => header.trim() }));
+    for await (const row of rows) {
+      const date = ExchangeRates.parseDate(row.Date || row.date);
+      const rates = {};
+      for (const [column, cell] of Object.entries(row)) {
+        const code = column.toUpperCase();
+        if (!/^[A-Z]{3}$/.test(code)) continue;
+        const rate = parseFloat(String(cell).trim());
+        if (rate > 0) {
+          rates[`rates.${code}`] = rate;
+        }
+      }
+
+      if (!date || Object.keys(rates).length === 0) {
+        skippedRows++;
+        continue;
+      }
+      Object.keys(rates).forEach(key => currencies.add(key.slice('rates.'.length)));
+
+      operations.push({
+        updateOne: {
+          filter: { date },
+          update: { $set: { ...rates, base: this.base, source, updated_at: updatedAt } },
+          upsert: true
+        }
+      });
+      dates++;
+      if (!from || date < from) from = date;
+      if (!to || date > to) to = date;
+
+      if (operations.length >= batchSize) {
+        await flush();
+      }
+    }
+
+    if (operations.length > 0) {
+      await flush();
+    }
+
+    if (dates === 0) {
+      throw new Error(`No exchange rates found in ${path.basename(filePath)}`);
+    }
+
+    log.info(`✅ Loaded exchange rates of ${dates.toLocaleString()} dates for ${currencies.size} currencies (${from.toISOString().slice(0, 10)} to ${to.toISOString().slice(0, 10)})`, { skippedRows });
+    this.table = [];
+
+    return { dates, currencies: [...currencies].sort(), from, to, skippedRows };
+  }
+
+  /**
+   * Load the rates needed to convert prices observed between two dates
+   * @param {Date} from - Earliest observation date
+   * @param {Date} to - Latest observation date
+   * @returns {Promise<number>} - Dates loaded
+   */
+  async prepare(from, to = new Date()) {
+    this.table = await this.getCollection()
+      .find({ date: { $gte: new Date(from.getTime() - this.maxAgeMs), $lte: to } }, { projection: { _id: 0, date: 1, rates: 1 } })
+      .sort({ date: 1 })
+      .toArray();
+    return this.table.length;
+  }
+
+  /**
+   * Units of a currency per 1 base on a date, from the prepared rates
+   * @param {string} currency - ISO 4217 code
+   * @param {Date} date - Observation date
+   * @returns {number|null} - null without a rate within maxAgeDays
+   */
+  rateOn(currency, date) {
+    if (currency === this.base) return 1;
+
+    // Latest prepared date on or before the observation date
+    const time = date.getTime();
+    let low = 0;
+    let high = this.table.length - 1;
+    let index = -1;
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      if (this.table[middle].date.getTime() <= time) {
+        index = middle;
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    for (let i = index; i >= 0 && time - this.table[i].date.getTime() <= this.maxAgeMs; i--) {
+      const rate = this.table[i].rates[currency];
+      if (rate) return rate;
+    }
+    return null;
+  }
+
+  /**
+   * Convert an amount at the rates of a date, from the prepared rates
+   * @param {number} amount - Amount in `from`
+   * @param {string} from - Currency of the amount
+   * @param {string} to - Target currency
+   * @param {Date} date - Observation date
+   * @returns {number|null} - Converted amount, null without rates for that date
+   */
+  convert(amount, from, to, date) {
+    if (from === to) return amount;
+
+    const fromRate = this.rateOn(from, date);
+    const toRate = this.rateOn(to, date);
+    if (!fromRate || !toRate) return null;
+
+    return amount / fromRate * toRate;
+  }
+
+  /**
+   * Latest date with stored rates
+   * @returns {Promise<Date|null>}
+   */
+  async getLatestDate() {
+    const latest = await this.getCollection().findOne({}, { sort: { date: -1 }, projection: { _id: 0, date: 1 } });
+    return latest ? latest.date : null;
+  }
+}
+
+module.exports = ExchangeRates;
@@ -0,0 +1,5 @@
+const ExchangeRates = require('./exchangeRates');
+
+module.exports = {
+  ExchangeRates
+};
@@ -0,0 +1,209 @@
+const { timeBulkWrite } = require('../utils/metrics');
+
+const DEFAULT_READ_LIMIT = 100;
+const MAX_READ_LIMIT = 1000;
+
+/**
+ * Persisted feed of the games each import added or changed.
+ *
+ * Events are staged while the CSV is diffed and published once the import has been
+ * swapped into place, so a failed import leaves no events behind. Published events
+ * get an increasing `seq`, in the order they were staged, that consumers use as their cursor:
+ *
+ *   { seq, game_id, name, change_type: 'new' | 'updated',
+ *     changes: [{ field, before, after, delta }], dump_date, imported_at, recorded_at }
+ *
+ * `delta` is after - before for numeric fields. Consumers either keep their cursor
+ * themselves or store it as a named checkpoint (see consume()).
+ */
+class ChangeFeed {
+  constructor(database, config) {
+    this.database = database;
+    this.config = config;
+    this.collectionName = config.processing.collections.changes || 'change_events';
+    this.stagingName = `${this.collectionName}_staging`;
+    this.checkpointsName = config.processing.collections.changeCheckpoints || 'change_feed_checkpoints';
+    this.countersName = config.processing.collections.counters || 'counters';
+    this.staged = 0;
+  }
+
+  getCollection() {
+    return this.database.getCollection(this.collectionName);
+  }
+
+  /**
+   * Build the event of a new or changed game
+   * @param {string} changeType - 'new' or 'updated'
+   * @param {Object} game - Parsed game document
+   * @param {Object} changes - Field differences from CsvSchema.diff()
+   */
+  static buildEvent(changeType, game, changes) {
+    return {
+      game_id: game.id,
+      name: game.name,
+      change_type: changeType,
+      // The id is the event's game_id and never changes
+      changes: Object.entries(changes).filter(([field]) => field !== 'id').map(([field, { before, after }]) => {
+        const change = { field, before, after };
+        if (typeof before === 'number' && typeof after === 'number') {
+          change.delta = after - before;
+        }
+        return change;
+      })
+    };
+  }
+
+  /**
+   * Start staging the events of a new import
+   */
+  async prepare() {
+    await this.database.getDb().collection(this.stagingName).drop().catch(() => {});
+    this.staged = 0;
+  }
+
+  /**
+   * Stage events of the import in progress
+   * @param {Array<Object>} events - Events from buildEvent()
+   */
+  async stage(events) {
+    if (events.length === 0) return;
+    await timeBulkWrite(this.stagingName, 'insertMany', () => this.database.getCollection(this.stagingName).insertMany(events, { ordered: true }));
+    this.staged += events.length;
+  }
+
+  /**
+   * Drop the staged events of an import that changed nothing
+   */
+  async discard() {
+    await this.prepare();
+  }
+
+  /**
+   * Append the staged events to the feed, once the import is live
+   * @param {Object} importInfo - { dumpDate, importTimestamp }
+   * @param {number} batchSize - Insert batch size
+   * @returns {Promise<Object>} - { published, firstSeq, lastSeq }
+   */
+  async publish({ dumpDate, importTimestamp }, batchSize = 1000) {
+    const count = this.staged;
+    if (count === 0) {
+      await this.discard();
+      return { published: 0, firstSeq: null, lastSeq: null };
+    }
+
+    // Reserve a block of sequence numbers for this import
+    const counter = await this.database.getCollection(this.countersName).findOneAndUpdate(
+      { _id: this.collectionName },
+      { $inc: { seq: count } },
+      { upsert: true, returnDocument: 'after' }
+    );
+    const firstSeq = counter.seq - count + 1;
+
+    const recordedAt = new Date();
+    const collection = this.getCollection();
+    const cursor = this.database.getCollection(this.stagingName).find({}, { projection: { _id: 0 } }).sort({ _id: 1 });
+    let seq = firstSeq;
+    let batch = [];
+
+    for await (const event of cursor) {
+      batch.push({ seq: seq++, ...event, dump_date: dumpDate, imported_at: importTimestamp, recorded_at: recordedAt });
+      if (batch.length >= batchSize) {
+        await timeBulkWrite(this.collectionName, 'insertMany', () => collection.insertMany(batch, { ordered: true }));
+        batch = [];
+      }
+    }
+
+    if (batch.length > 0) {
+      await timeBulkWrite(this.collectionName, 'insertMany', () => collection.insertMany(batch, { ordered: true }));
+    }
+
+    await this.discard();
+    return { published: seq - firstSeq, firstSeq, lastSeq: seq - 1 };
+  }
+
+  /**
+   * Read events after a cursor, oldest first
+   * @param {Object} options - { after, limit, types, gameId, fields } where after is the
+   *   seq of the last event already consumed (0 for the start of the feed), types a list
+   *   of change types and fields a list of fields of which at least one must have changed
+   * @returns {Promise<Object>} - { events, cursor, hasMore } where cursor is the value of
+   *   `after` for the next read
+   */
+  async read({ after = 0, limit = DEFAULT_READ_LIMIT, types = null, gameId = null, fields = null } = {}) {
+    const boundedLimit = Math.min(Math.max(1, limit), MAX_READ_LIMIT);
+    const filter = { seq: { $gt: after } };
+    if (types && types.length > 0) filter.change_type = { $in: types };
+    if (gameId !== null && gameId !== undefined) filter.game_id = gameId;
+    if (fields && fields.length > 0) filter['changes.field'] = { $in: fields };
+
+    const events = await this.getCollection()
+      .find(filter, { projection: { _id: 0 } })
+      .sort({ seq: 1 })
+      .limit(boundedLimit + 1)
+      .toArray();
+
+    const hasMore = events.length > boundedLimit;
+    if (hasMore) events.pop();
+
+    return {
+      events,
+      cursor: events.length > 0 ? events[events.length - 1].seq : after,
+      hasMore
+    };
+  }
+
+  /**
+   * Cursor stored for a named consumer
+   * @param {string} consumer - Consumer name
+   * @returns {Promise<number>} - seq of the last consumed event, 0 if none
+   */
+  async getCheckpoint(consumer) {
+    const checkpoint = await this.database.getCollection(this.checkpointsName).findOne({ _id: consumer });
+    return checkpoint ? checkpoint.cursor : 0;
+  }
+
+  /**
+   * Store the cursor of a named consumer
+   * @param {string} consumer - Consumer name
+   * @param {number} cursor - seq of the last consumed event
+   */
+  async saveCheckpoint(consumer, cursor) {
+    await this.database.getCollection(this.checkpointsName).updateOne(
+      { _id: consumer },
+      { $set: { cursor, updated_at: new Date() } },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Hand all events after a consumer's checkpoint to a handler, batch by batch
+   * The checkpoint is saved after each batch the handler completes, so a failed
+   * batch is delivered again on the next call (at-least-once).
+   * @param {string} consumer - Consumer name
+   * @param {Function} handler - Async function receiving an array of events
+   * @param {Object} options - read() filters and limit (batch size)
+   * @returns {Promise<Object>} - { consumed, cursor }
+   */
+  async consume(consumer, handler, options = {}) {
+    let cursor = await this.getCheckpoint(consumer);
+    let consumed = 0;
+
+    for (;;) {
+      const page = await this.read({ ...options, after: cursor });
+      if (page.events.length > 0) {
+        await handler(page.events);
+        consumed += page.events.length;
+      }
+
+      if (page.cursor !== cursor) {
+        cursor = page.cursor;
+        await this.saveCheckpoint(consumer, cursor);
+      }
+      if (!page.hasMore) break;
+    }
+
+    return { consumed, cursor };
+  }
+}
+
+module.exports = ChangeFeed;
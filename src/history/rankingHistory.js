@@ -0,0 +1,144 @@
+const { timeBulkWrite } = require('../utils/metrics');
+
+const SNAPSHOT_FIELDS = ['rank', 'bayes_average', 'average', 'users_rated'];
+
+class RankingHistory {
+  constructor(database, config) {
+    this.database = database;
+    this.config = config;
+    this.collectionName = config.processing.collections.history || 'ranking_history';
+  }
+
+  /**
+   * Extract the dump date from an archive file name or download URL
+   * @param {string} source - e.g. boardgames_ranks_2025-06-30.zip or its signed URL
+   * @returns {Date|null} - Dump date at UTC midnight
+   */
+  static parseDumpDate(source) {
+    if (!source) return null;
+
+    const match = String(source).match(/boardgames_ranks_(\d{4})-(\d{2})-(\d{2})/);
+    if (!match) return null;
+
+    const [, year, month, day] = match.map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+  }
+
+  /**
+   * Today's date at UTC midnight, used when the dump date is unknown
+   */
+  static today() {
+    const now = new Date();
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  }
+
+  getCollection() {
+    return this.database.getCollection(this.collectionName);
+  }
+
+  /**
+   * Append a snapshot of the ranking fields for each game
+   * Re-importing the same dump overwrites that day's snapshot instead of duplicating it.
+   * @param {Array<Object>} games - Game documents from the import
+   * @param {Date} dumpDate - Date of the BGG dump
+   * @param {number} batchSize - Bulk write batch size
+   */
+  async recordSnapshots(games, dumpDate, batchSize = 1000) {
+    if (games.length === 0) return 0;
+
+    const collection = this.getCollection();
+    const recordedAt = new Date();
+    let recorded = 0;
+
+    for (let i = 0; i < games.length; i += batchSize) {
+      const batch = games.slice(i, i + batchSize).map(game => ({
+        updateOne: {
+          filter: { game_id: game.id, dump_date: dumpDate },
+          update: {
+            $set: {
+              ...this.toSnapshot(game),
+              recorded_at: recordedAt
+            }
+          },
+          upsert: true
+        }
+      }));
+
+      await this.database.ensureConnection();
+      await timeBulkWrite(this.collectionName, 'bulkWrite', () => collection.bulkWrite(batch, { ordered: false }));
+      recorded += batch.length;
+    }
+
+    return recorded;
+  }
+
+  /**
+   * Build a compact snapshot, omitting fields the game does not have
+   * @param {Object} game - Game document
+   */
+  toSnapshot(game) {
+    const snapshot = {};
+    for (const field of SNAPSHOT_FIELDS) {
+      if (game[field] !== undefined && game[field] !== null) {
+        snapshot[field] = game[field];
+      }
+    }
+    return snapshot;
+  }
+
+  /**
+   * Get the snapshots of a game within a date range, oldest first
+   * @param {number} gameId - BGG game id
+   * @param {Object} range - Optional { from, to } dates (inclusive)
+   */
+  async getGameHistory(gameId, { from, to } = {}) {
+    const filter = { game_id: gameId };
+    if (from || to) {
+      filter.dump_date = {};
+      if (from) filter.dump_date.$gte = new Date(from);
+      if (to) filter.dump_date.$lte = new Date(to);
+    }
+
+    return await this.getCollection()
+      .find(filter, { projection: { _id: 0, recorded_at: 0 } })
+      .sort({ dump_date: 1 })
+      .toArray();
+  }
+
+  /**
+   * Get a game's rank/rating trajectory over a date range
+   * Snapshots are only written when a game changes, so the last snapshot before
+   * the range is carried forward as the starting point.
+   * @param {number} gameId - BGG game id
+   * @param {Object} range - Optional { from, to } dates (inclusive)
+   */
+  async getTrajectory(gameId, { from, to } = {}) {
+    const points = await this.getGameHistory(gameId, { from, to });
+
+    if (from) {
+      const baseline = await this.getCollection().findOne(
+        { game_id: gameId, dump_date: { $lt: new Date(from) } },
+        { sort: { dump_date: -1 }, projection: { _id: 0, recorded_at: 0 } }
+      );
+      if (baseline) {
+        points.unshift({ ...baseline, dump_date: new Date(from), carried_forward: true });
+      }
+    }
+
+    const first = points[0];
+    const last = points[points.length - 1];
+    const change = {};
+
+    if (first && last) {
+      for (const field of SNAPSHOT_FIELDS) {
+        if (typeof first[field] === 'number' && typeof last[field] === 'number') {
+          change[field] = last[field] - first[field];
+        }
+      }
+    }
+
+    return { gameId, from: from || null, to: to || null, points, change };
+  }
+}
+
+module.exports = RankingHistory;
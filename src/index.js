@@ -1,12 +1,16 @@
-const DataFetchJob = require('./jobs/dataFetchJob');
+const { JobRunner, createJobs } = require('./jobs');
 const Database = require('./utils/database');
-const path = require('path');
-const fs = require('fs-extra');
+const ApiServer = require('./api/server');
+const { createNotifier } = require('./notifications');
+const jobsConfig = require('../config/jobs-config');
+const { logger } = require('./utils/logger');
 
 class BGMarketWorker {
   constructor() {
     this.database = new Database();
-    this.jobs = [];
+    this.notifier = createNotifier();
+    this.jobRunner = new JobRunner(this.database, { lock: jobsConfig.lock, notifier: this.notifier });
+    this.apiServer = null;
     this.isShuttingDown = false;
   }
 
@@ -15,127 +19,69 @@ class BGMarketWorker {
    */
   async initialize() {
     try {
-      console.log('🚀 Starting BG Market Worker...');
+      logger.info('🚀 Starting BG Market Worker...');
       
       // Connect to database
       await this.database.connect();
       
-      // Setup data fetch job
-      await this.setupDataFetchJob();
+      // Start HTTP API
+      await this.setupApiServer();
+      
+      // Register and schedule jobs
+      await this.setupJobs();
       
       // Setup graceful shutdown
       this.setupGracefulShutdown();
       
-      console.log('✅ BG Market Worker initialized successfully');
+      logger.info('✅ BG Market Worker initialized successfully');
       
     } catch (error) {
-      console.error('❌ Failed to initialize worker:', error);
+      logger.error('❌ Failed to initialize worker', { error });
       process.exit(1);
     }
   }
 
   /**
-   * Setup the data fetch job
+   * Start the embedded HTTP API unless disabled
    */
-  async setupDataFetchJob() {
-    const dataFetchJob = new DataFetchJob({
-      url: process.env.DATA_SOURCE_URL,
-      schedule: process.env.CRON_SCHEDULE || '0 */6 * * *', // Every 6 hours
-      dataDir: './data',
-      onSuccess: async (csvPath) => {
-        await this.handleJobSuccess(csvPath);
-      },
-      onError: async (error) => {
-        await this.handleJobError(error);
-      }
-    });
-
-    this.jobs.push(dataFetchJob);
-    
-    // Start the job
-    dataFetchJob.start();
-    
-    console.log(`📅 Data fetch job scheduled: ${dataFetchJob.getStatus().schedule}`);
-    
-    // Run immediately if requested
-    if (process.env.RUN_IMMEDIATELY === 'true') {
-      console.log('🏃 Running data fetch job immediately...');
-      try {
-        await dataFetchJob.runNow();
-      } catch (error) {
-        console.error('Failed to run job immediately:', error);
-      }
+  async setupApiServer() {
+    if (process.env.HTTP_ENABLED === 'false') {
+      logger.info('🌐 HTTP API disabled');
+      return;
     }
+
+    this.apiServer = new ApiServer(this, this.database);
+    await this.apiServer.start(parseInt(process.env.HTTP_PORT) || 3000);
   }
 
   /**
-   * Handle successful job execution
-   * @param {string} csvPath - Path to the extracted CSV file
+   * Register the jobs enabled in config/jobs-config.js and schedule them
    */
-  async handleJobSuccess(csvPath) {
-    try {
-      // Get file stats
-      const stats = await fs.stat(csvPath);
-      const fileName = path.basename(csvPath);
-      
-      // Store metadata in database
-      const metadata = await this.database.storeCsvMetadata({
-        fileName,
-        filePath: csvPath,
-        fileSize: stats.size,
-        lastModified: stats.mtime,
-        jobType: 'data_fetch',
-        status: 'success'
-      });
-
-      // Log job execution
-      await this.database.logJobExecution({
-        jobType: 'data_fetch',
-        status: 'success',
-        csvPath,
-        fileName,
-        fileSize: stats.size,
-        executionTime: new Date()
-      });
-
-      // Update job status
-      await this.database.updateJobStatus('data_fetch', 'completed', {
-        lastCsvFile: fileName,
-        lastExecutionTime: new Date()
-      });
-
-      console.log(`✅ Job completed successfully. CSV: ${fileName} (${stats.size} bytes)`);
-      
-    } catch (error) {
-      console.error('Error handling job success:', error);
+  async setupJobs() {
+    for (const job of createJobs(this.database, jobsConfig)) {
+      this.jobRunner.register(job);
     }
-  }
 
-  /**
-   * Handle job execution error
-   * @param {Error} error - The error that occurred
-   */
-  async handleJobError(error) {
-    try {
-      // Log job execution error
-      await this.database.logJobExecution({
-        jobType: 'data_fetch',
-        status: 'error',
-        error: error.message,
-        stack: error.stack,
-        executionTime: new Date()
-      });
-
-      // Update job status
-      await this.database.updateJobStatus('data_fetch', 'failed', {
-        lastError: error.message,
-        lastErrorTime: new Date()
-      });
-
-      console.error(`❌ Job failed: ${error.message}`);
-      
-    } catch (dbError) {
-      console.error('Error handling job error:', dbError);
+    await this.jobRunner.start();
+
+    // Catch up on runs missed while the worker was down, or run everything if requested
+    const missed = await this.jobRunner.checkMissedRuns();
+    const startupRuns = jobsConfig.runOnStart
+      ? this.jobRunner.getJobNames().map(name => ({ name, trigger: 'manual' }))
+      : missed.filter(run => run.catchUp).map(run => ({ name: run.name, trigger: 'catch_up' }));
+
+    for (const { name, trigger } of startupRuns) {
+      // A shutdown during the startup runs skips the remaining ones
+      if (this.jobRunner.stopped) {
+        logger.info(`⏭️  Skipping startup run of job ${name}, the worker is shutting down`);
+        continue;
+      }
+      try {
+        logger.info(`🏃 Running job ${name} at startup (${trigger})...`);
+        await this.jobRunner.execute(name, trigger);
+      } catch (error) {
+        logger.error(`Failed to run job ${name} at startup: ${error.message}`);
+      }
     }
   }
 
@@ -146,25 +92,30 @@ class BGMarketWorker {
     const shutdown = async (signal) => {
       if (this.isShuttingDown) return;
       
-      console.log(`\n🛑 Received ${signal}. Shutting down gracefully...`);
+      logger.info(`🛑 Received ${signal}. Shutting down gracefully...`);
       this.isShuttingDown = true;
 
       try {
         // Stop all jobs
-        for (const job of this.jobs) {
-          if (job.stop) {
-            job.stop();
-          }
+        this.jobRunner.stop();
+
+        // Deliver notifications still in flight
+        await this.notifier.flush();
+
+        // Stop accepting HTTP requests
+        if (this.apiServer) {
+          await this.apiServer.stop();
         }
 
         // Disconnect from database
         await this.database.disconnect();
 
-        console.log('✅ Worker shut down gracefully');
+        logger.info('✅ Worker shut down gracefully');
+        await logger.close();
         process.exit(0);
         
       } catch (error) {
-        console.error('Error during shutdown:', error);
+        logger.error('Error during shutdown', { error });
         process.exit(1);
       }
     };
@@ -181,14 +132,14 @@ class BGMarketWorker {
     return {
       isRunning: !this.isShuttingDown,
       databaseConnected: this.database.isConnected(),
-      jobs: this.jobs.map(job => job.getStatus ? job.getStatus() : { status: 'unknown' }),
+      jobs: this.jobRunner.getStatus(),
       uptime: process.uptime(),
       memoryUsage: process.memoryUsage()
     };
   }
 
   /**
-   * Health check endpoint (for potential future HTTP server)
+   * Health check served by the HTTP API at /health
    */
   async healthCheck() {
     const status = this.getStatus();
@@ -206,18 +157,18 @@ const worker = new BGMarketWorker();
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (error) => {
-  console.error('Uncaught Exception:', error);
+  logger.error('Uncaught Exception', { error });
   process.exit(1);
 });
 
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+process.on('unhandledRejection', (reason) => {
+  logger.error('Unhandled Rejection', { error: reason });
   process.exit(1);
 });
 
 // Initialize the worker
 worker.initialize().catch((error) => {
-  console.error('Failed to start worker:', error);
+  logger.error('Failed to start worker', { error });
   process.exit(1);
 });
 
@@ -1,7 +1,13 @@
-const cron = require('node-cron');
+const path = require('path');
 const FileExtractor = require('../utils/fileExtractor');
+const UrlFetcher = require('../utils/urlFetcher');
 const BGGDataProcessor = require('../processors/bggDataProcessor');
+const RankingHistory = require('../history/rankingHistory');
+const { GameSearch } = require('../search');
 const bggConfig = require('../../config/bgg-config');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ component: 'bggDataJob' });
 
 class BGGDataJob {
   constructor(database, config = {}) {
@@ -10,103 +16,115 @@ class BGGDataJob {
       ...bggConfig,
       ...config
     };
-    
-    this.extractor = new FileExtractor('./data');
-    this.processor = new BGGDataProcessor(database, this.config);
-    this.job = null;
-  }
-
-  /**
-   * Start the BGG data fetch job
-   */
-  start() {
-    if (!this.config.dataSource.url || this.config.dataSource.url.includes('DOWNLOAD_LINK')) {
-      throw new Error('BGG data source URL is not configured. Please update config/bgg-config.js with the actual download URL.');
-    }
-
-    this.extractor.log(`🎲 Starting BGG data fetch job with schedule: ${this.config.schedule.cron}`);
-    this.extractor.log(`📡 BGG data source URL: ${this.config.dataSource.url}`);
 
-    this.job = cron.schedule(this.config.schedule.cron, async () => {
-      await this.executeJob();
-    }, {
-      scheduled: false,
-      timezone: this.config.schedule.timezone || "UTC"
+    this.name = this.config.name || 'bgg_data_fetch';
+    this.schedule = this.config.schedule.cron;
+    this.timezone = this.config.schedule.timezone || 'UTC';
+    this.extractor = new FileExtractor('./data', {
+      download: { ...this.config.download, headers: this.config.dataSource.headers },
+      extraction: this.config.extraction
+    });
+    this.processor = new BGGDataProcessor(database, this.config);
+    this.gameSearch = new GameSearch(database, this.config);
+    this.urlFetcher = new UrlFetcher({
+      pageUrl: this.config.dataSource.dumpsPage.url,
+      sessionCookie: this.config.dataSource.dumpsPage.sessionCookie,
+      refreshMarginSeconds: this.config.dataSource.dumpsPage.refreshMarginSeconds,
+      headers: this.config.dataSource.headers
     });
-
-    this.job.start();
-    this.extractor.log('✅ BGG data fetch job started successfully');
   }
 
   /**
-   * Stop the cron job
+   * Check the job configuration before it is scheduled
    */
-  stop() {
-    if (this.job) {
-      this.job.stop();
-      this.extractor.log('🛑 BGG data fetch job stopped');
+  validate() {
+    if (!this.config.dataSource.url && !this.config.dataSource.dumpsPage.sessionCookie) {
+      throw new Error('BGG data source is not configured. Set BGG_SESSION_COOKIE so the download URL can be resolved, or BGG_DATA_URL with a fresh download URL.');
     }
   }
 
   /**
-   * Execute the BGG data job
+   * Download the BGG dump and import it, called by the JobRunner
+   * @param {Object} context - Run context ({ database, timeline, log, ... })
+   * @returns {Promise<Object>} - Run details stored in job_logs
    */
-  async executeJob() {
-    try {
-      this.extractor.log('🚀 === Starting BGG data fetch job execution ===');
-      
-      // Step 1: Get a valid download URL (refresh if expired)
-      const downloadUrl = await this.urlFetcher.getValidDownloadUrl(this.config.dataSource.url);
-      
-      // Step 2: Download and extract the file
-      const csvPath = await this.extractor.downloadAndExtract(downloadUrl);
-      this.extractor.log(`📁 CSV extracted to: ${csvPath}`);
-      
-      // Step 3: Process the CSV data and update MongoDB
-      await this.processor.processCsvFile(csvPath);
-      
-      // Step 4: Update job status in database
-      await this.database.updateJobStatus('bgg_data_fetch', 'completed', {
-        lastCsvFile: csvPath,
-        lastExecutionTime: new Date(),
-        dataSource: 'boardgamegeek'
-      });
-
-      // Step 5: Log successful execution
-      await this.database.logJobExecution({
-        jobType: 'bgg_data_fetch',
-        status: 'success',
-        csvPath,
-        dataSource: 'boardgamegeek',
-        executionTime: new Date()
-      });
+  async run(context) {
+    context.log.info('🚀 === Starting BGG data fetch job execution ===');
+    context.log.info(`📡 BGG data source: ${this.config.dataSource.url || this.config.dataSource.dumpsPage.url}`);
+    
+    // Step 1: Get a valid download URL (refresh if expired)
+    const downloadUrl = await context.timeline.measure('resolve_url', () => this.urlFetcher.getValidDownloadUrl(this.config.dataSource.url));
+    
+    // Step 2: Download and extract the file
+    const csvPath = await this.extractor.downloadAndExtract(downloadUrl, {
+      expectedFiles: this.config.processing.expectedFiles,
+      timeline: context.timeline
+    });
+    context.log.info(`📁 CSV extracted to: ${csvPath}`);
+
+    const download = this.extractor.lastDownload;
+    const archiveName = path.basename(new URL(downloadUrl).pathname);
+    const dumpDate = RankingHistory.parseDumpDate(archiveName);
+    const csvMetadata = {
+      fileName: path.basename(csvPath),
+      filePath: csvPath,
+      archiveName,
+      dumpDate,
+      archiveBytes: download.bytes,
+      archiveSha256: download.sha256,
+      archiveEtag: download.etag,
+      csvBytes: download.csvBytes,
+      csvSha256: download.csvSha256,
+      downloadAttempts: download.attempts,
+      jobType: this.name
+    };
 
-      this.extractor.log('✅ === BGG data fetch job execution completed successfully ===');
-      
-      return csvPath;
-      
-    } catch (error) {
-      this.extractor.log(`❌ BGG data job failed: ${error.message}`);
-      
-      // Log error to database
-      await this.database.logJobExecution({
-        jobType: 'bgg_data_fetch',
-        status: 'error',
-        error: error.message,
-        stack: error.stack,
-        dataSource: 'boardgamegeek',
-        executionTime: new Date()
-      });
+    // Step 3: Skip processing if the dump is identical to the last successful import
+    const lastImport = await context.database.getLastSuccessfulImport(this.name);
+    if (lastImport && (lastImport.archiveSha256 === download.sha256 || lastImport.csvSha256 === download.csvSha256)) {
+      const lastDump = lastImport.dumpDate || lastImport.processedAt;
+      const message = `skipped: identical to dump of ${lastDump.toISOString().slice(0, 10)}`;
+      context.log.info(`⏭️  ${message}`);
 
-      // Update job status
-      await this.database.updateJobStatus('bgg_data_fetch', 'failed', {
-        lastError: error.message,
-        lastErrorTime: new Date()
-      });
+      await context.database.storeCsvMetadata({ ...csvMetadata, status: 'skipped_identical', identicalTo: lastImport._id });
 
-      this.extractor.log('❌ === BGG data fetch job execution failed ===');
-      throw error;
+      return {
+        status: 'skipped',
+        message,
+        csvPath,
+        csvSha256: download.csvSha256,
+        dataSource: 'boardgamegeek',
+        statusData: { lastCsvFile: csvPath, dataSource: 'boardgamegeek' }
+      };
     }
+    
+    // Step 4: Process the CSV data and update MongoDB
+    const result = await this.processor.processCsvFile(csvPath, { dumpDate, timeline: context.timeline });
+    await context.database.storeCsvMetadata({ ...csvMetadata, status: 'success' });
+
+    context.log.info('✅ === BGG data fetch job execution completed successfully ===');
+    
+    return {
+      csvPath,
+      dumpDate,
+      dataSource: 'boardgamegeek',
+      totalProcessed: result.totalProcessed,
+      newGamesCount: result.newGamesCount,
+      updatedGamesCount: result.updatedGamesCount,
+      unchangedCount: result.unchangedCount,
+      newGames: result.newGames,
+      changeEvents: result.changeEvents,
+      watchlistAlerts: result.watchlistAlerts,
+      totals: {
+        rows: result.validationReport.rowsTotal,
+        rejected: result.validationReport.rowsRejected,
+        new: result.newGamesCount,
+        updated: result.updatedGamesCount,
+        unchanged: result.unchangedCount
+      },
+      noChanges: !!result.noChanges,
+      statusData: { lastCsvFile: csvPath, dataSource: 'boardgamegeek' }
+    };
   }
 
   /**
@@ -114,24 +132,14 @@ class BGGDataJob {
    */
   getStatus() {
     return {
-      jobType: 'bgg_data_fetch',
-      isRunning: this.job ? this.job.running : false,
-      schedule: this.config.schedule.cron,
       url: this.config.dataSource.url,
+      dumpsPageUrl: this.config.dataSource.dumpsPage.url,
       dataDir: './data',
       expectedFiles: this.config.processing.expectedFiles,
       collections: this.config.processing.collections
     };
   }
 
-  /**
-   * Run job immediately (for testing)
-   */
-  async runNow() {
-    this.extractor.log('🏃 Running BGG data fetch job immediately...');
-    return await this.executeJob();
-  }
-
   /**
    * Get BGG data statistics from database
    */
@@ -154,7 +162,7 @@ class BGGDataJob {
       
       return stats;
     } catch (error) {
-      console.error('Error getting BGG data stats:', error);
+      log.error('Error getting BGG data stats', { error });
       return { error: error.message };
     }
   }
@@ -163,45 +171,80 @@ class BGGDataJob {
    * Search games in the database
    * @param {string} query - Search query
    * @param {number} limit - Result limit
+   * @param {Object} filters - Optional { isExpansion, year, yearFrom, yearTo }
+   */
+  async searchGames(query, limit = 10, filters = {}) {
+    try {
+      return await this.gameSearch.search(query, { ...filters, limit });
+    } catch (error) {
+      log.error('Error searching games', { error });
+      return [];
+    }
+  }
+
+  /**
+   * Get top ranked games
+   * @param {number} limit - Number of top games to return
    */
-  async searchGames(query, limit = 10) {
+  async getTopGames(limit = 100) {
     try {
       const collection = this.database.getCollection(this.config.processing.collections.games);
       
       const results = await collection.find({
-        name: { $regex: query, $options: 'i' }
+        rank: { $exists: true, $ne: null }
       })
+      .sort({ rank: 1 })
       .limit(limit)
       .toArray();
       
       return results;
     } catch (error) {
-      console.error('Error searching games:', error);
+      log.error('Error getting top games', { error });
       return [];
     }
   }
 
   /**
-   * Get top ranked games
+   * Get top ranked games in a BGG subdomain (category)
+   * @param {string} subdomain - Subdomain key, e.g. 'strategygames' (see processing.subdomainRanks)
    * @param {number} limit - Number of top games to return
    */
-  async getTopGames(limit = 100) {
+  async getTopGamesInCategory(subdomain, limit = 100) {
+    if (!Object.hasOwn(this.config.processing.subdomainRanks, subdomain)) {
+      throw new Error(`Unknown category: ${subdomain}. Expected one of: ${Object.keys(this.config.processing.subdomainRanks).join(', ')}`);
+    }
+
     try {
-      const collection = this.database.getCollection(this.config.processing.collections.rankings);
-      
+      const collection = this.database.getCollection(this.config.processing.collections.games);
+      const rankField = `subdomain_ranks.${subdomain}`;
+
       const results = await collection.find({
-        rank: { $exists: true, $ne: null }
+        [rankField]: { $exists: true, $ne: null }
       })
-      .sort({ rank: 1 })
+      .sort({ [rankField]: 1 })
       .limit(limit)
       .toArray();
-      
+
       return results;
     } catch (error) {
-      console.error('Error getting top games:', error);
+      log.error(`Error getting top games in ${subdomain}`, { error });
       return [];
     }
   }
+
+  /**
+   * Get a game's rank/rating trajectory from the ranking history
+   * @param {number} gameId - BGG game id
+   * @param {Object} range - Optional { from, to } dates (inclusive)
+   */
+  async getGameTrajectory(gameId, range = {}) {
+    try {
+      return await this.processor.rankingHistory.getTrajectory(gameId, range);
+    } catch (error) {
+      log.error('Error getting game trajectory', { error });
+      return { gameId, points: [], change: {}, error: error.message };
+    }
+  }
 }
 
 module.exports = BGGDataJob; 
\ No newline at end of file
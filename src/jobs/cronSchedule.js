@@ -0,0 +1,29 @@
+const cronParser = require('cron-parser');
+
+const DEFAULT_LOOKBACK_MS = 400 * 24 * 60 * 60 * 1000;
+
+/**
+ * Find the latest time a cron schedule fired within (since, until]
+ * @param {string} schedule - Cron expression
+ * @param {string} timezone - Timezone of the schedule
+ * @param {Date} since - Exclusive lower bound, e.g. the last execution
+ * @param {Date} until - Inclusive upper bound (default now)
+ * @param {number} maxLookbackMs - Never search further back than this
+ * @returns {Date|null} - Latest scheduled time, or null if the schedule did not fire
+ */
+function lastScheduledTime(schedule, timezone, since, until = new Date(), maxLookbackMs = DEFAULT_LOOKBACK_MS) {
+  const lowerBound = Math.max(since ? since.getTime() : -Infinity, until.getTime() - maxLookbackMs);
+
+  // prev() is exclusive and works in whole seconds, so start just after until
+  const interval = cronParser.parseExpression(schedule, {
+    currentDate: new Date(Math.floor(until.getTime() / 1000) * 1000 + 1000),
+    tz: timezone
+  });
+
+  const previous = interval.prev().toDate();
+  return previous.getTime() > lowerBound ? previous : null;
+}
+
+module.exports = {
+  lastScheduledTime
+};
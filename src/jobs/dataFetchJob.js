@@ -1,4 +1,5 @@
-const cron = require('node-cron');
+const path = require('path');
+const fs = require('fs-extra');
 const FileExtractor = require('../utils/fileExtractor');
 
 class DataFetchJob {
@@ -6,76 +7,71 @@ class DataFetchJob {
     this.config = {
       url: config.url || process.env.DATA_SOURCE_URL,
       schedule: config.schedule || '0 */6 * * *', // Every 6 hours by default
+      timezone: config.timezone || 'UTC',
       dataDir: config.dataDir || './data',
       ...config
     };
-    
-    this.extractor = new FileExtractor(this.config.dataDir);
-    this.job = null;
+
+    this.name = this.config.name || 'data_fetch';
+    this.schedule = this.config.schedule;
+    this.timezone = this.config.timezone;
+    this.extractor = new FileExtractor(this.config.dataDir, {
+      download: this.config.download,
+      extraction: this.config.extraction
+    });
   }
 
   /**
-   * Start the cron job
+   * Check the job configuration before it is scheduled
    */
-  start() {
+  validate() {
     if (!this.config.url) {
       throw new Error('Data source URL is required. Set DATA_SOURCE_URL environment variable or pass url in config.');
     }
+  }
 
-    this.extractor.log(`Starting data fetch job with schedule: ${this.config.schedule}`);
-    this.extractor.log(`Data source URL: ${this.config.url}`);
+  /**
+   * Download and extract the data file, called by the JobRunner
+   * @param {Object} context - Run context ({ database, timeline, log, ... })
+   * @returns {Promise<Object>} - Run details stored in job_logs
+   */
+  async run(context) {
+    context.log.info('=== Starting data fetch job execution ===');
 
-    this.job = cron.schedule(this.config.schedule, async () => {
-      await this.executeJob();
-    }, {
-      scheduled: false,
-      timezone: "UTC"
+    const csvPath = await this.extractor.downloadAndExtract(this.config.url, {
+      expectedFiles: this.config.expectedFiles,
+      timeline: context.timeline
     });
+    const download = this.extractor.lastDownload;
 
-    this.job.start();
-    this.extractor.log('Data fetch job started successfully');
-  }
+    // Get file stats
+    const stats = await fs.stat(csvPath);
+    const fileName = path.basename(csvPath);
 
-  /**
-   * Stop the cron job
-   */
-  stop() {
-    if (this.job) {
-      this.job.stop();
-      this.extractor.log('Data fetch job stopped');
-    }
-  }
+    // Store metadata in database
+    await context.database.storeCsvMetadata({
+      fileName,
+      filePath: csvPath,
+      fileSize: stats.size,
+      lastModified: stats.mtime,
+      archiveBytes: download.bytes,
+      archiveSha256: download.sha256,
+      archiveEtag: download.etag,
+      csvSha256: download.csvSha256,
+      downloadAttempts: download.attempts,
+      jobType: this.name,
+      status: 'success'
+    });
 
-  /**
-   * Execute the job manually
-   */
-  async executeJob() {
-    try {
-      this.extractor.log('=== Starting data fetch job execution ===');
-      
-      const csvPath = await this.extractor.downloadAndExtract(this.config.url);
-      
-      this.extractor.log(`Job completed successfully. CSV file available at: ${csvPath}`);
-      this.extractor.log('=== Data fetch job execution completed ===');
-      
-      // Emit event for other parts of the application
-      if (this.config.onSuccess) {
-        await this.config.onSuccess(csvPath);
-      }
-      
-      return csvPath;
-      
-    } catch (error) {
-      this.extractor.log(`Job failed with error: ${error.message}`);
-      this.extractor.log('=== Data fetch job execution failed ===');
-      
-      // Emit error event
-      if (this.config.onError) {
-        await this.config.onError(error);
-      }
-      
-      throw error;
-    }
+    context.log.info(`Job completed successfully. CSV file available at: ${csvPath}`, { fileSize: stats.size });
+    context.log.info('=== Data fetch job execution completed ===');
+
+    return {
+      csvPath,
+      fileName,
+      fileSize: stats.size,
+      statusData: { lastCsvFile: fileName }
+    };
   }
 
   /**
@@ -83,20 +79,10 @@ class DataFetchJob {
    */
   getStatus() {
     return {
-      isRunning: this.job ? this.job.running : false,
-      schedule: this.config.schedule,
       url: this.config.url,
       dataDir: this.config.dataDir
     };
   }
-
-  /**
-   * Run job immediately (for testing)
-   */
-  async runNow() {
-    this.extractor.log('Running data fetch job immediately...');
-    return await this.executeJob();
-  }
 }
 
-module.exports = DataFetchJob; 
\ No newline at end of file
+module.exports = DataFetchJob;
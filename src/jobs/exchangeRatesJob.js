@@ -0,0 +1,65 @@
+const FileExtractor = require('../utils/fileExtractor');
+const { ExchangeRates } = require('../currency');
+const currencyConfig = require('../../config/currency-config');
+
+class ExchangeRatesJob {
+  constructor(database, config = {}) {
+    this.database = database;
+    this.config = {
+      ...currencyConfig,
+      ...config,
+      rates: { ...currencyConfig.rates, ...config.rates }
+    };
+
+    this.name = this.config.name || 'exchange_rates_fetch';
+    this.schedule = this.config.schedule || '30 16 * * 1-5';
+    this.timezone = this.config.timezone || 'Europe/Berlin';
+    this.extractor = new FileExtractor(this.config.dataDir || './data', {
+      download: this.config.download,
+      extraction: this.config.extraction
+    });
+    this.exchangeRates = new ExchangeRates(database, this.config);
+  }
+
+  /**
+   * Download the rates file if a URL is configured, else load the local one; called by the JobRunner
+   * @param {Object} context - Run context ({ database, timeline, log, ... })
+   * @returns {Promise<Object>} - Run details stored in job_logs
+   */
+  async run(context) {
+    context.log.info('💱 === Starting exchange rates job execution ===');
+
+    const filePath = this.config.rates.url
+      ? await this.extractor.downloadAndExtract(this.config.rates.url, { timeline: context.timeline })
+      : this.config.rates.file;
+
+    const result = await context.timeline.measure('load', () => this.exchangeRates.loadFile(filePath));
+    context.timeline.add('load', { rows: result.dates });
+
+    context.log.info('✅ === Exchange rates job execution completed ===');
+
+    return {
+      filePath,
+      source: this.config.rates.url ? 'download' : 'local_file',
+      dates: result.dates,
+      currencies: result.currencies,
+      from: result.from,
+      to: result.to,
+      skippedRows: result.skippedRows,
+      statusData: { lastRatesDate: result.to }
+    };
+  }
+
+  /**
+   * Get job status
+   */
+  getStatus() {
+    return {
+      url: this.config.rates.url,
+      file: this.config.rates.file,
+      baseCurrency: this.config.baseCurrency
+    };
+  }
+}
+
+module.exports = ExchangeRatesJob;
@@ -0,0 +1,77 @@
+const JobRunner = require('./jobRunner');
+const DataFetchJob = require('./dataFetchJob');
+const BGGDataJob = require('./bggDataJob');
+const ListingsJob = require('./listingsJob');
+const ExchangeRatesJob = require('./exchangeRatesJob');
+const bggConfig = require('../../config/bgg-config');
+const { logger } = require('../utils/logger');
+
+// Job implementations selectable by `type` in config/jobs-config.js
+const JOB_TYPES = {
+  data_fetch: (database, name, jobConfig) => new DataFetchJob({
+    ...jobConfig.options,
+    name,
+    schedule: jobConfig.schedule,
+    timezone: jobConfig.timezone
+  }),
+  bgg_data: (database, name, jobConfig) => new BGGDataJob(database, {
+    ...jobConfig.options,
+    name,
+    schedule: {
+      ...bggConfig.schedule,
+      cron: jobConfig.schedule || bggConfig.schedule.cron,
+      timezone: jobConfig.timezone || bggConfig.schedule.timezone
+    }
+  }),
+  listings: (database, name, jobConfig) => new ListingsJob(database, {
+    ...jobConfig.options,
+    name,
+    schedule: jobConfig.schedule,
+    timezone: jobConfig.timezone
+  }),
+  exchange_rates: (database, name, jobConfig) => new ExchangeRatesJob(database, {
+    ...jobConfig.options,
+    name,
+    schedule: jobConfig.schedule,
+    timezone: jobConfig.timezone
+  })
+};
+
+/**
+ * Create the enabled jobs of a jobs config
+ * @param {Database} database - Connected database
+ * @param {Object} jobsConfig - { jobs: { <name>: { type, enabled, schedule, timezone, retry, catchUp, options } } }
+ * @returns {Array<Object>} - Job instances ready to register with a JobRunner
+ */
+function createJobs(database, jobsConfig) {
+  const jobs = [];
+
+  for (const [name, jobConfig] of Object.entries(jobsConfig.jobs || {})) {
+    if (!jobConfig.enabled) {
+      logger.info(`⏸️  Job ${name} disabled`);
+      continue;
+    }
+
+    const factory = JOB_TYPES[jobConfig.type || name];
+    if (!factory) {
+      throw new Error(`Unknown job type for ${name}: ${jobConfig.type}. Expected one of: ${Object.keys(JOB_TYPES).join(', ')}`);
+    }
+
+    const job = factory(database, name, jobConfig);
+    if (jobConfig.retry) job.retry = jobConfig.retry;
+    if (jobConfig.catchUp !== undefined) job.catchUp = jobConfig.catchUp;
+    jobs.push(job);
+  }
+
+  return jobs;
+}
+
+module.exports = {
+  JobRunner,
+  DataFetchJob,
+  BGGDataJob,
+  ListingsJob,
+  ExchangeRatesJob,
+  JOB_TYPES,
+  createJobs
+};
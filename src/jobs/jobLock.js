@@ -0,0 +1,135 @@
+const os = require('os');
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ component: 'jobLock' });
+
+const DEFAULT_LOCK_OPTIONS = {
+  collection: 'job_locks',
+  // A lease not renewed within this time is considered abandoned
+  ttlMs: 10 * 60 * 1000,
+  // How often a running job renews its lease
+  heartbeatMs: 60 * 1000
+};
+
+/**
+ * Mongo-backed lease lock so a job runs on only one worker instance at a time.
+ *
+ * Each job has one document in job_locks ({ _id: jobName, owner, expiresAt, ... }).
+ * A lease is taken by upserting the document when it is missing or expired; a live
+ * lease held by another owner makes the upsert fail with a duplicate key error.
+ */
+class JobLock {
+  /**
+   * @param {Database} database - Connected database
+   * @param {Object} options - Overrides of DEFAULT_LOCK_OPTIONS, plus optional ownerId
+   */
+  constructor(database, options = {}) {
+    this.database = database;
+    this.options = { ...DEFAULT_LOCK_OPTIONS };
+    for (const [key, value] of Object.entries(options)) {
+      if (value !== undefined && value !== null) this.options[key] = value;
+    }
+    this.ownerId = this.options.ownerId || `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+  }
+
+  getCollection() {
+    return this.database.getCollection(this.options.collection);
+  }
+
+  /**
+   * Let MongoDB remove leases that were never released
+   */
+  async ensureIndexes() {
+    try {
+      await this.getCollection().createIndex({ expiresAt: 1 }, { name: 'expires_at_ttl', expireAfterSeconds: 0 });
+    } catch (error) {
+      log.error('Failed to create job lock index', { error });
+    }
+  }
+
+  /**
+   * Try to take the lease of a job
+   * @param {string} jobName - Job name
+   * @returns {Promise<Object>} - { acquired, owner, expiresAt } where owner is the current holder
+   */
+  async acquire(jobName) {
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + this.options.ttlMs);
+
+    try {
+      await this.getCollection().findOneAndUpdate(
+        { _id: jobName, expiresAt: { $lte: now } },
+        {
+          $set: {
+            owner: this.ownerId,
+            acquiredAt: now,
+            heartbeatAt: now,
+            expiresAt
+          }
+        },
+        { upsert: true }
+      );
+
+      return { acquired: true, owner: this.ownerId, expiresAt };
+
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+
+      // Another owner holds a live lease
+      const holder = await this.getCollection().findOne({ _id: jobName });
+      return {
+        acquired: false,
+        owner: holder ? holder.owner : null,
+        expiresAt: holder ? holder.expiresAt : null
+      };
+    }
+  }
+
+  /**
+   * Renew the lease periodically while a job runs
+   * @param {string} jobName - Job name
+   * @returns {Function} - Stops the heartbeat
+   */
+  startHeartbeat(jobName) {
+    const timer = setInterval(async () => {
+      try {
+        const now = new Date();
+        const result = await this.getCollection().updateOne(
+          { _id: jobName, owner: this.ownerId },
+          { $set: { heartbeatAt: now, expiresAt: new Date(now.getTime() + this.options.ttlMs) } }
+        );
+
+        if (result.matchedCount === 0) {
+          log.warn(`⚠️  Lost lock of job ${jobName}, another instance may run it concurrently`, { job: jobName });
+        }
+      } catch (error) {
+        log.error(`Failed to renew lock of job ${jobName}`, { job: jobName, error });
+      }
+    }, this.options.heartbeatMs);
+
+    // Don't keep the process alive just for the heartbeat
+    timer.unref();
+
+    return () => clearInterval(timer);
+  }
+
+  /**
+   * Release the lease if this instance still holds it
+   * @param {string} jobName - Job name
+   */
+  async release(jobName) {
+    try {
+      await this.getCollection().deleteOne({ _id: jobName, owner: this.ownerId });
+    } catch (error) {
+      // The lease expires on its own
+      log.error(`Failed to release lock of job ${jobName}`, { job: jobName, error });
+    }
+  }
+}
+
+JobLock.DEFAULT_LOCK_OPTIONS = DEFAULT_LOCK_OPTIONS;
+
+module.exports = JobLock;
@@ -0,0 +1,477 @@
+const cron = require('node-cron');
+const crypto = require('crypto');
+const RunTimeline = require('../utils/runTimeline');
+const JobLock = require('./jobLock');
+const Notifier = require('../notifications/notifier');
+const { logger, Logger } = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const { lastScheduledTime } = require('./cronSchedule');
+
+const log = logger.child({ component: 'jobRunner' });
+
+const DEFAULT_RETRY_POLICY = {
+  // 1 means failed runs are not retried
+  maxAttempts: 1,
+  backoffMs: 60 * 1000,
+  maxBackoffMs: 60 * 60 * 1000
+};
+
+/**
+ * Schedules registered jobs and records every run in job_logs/job_status.
+ *
+ * A job is any object with:
+ *   name      - Job identifier, used as jobType in job_logs and jobId in job_status
+ *   schedule  - Cron expression
+ *   timezone  - Timezone of the schedule (default 'UTC')
+ *   run(context) - Async function doing the work; may return a result object.
+ *     context is { database, runId, jobName, trigger, attempt, startedAt, timeline, log },
+ *     where timeline is a RunTimeline the job records its steps in and log a child
+ *     logger carrying the job name and run id.
+ *     `status` ('success' by default, or e.g. 'skipped') and `message` of the result
+ *     are recorded, `statusData` is merged into job_status and all other fields are
+ *     stored on the job_logs entry.
+ *   validate() - Optional, throws if the job is not configured correctly
+ *   getStatus() - Optional, extra fields for the worker status
+ *   retry     - Optional { maxAttempts, backoffMs, maxBackoffMs }; a failed run is
+ *     retried after backoffMs, doubling up to maxBackoffMs, until maxAttempts runs failed
+ *   catchUp   - Optional, run the job at startup when a scheduled run was missed
+ *
+ * Every run gets a runId; its job_logs entry holds the timeline `steps`. Everything
+ * logged while the job runs, by any module, carries the job name and run id.
+ *
+ * Run counts, durations, step timings and import totals are exported as Prometheus
+ * metrics (see src/utils/metrics.js).
+ *
+ * Failures, recoveries after a failure and import summaries are reported to the
+ * notifier (see src/notifications), in the background.
+ *
+ * Runs hold a lease in job_locks (see JobLock), so each job runs on one worker
+ * instance at a time. Runs that find the job busy are logged as 'skipped_locked'.
+ */
+class JobRunner {
+  /**
+   * @param {Database} database - Connected database
+   * @param {Object} options - Optional { lock, notifier } where lock holds the options
+   *   of JobLock and notifier is a Notifier (none notifies nothing)
+   */
+  constructor(database, options = {}) {
+    this.database = database;
+    this.lock = new JobLock(database, options.lock);
+    this.notifier = options.notifier || new Notifier();
+    this.jobs = new Map();
+    this.stopped = false;
+  }
+
+  /**
+   * Register a job
+   * @param {Object} job - Job definition (see above)
+   */
+  register(job) {
+    if (!job || !job.name || typeof job.run !== 'function') {
+      throw new Error('A job needs a name and a run(context) function');
+    }
+    if (this.jobs.has(job.name)) {
+      throw new Error(`Job already registered: ${job.name}`);
+    }
+    if (!cron.validate(job.schedule)) {
+      throw new Error(`Invalid cron schedule for job ${job.name}: ${job.schedule}`);
+    }
+
+    this.jobs.set(job.name, {
+      job,
+      task: null,
+      isRunning: false,
+      lastRun: null,
+      retryTimer: null,
+      nextRetryAt: null
+    });
+
+    return job;
+  }
+
+  /**
+   * Get a registered job
+   * @param {string} name - Job name
+   */
+  getJob(name) {
+    const entry = this.jobs.get(name);
+    if (!entry) {
+      throw new Error(`Unknown job: ${name}`);
+    }
+    return entry.job;
+  }
+
+  /**
+   * Names of all registered jobs
+   */
+  getJobNames() {
+    return [...this.jobs.keys()];
+  }
+
+  /**
+   * Validate and schedule all registered jobs
+   */
+  async start() {
+    this.stopped = false;
+    await this.lock.ensureIndexes();
+
+    for (const entry of this.jobs.values()) {
+      const { job } = entry;
+      if (job.validate) {
+        job.validate();
+      }
+
+      // Keep the last success metric across restarts
+      const status = await this.database.getJobStatus(job.name);
+      if (status && status.lastExecutionTime) {
+        metrics.recordLastSuccess(job.name, status.lastExecutionTime);
+      }
+
+      entry.task = cron.schedule(job.schedule, () => {
+        this.execute(job.name, 'schedule').catch(error => this.logUnhandled(job.name, 'schedule', error));
+      }, {
+        scheduled: false,
+        timezone: job.timezone || 'UTC'
+      });
+
+      entry.task.start();
+      log.info(`📅 Job ${job.name} scheduled: ${job.schedule} (${job.timezone || 'UTC'})`);
+    }
+  }
+
+  /**
+   * Stop all scheduled jobs
+   */
+  stop() {
+    // Runs still in flight must not schedule retries once stopped
+    this.stopped = true;
+    for (const entry of this.jobs.values()) {
+      this.cancelRetry(entry);
+      if (entry.task) {
+        entry.task.stop();
+        entry.task = null;
+        log.info(`🛑 Job ${entry.job.name} stopped`);
+      }
+    }
+  }
+
+  /**
+   * Run a job immediately
+   * @param {string} name - Job name
+   */
+  async runNow(name) {
+    log.info(`🏃 Running job ${name} immediately...`);
+    return await this.execute(name, 'manual');
+  }
+
+  /**
+   * Find jobs whose last scheduled run was missed, e.g. while the worker was down
+   * @returns {Promise<Array<Object>>} - { name, missedAt, lastExecutionTime, catchUp }
+   */
+  async checkMissedRuns() {
+    const missed = [];
+
+    for (const { job } of this.jobs.values()) {
+      const status = await this.database.getJobStatus(job.name);
+      // A job that never completed has nothing to catch up on
+      if (!status || !status.lastExecutionTime) {
+        continue;
+      }
+
+      let missedAt;
+      try {
+        missedAt = lastScheduledTime(job.schedule, job.timezone || 'UTC', status.lastExecutionTime);
+      } catch (error) {
+        // e.g. "0 0 30 2 *", which node-cron accepts but never fires
+        log.warn(`⚠️  Cannot compute the last scheduled run of job ${job.name}: ${error.message}`, { job: job.name });
+        continue;
+      }
+      if (missedAt) {
+        log.warn(`⏰ Job ${job.name} missed its run at ${missedAt.toISOString()}`, { job: job.name, lastExecutionTime: status.lastExecutionTime.toISOString() });
+        missed.push({ name: job.name, missedAt, lastExecutionTime: status.lastExecutionTime, catchUp: !!job.catchUp });
+      }
+    }
+
+    return missed;
+  }
+
+  /**
+   * Run a job and record the outcome
+   * @param {string} name - Job name
+   * @param {string} trigger - 'schedule', 'manual', 'catch_up' or 'retry'
+   * @param {number} attempt - Attempt number within the retry policy
+   * @returns {Promise<Object>} - Result returned by the job, null if the run was skipped
+   */
+  async execute(name, trigger = 'manual', attempt = 1) {
+    const entry = this.jobs.get(name);
+    if (!entry) {
+      throw new Error(`Unknown job: ${name}`);
+    }
+
+    // A new run supersedes a pending retry
+    if (trigger !== 'retry') {
+      this.cancelRetry(entry);
+    }
+
+    // Never overlap runs of the same job, in this process or on another instance
+    if (entry.isRunning) {
+      await this.logSkippedLocked(name, trigger, 'skipped: still running in this process');
+      return null;
+    }
+
+    entry.isRunning = true;
+    const { job } = entry;
+    const startedAt = new Date();
+    const runId = crypto.randomUUID();
+    const timeline = new RunTimeline();
+    const runLog = logger.child({ job: name, runId });
+    let stopHeartbeat = null;
+    let retryDelayMs = null;
+    let previousStatus = null;
+    const context = {
+      database: this.database,
+      runId,
+      jobName: name,
+      trigger,
+      attempt,
+      startedAt,
+      timeline,
+      log: runLog
+    };
+
+    try {
+      // A failing lock (e.g. MongoDB down) is a failed run like any other
+      const lease = await this.lock.acquire(name);
+      if (!lease.acquired) {
+        const until = lease.expiresAt ? ` until ${lease.expiresAt.toISOString()}` : '';
+        await this.logSkippedLocked(name, trigger, `skipped: locked by ${lease.owner}${until}`, lease.owner);
+        return null;
+      }
+      stopHeartbeat = this.lock.startHeartbeat(name);
+
+      // Status of the last run, to tell a recovery from a failure
+      previousStatus = await this.database.getJobStatus(name);
+      await this.database.updateJobStatus(name, 'running', {
+        lastStartTime: startedAt,
+        lastRunId: runId,
+        trigger,
+        attempt,
+        owner: this.lock.ownerId,
+        nextRetryAt: null
+      });
+
+      const result = (await Logger.runWith({ job: name, runId }, () => job.run(context))) || {};
+      const { status = 'success', message = null, statusData = {}, ...details } = result;
+      const finishedAt = new Date();
+      const durationMs = finishedAt - startedAt;
+      const steps = timeline.toJSON();
+
+      await this.database.logJobExecution({
+        runId,
+        jobType: name,
+        status,
+        message,
+        trigger,
+        attempt,
+        ...details,
+        steps,
+        startedAt,
+        finishedAt,
+        durationMs,
+        executionTime: finishedAt
+      });
+
+      await this.database.updateJobStatus(name, 'completed', {
+        lastExecutionTime: finishedAt,
+        lastDurationMs: durationMs,
+        lastResult: message || status,
+        failingSince: null,
+        ...statusData
+      });
+      metrics.recordJobRun(name, { status, finishedAt, durationMs, steps, totals: details.totals });
+
+      entry.lastRun = { runId, status, startedAt, finishedAt, durationMs };
+      runLog.info(`✅ Job ${name} finished (${status}) in ${(durationMs / 1000).toFixed(1)}s`, { status, durationMs });
+      this.notifier.jobSucceeded({ job: name, runId, trigger, attempt, status, durationMs, finishedAt, result: details, previousStatus });
+
+      return result;
+
+    } catch (error) {
+      const finishedAt = new Date();
+      const durationMs = finishedAt - startedAt;
+      const policy = this.getRetryPolicy(job);
+      if (attempt < policy.maxAttempts) {
+        retryDelayMs = Math.min(policy.backoffMs * 2 ** (attempt - 1), policy.maxBackoffMs);
+      }
+      const nextRetryAt = retryDelayMs !== null ? new Date(finishedAt.getTime() + retryDelayMs) : null;
+      timeline.fail(error);
+      const steps = timeline.toJSON();
+      const failedStep = steps.find(step => step.status === 'failed');
+      const failingSince = previousStatus && previousStatus.status === 'failed'
+        ? previousStatus.failingSince || previousStatus.lastErrorTime || finishedAt
+        : finishedAt;
+
+      try {
+        await this.database.logJobExecution({
+          runId,
+          jobType: name,
+          status: 'error',
+          trigger,
+          attempt,
+          maxAttempts: policy.maxAttempts,
+          nextRetryAt,
+          error: error.message,
+          stack: error.stack,
+          steps,
+          startedAt,
+          finishedAt,
+          durationMs,
+          executionTime: finishedAt
+        });
+
+        await this.database.updateJobStatus(name, 'failed', {
+          lastError: error.message,
+          lastErrorTime: finishedAt,
+          lastDurationMs: durationMs,
+          failingSince,
+          nextRetryAt
+        });
+      } catch (recordError) {
+        // The retry and the notification must not depend on the database that may have caused the failure
+        runLog.error(`💥 Could not record the failure of job ${name}: ${recordError.message}`, { error: recordError });
+      }
+      metrics.recordJobRun(name, { status: 'error', finishedAt, durationMs, steps });
+
+      entry.lastRun = { runId, status: 'error', startedAt, finishedAt, durationMs, error: error.message };
+      runLog.error(`❌ Job ${name} failed after ${(durationMs / 1000).toFixed(1)}s (attempt ${attempt}/${policy.maxAttempts})`, { error, durationMs, attempt });
+      this.notifier.jobFailed({
+        job: name,
+        runId,
+        trigger,
+        attempt,
+        maxAttempts: policy.maxAttempts,
+        nextRetryAt,
+        error: error.message,
+        failedStep: failedStep ? failedStep.name : null,
+        failingSince,
+        durationMs
+      });
+
+      throw error;
+
+    } finally {
+      if (stopHeartbeat) {
+        stopHeartbeat();
+        await this.lock.release(name);
+      }
+      entry.isRunning = false;
+
+      // Schedule the retry only once the lock is released
+      if (retryDelayMs !== null) {
+        this.scheduleRetry(entry, attempt + 1, retryDelayMs);
+      }
+    }
+  }
+
+  /**
+   * Retry policy of a job with defaults applied
+   * @param {Object} job - Job definition
+   */
+  getRetryPolicy(job) {
+    const policy = { ...DEFAULT_RETRY_POLICY };
+    for (const [key, value] of Object.entries(job.retry || {})) {
+      if (value !== undefined && value !== null) policy[key] = value;
+    }
+    return policy;
+  }
+
+  /**
+   * Run a failed job again after a delay
+   * @param {Object} entry - Registry entry of the job
+   * @param {number} attempt - Attempt number of the retry
+   * @param {number} delayMs - Delay before the retry
+   */
+  scheduleRetry(entry, attempt, delayMs) {
+    this.cancelRetry(entry);
+
+    const name = entry.job.name;
+    if (this.stopped) {
+      log.info(`🛑 Job ${name} will not retry, the runner is stopped`, { job: name });
+      return;
+    }
+
+    entry.nextRetryAt = new Date(Date.now() + delayMs);
+    entry.retryTimer = setTimeout(() => {
+      entry.retryTimer = null;
+      entry.nextRetryAt = null;
+      if (this.stopped) return;
+      this.execute(name, 'retry', attempt).catch(error => this.logUnhandled(name, 'retry', error));
+    }, delayMs);
+
+    log.info(`🔁 Job ${name} will retry (attempt ${attempt}) at ${entry.nextRetryAt.toISOString()}`, { job: name });
+  }
+
+  /**
+   * Log the error of a run started in the background
+   * Failed runs are recorded by execute(), this keeps failures outside of it visible.
+   * @param {string} name - Job name
+   * @param {string} trigger - 'schedule' or 'retry'
+   * @param {Error} error - Error thrown by execute()
+   */
+  logUnhandled(name, trigger, error) {
+    log.error(`❌ Job ${name} (${trigger}) ended with: ${error.message}`, { job: name, trigger, error });
+  }
+
+  /**
+   * Cancel a pending retry of a job
+   * @param {Object} entry - Registry entry of the job
+   */
+  cancelRetry(entry) {
+    if (entry.retryTimer) {
+      clearTimeout(entry.retryTimer);
+      entry.retryTimer = null;
+      entry.nextRetryAt = null;
+    }
+  }
+
+  /**
+   * Record a run that was skipped because the job is already running
+   * @param {string} name - Job name
+   * @param {string} trigger - 'schedule', 'manual', 'catch_up' or 'retry'
+   * @param {string} message - Reason
+   * @param {string} lockOwner - Instance holding the lock, if known
+   */
+  async logSkippedLocked(name, trigger, message, lockOwner = null) {
+    log.info(`⏭️  Job ${name} ${message}`, { job: name, trigger });
+    metrics.recordJobRun(name, { status: 'skipped_locked' });
+
+    await this.database.logJobExecution({
+      runId: crypto.randomUUID(),
+      jobType: name,
+      status: 'skipped_locked',
+      message,
+      trigger,
+      lockOwner,
+      owner: this.lock.ownerId,
+      executionTime: new Date()
+    });
+  }
+
+  /**
+   * Get status of all registered jobs
+   */
+  getStatus() {
+    return [...this.jobs.values()].map(entry => ({
+      ...(entry.job.getStatus ? entry.job.getStatus() : {}),
+      jobType: entry.job.name,
+      schedule: entry.job.schedule,
+      timezone: entry.job.timezone || 'UTC',
+      isScheduled: !!entry.task,
+      isRunning: entry.isRunning,
+      lastRun: entry.lastRun,
+      nextRetryAt: entry.nextRetryAt
+    }));
+  }
+}
+
+module.exports = JobRunner;
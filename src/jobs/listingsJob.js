@@ -0,0 +1,103 @@
+const path = require('path');
+const FileExtractor = require('../utils/fileExtractor');
+const ListingsProcessor = require('../processors/listingsProcessor');
+const listingsConfig = require('../../config/listings-config');
+
+class ListingsJob {
+  constructor(database, config = {}) {
+    this.database = database;
+    this.config = {
+      ...listingsConfig,
+      ...config,
+      source: { ...listingsConfig.source, ...config.source }
+    };
+
+    this.name = this.config.name || 'listings_fetch';
+    this.schedule = this.config.schedule || '0 */4 * * *';
+    this.timezone = this.config.timezone || 'UTC';
+    this.extractor = new FileExtractor(this.config.dataDir || './data', {
+      download: { ...this.config.download, headers: this.config.source.headers },
+      extraction: this.config.extraction,
+      fileExtensions: this.config.processing.fileExtensions
+    });
+    this.processor = new ListingsProcessor(database, this.config);
+  }
+
+  /**
+   * Check the job configuration before it is scheduled
+   */
+  validate() {
+    if (!this.config.source.url) {
+      throw new Error('Listings source URL is required. Set LISTINGS_URL environment variable or pass source.url in config.');
+    }
+  }
+
+  /**
+   * Download the marketplace export and import its listings, called by the JobRunner
+   * @param {Object} context - Run context ({ database, timeline, log, ... })
+   * @returns {Promise<Object>} - Run details stored in job_logs
+   */
+  async run(context) {
+    context.log.info('🏷️  === Starting listings fetch job execution ===');
+
+    const filePaths = await this.extractor.downloadAndExtractAll(this.config.source.url, this.config.processing.expectedFiles, context.timeline);
+    const download = this.extractor.lastDownload;
+    // Listings without observed_at were seen when the export was downloaded
+    const observedAt = context.startedAt;
+
+    const totals = { rows: 0, rejected: 0, newListings: 0, repeatedListings: 0, linkedById: 0, linkedByName: 0, unmatched: 0, priceStatsUpdated: 0 };
+    for (const filePath of filePaths) {
+      const result = await this.processor.processFile(filePath, {
+        source: this.config.source.name,
+        observedAt,
+        timeline: context.timeline
+      });
+      for (const key of Object.keys(totals)) {
+        totals[key] += result[key];
+      }
+
+      const file = download.csvFiles.find(entry => entry.fileName === path.basename(filePath)) || {};
+      await context.database.storeCsvMetadata({
+        fileName: path.basename(filePath),
+        filePath,
+        archiveBytes: download.bytes,
+        archiveSha256: download.sha256,
+        archiveEtag: download.etag,
+        csvBytes: file.bytes,
+        csvSha256: file.sha256,
+        downloadAttempts: download.attempts,
+        listings: result.rows - result.rejected,
+        jobType: this.name,
+        status: 'success'
+      });
+    }
+
+    context.log.info('✅ === Listings fetch job execution completed ===');
+
+    return {
+      files: filePaths.map(filePath => path.basename(filePath)),
+      source: this.config.source.name,
+      ...totals,
+      totals: {
+        rows: totals.rows,
+        rejected: totals.rejected,
+        new: totals.newListings,
+        unchanged: totals.repeatedListings
+      },
+      statusData: { lastListingsFile: path.basename(filePaths[0]) }
+    };
+  }
+
+  /**
+   * Get job status
+   */
+  getStatus() {
+    return {
+      url: this.config.source.url,
+      source: this.config.source.name,
+      collections: this.config.processing.collections
+    };
+  }
+}
+
+module.exports = ListingsJob;
@@ -0,0 +1,71 @@
+/**
+ * Payload formats of notification events, selected by a sink's `format`.
+ *
+ * 'json' posts the event as is:
+ *
+ *   { id, type, time, job, runId, trigger, attempt, data }
+ *
+ * 'slack' posts a message with `text` and `blocks`, accepted by Slack incoming
+ * webhooks and by the Slack-compatible ones of Mattermost, Rocket.Chat and others.
+ */
+
+function formatDuration(ms) {
+  if (ms === undefined || ms === null) return 'unknown';
+  if (ms < 60000) return `${Math.round(ms / 1000)}s`;
+  if (ms < 3600000) return `${Math.round(ms / 60000)}m`;
+  const hours = Math.floor(ms / 3600000);
+  return `${hours}h${Math.round((ms % 3600000) / 60000)}m`;
+}
+
+function formatCount(value) {
+  return typeof value === 'number' ? value.toLocaleString('en-US') : '0';
+}
+
+/**
+ * One line per event type, used as the message text and notification preview
+ */
+function summarize(event) {
+  const { job, data } = event;
+
+  switch (event.type) {
+    case 'job_failed': {
+      const retry = data.willRetry ? `, retrying at ${data.nextRetryAt}` : '';
+      return `:x: Job ${job} failed${data.failedStep ? ` in ${data.failedStep}` : ''} (attempt ${event.attempt}/${data.maxAttempts}${retry}): ${data.error}`;
+    }
+    case 'job_recovered':
+      return `:white_check_mark: Job ${job} recovered after failing for ${formatDuration(data.failedForMs)}${data.lastError ? ` (last error: ${data.lastError})` : ''}`;
+    case 'import_summary':
+      return `:game_die: Import ${job}${data.dumpDate ? ` of ${data.dumpDate}` : ''}: ${formatCount(data.newGamesCount)} new games, ${formatCount(data.updatedGamesCount)} updated, ${formatCount(data.unchangedCount)} unchanged`;
+    default:
+      return `${event.type} for job ${job}`;
+  }
+}
+
+function toSlack(event) {
+  const text = summarize(event);
+  const blocks = [{ type: 'section', text: { type: 'mrkdwn', text } }];
+
+  const newGames = event.type === 'import_summary' ? event.data.newGames || [] : [];
+  if (newGames.length > 0) {
+    const lines = newGames.map(game => `• ${game.name} (ID: ${game.id}, Rank: ${game.rank || 'N/A'})`);
+    if (event.data.newGamesCount > newGames.length) {
+      lines.push(`… and ${formatCount(event.data.newGamesCount - newGames.length)} more`);
+    }
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `*New games*\n${lines.join('\n')}` } });
+  }
+
+  const context = [`trigger: ${event.trigger}`, event.runId && `run: ${event.runId}`, event.time].filter(Boolean).join(' · ');
+  blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: context }] });
+
+  return { text, blocks };
+}
+
+const FORMATS = {
+  json: event => event,
+  slack: toSlack
+};
+
+module.exports = {
+  FORMATS,
+  summarize
+};
@@ -0,0 +1,45 @@
+const Notifier = require('./notifier');
+const WebhookSink = require('./webhookSink');
+const { FORMATS, summarize } = require('./formats');
+const notificationsConfig = require('../../config/notifications-config');
+
+// Sink implementations selectable by `type` in config/notifications-config.js
+const SINK_TYPES = {
+  webhook: sinkConfig => new WebhookSink(sinkConfig)
+};
+
+/**
+ * Create the notifier with the sinks enabled in the notifications config
+ * @param {Object} config - Notifications config (config/notifications-config.js)
+ * @returns {Notifier}
+ */
+function createNotifier(config = notificationsConfig) {
+  const notifier = new Notifier(config);
+
+  for (const sinkConfig of config.sinks || []) {
+    if (sinkConfig.enabled === false) continue;
+
+    const factory = SINK_TYPES[sinkConfig.type];
+    if (!factory) {
+      throw new Error(`Unknown notification sink type for ${sinkConfig.name}: ${sinkConfig.type}. Expected one of: ${Object.keys(SINK_TYPES).join(', ')}`);
+    }
+
+    const unknownEvents = (sinkConfig.events || []).filter(type => config.eventTypes && !config.eventTypes.includes(type));
+    if (unknownEvents.length > 0) {
+      throw new Error(`Unknown notification events for ${sinkConfig.name}: ${unknownEvents.join(', ')}. Expected any of: ${config.eventTypes.join(', ')}`);
+    }
+
+    notifier.addSink(factory(sinkConfig));
+  }
+
+  return notifier;
+}
+
+module.exports = {
+  Notifier,
+  WebhookSink,
+  FORMATS,
+  SINK_TYPES,
+  summarize,
+  createNotifier
+};
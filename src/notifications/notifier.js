@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ component: 'notifier' });
+
+/**
+ * Turns job outcomes reported by the JobRunner into notification events and
+ * hands them to its sinks.
+ *
+ * A sink is any object with:
+ *   name        - Sink identifier, used in logs
+ *   events      - Optional list of event types it receives (all when unset)
+ *   send(event) - Async function delivering one event
+ *
+ * Events are { id, type, time, job, runId, trigger, attempt, data }, with type
+ * 'job_failed', 'job_recovered' or 'import_summary' (see config/notifications-config.js).
+ * Deliveries run in the background and a failing sink is only logged, so
+ * notifications never delay or fail a job; flush() waits for those in flight.
+ */
+class Notifier {
+  /**
+   * @param {Object} config - { events } options per event type
+   * @param {Array<Object>} sinks - Sinks to deliver to
+   */
+  constructor(config = {}, sinks = []) {
+    this.events = config.events || {};
+    this.sinks = [];
+    this.pending = new Set();
+
+    for (const sink of sinks) {
+      this.addSink(sink);
+    }
+  }
+
+  /**
+   * Add a sink
+   * @param {Object} sink - Sink (see above)
+   */
+  addSink(sink) {
+    if (!sink || !sink.name || typeof sink.send !== 'function') {
+      throw new Error('A notification sink needs a name and a send(event) function');
+    }
+    this.sinks.push(sink);
+    return sink;
+  }
+
+  /**
+   * Report a failed run
+   * @param {Object} run - { job, runId, trigger, attempt, maxAttempts, nextRetryAt, error,
+   *   failedStep, failingSince, durationMs }
+   */
+  jobFailed(run) {
+    const willRetry = !!run.nextRetryAt;
+    if (willRetry && !(this.events.job_failed || {}).includeRetries) {
+      return Promise.resolve();
+    }
+
+    return this.notify('job_failed', run, {
+      error: run.error,
+      failedStep: run.failedStep || null,
+      maxAttempts: run.maxAttempts,
+      willRetry,
+      nextRetryAt: run.nextRetryAt ? run.nextRetryAt.toISOString() : null,
+      failingSince: run.failingSince ? run.failingSince.toISOString() : null,
+      durationMs: run.durationMs
+    });
+  }
+
+  /**
+   * Report a successful run: a recovery if the job had failed before, and an
+   * import summary if the run imported games (its result has `totals` and `newGamesCount`)
+   * @param {Object} run - { job, runId, trigger, attempt, status, durationMs, finishedAt, result,
+   *   previousStatus } where previousStatus is the job_status entry before the run
+   */
+  jobSucceeded(run) {
+    const deliveries = [];
+    const { previousStatus, result = {} } = run;
+
+    if (previousStatus && previousStatus.status === 'failed') {
+      const failingSince = previousStatus.failingSince || previousStatus.lastErrorTime || null;
+      deliveries.push(this.notify('job_recovered', run, {
+        status: run.status,
+        lastError: previousStatus.lastError || null,
+        failingSince: failingSince ? failingSince.toISOString() : null,
+        failedForMs: failingSince ? run.finishedAt - failingSince : null,
+        durationMs: run.durationMs
+      }));
+    }
+
+    if (result.totals && result.newGamesCount !== undefined) {
+      const options = this.events.import_summary || {};
+      const changed = (result.newGamesCount || 0) + (result.updatedGamesCount || 0) > 0;
+      if (changed || !options.onlyWithChanges) {
+        deliveries.push(this.notify('import_summary', run, {
+          dumpDate: result.dumpDate || null,
+          newGamesCount: result.newGamesCount || 0,
+          updatedGamesCount: result.updatedGamesCount || 0,
+          unchangedCount: result.unchangedCount || 0,
+          newGames: (result.newGames || []).slice(0, options.sampleSize || 10),
+          changeEvents: result.changeEvents || 0,
+          totals: result.totals,
+          durationMs: run.durationMs
+        }));
+      }
+    }
+
+    return Promise.all(deliveries);
+  }
+
+  /**
+   * Send an event to the sinks subscribed to its type
+   * @param {string} type - Event type
+   * @param {Object} run - { job, runId, trigger, attempt }
+   * @param {Object} data - Event specific fields
+   * @returns {Promise<Object>} - The event, once every delivery succeeded or failed
+   */
+  async notify(type, { job, runId = null, trigger = null, attempt = 1 }, data = {}) {
+    const event = {
+      id: crypto.randomUUID(),
+      type,
+      time: new Date().toISOString(),
+      job,
+      runId,
+      trigger,
+      attempt,
+      data
+    };
+
+    const sinks = this.sinks.filter(sink => !sink.events || sink.events.includes(type));
+    const deliveries = sinks.map(sink => this.track(this.deliver(sink, event)));
+    await Promise.all(deliveries);
+    return event;
+  }
+
+  async deliver(sink, event) {
+    try {
+      const result = await sink.send(event);
+      log.info(`📣 Sent ${event.type} notification for ${event.job} to ${sink.name}`, { sink: sink.name, event: event.type, eventId: event.id, attempts: result && result.attempts });
+    } catch (error) {
+      log.warn(`⚠️  Failed to send ${event.type} notification for ${event.job} to ${sink.name}: ${error.message}`, { sink: sink.name, event: event.type, eventId: event.id });
+    }
+  }
+
+  track(promise) {
+    this.pending.add(promise);
+    promise.finally(() => this.pending.delete(promise));
+    return promise;
+  }
+
+  /**
+   * Wait for the deliveries in flight, e.g. before shutting down
+   */
+  async flush() {
+    while (this.pending.size > 0) {
+      await Promise.all([...this.pending]);
+    }
+  }
+}
+
+module.exports = Notifier;
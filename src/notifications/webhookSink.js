@@ -0,0 +1,158 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { FORMATS } = require('./formats');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ component: 'webhookSink' });
+
+const DEFAULT_OPTIONS = {
+  format: 'json',
+  secret: null,
+  headers: {},
+  retries: 3,
+  backoffMs: 1000,
+  maxBackoffMs: 30000,
+  timeoutMs: 10000
+};
+
+class WebhookError extends Error {
+  constructor(message, { retryable = true, status = null } = {}) {
+    super(message);
+    this.name = 'WebhookError';
+    this.retryable = retryable;
+    this.status = status;
+  }
+}
+
+/**
+ * Posts notification events to an HTTP endpoint.
+ *
+ * Every request carries the event type, the event id (the same for all retries of
+ * a delivery, so receivers can drop duplicates) and a Unix timestamp. With a secret,
+ * X-BGWorker-Signature is "sha256=" + the hex HMAC-SHA256 of "<timestamp>.<body>";
+ * receivers check it with WebhookSink.verify(). Network errors, timeouts and 408,
+ * 429 and 5xx responses are retried with exponential backoff.
+ */
+class WebhookSink {
+  /**
+   * @param {Object} options - { name, url, secret, format, events, headers, retries,
+   *   backoffMs, maxBackoffMs, timeoutMs }
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.name = this.options.name || 'webhook';
+    this.url = this.options.url;
+    this.events = this.options.events || null;
+
+    if (!this.url) {
+      throw new Error(`Webhook sink ${this.name} needs a url`);
+    }
+    if (!FORMATS[this.options.format]) {
+      throw new Error(`Unknown format for webhook sink ${this.name}: ${this.options.format}. Expected one of: ${Object.keys(FORMATS).join(', ')}`);
+    }
+  }
+
+  /**
+   * Sign a request body
+   * @param {string} secret - Shared secret
+   * @param {number|string} timestamp - Unix timestamp sent in X-BGWorker-Timestamp
+   * @param {string} body - Raw request body
+   * @returns {string} - Value of X-BGWorker-Signature
+   */
+  static sign(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+  }
+
+  /**
+   * Check the signature of a received request
+   * @param {string} secret - Shared secret
+   * @param {Object} headers - Request headers (lowercase names, as in Node's IncomingMessage)
+   * @param {string} body - Raw request body
+   * @param {number} toleranceSeconds - Maximum age of the timestamp, against replays
+   * @returns {boolean}
+   */
+  static verify(secret, headers, body, toleranceSeconds = 300) {
+    const timestamp = parseInt(headers['x-bgworker-timestamp']);
+    const signature = headers['x-bgworker-signature'];
+    if (isNaN(timestamp) || typeof signature !== 'string') return false;
+    if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) return false;
+
+    const expected = Buffer.from(WebhookSink.sign(secret, timestamp, body));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Deliver an event, retrying failed attempts
+   * @param {Object} event - Notification event
+   * @returns {Promise<Object>} - { status, attempts }
+   */
+  async send(event) {
+    const { options } = this;
+    const body = JSON.stringify(FORMATS[options.format](event));
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const status = await this.post(event, body);
+        return { status, attempts: attempt };
+
+      } catch (error) {
+        if (error.retryable === false || attempt > options.retries) {
+          throw error;
+        }
+
+        const delay = Math.min(options.maxBackoffMs, options.backoffMs * 2 ** (attempt - 1));
+        log.warn(`Webhook ${this.name} attempt ${attempt} failed: ${error.message}. Retrying in ${delay}ms...`, { event: event.type, attempt, retryInMs: delay });
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Make one delivery attempt
+   * @param {Object} event - Notification event
+   * @param {string} body - Formatted body
+   * @returns {Promise<number>} - HTTP status
+   */
+  async post(event, body) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+      ...this.options.headers,
+      'Content-Type': 'application/json',
+      'User-Agent': 'bg-market-worker',
+      'X-BGWorker-Event': event.type,
+      'X-BGWorker-Delivery': event.id,
+      'X-BGWorker-Timestamp': String(timestamp)
+    };
+    if (this.options.secret) {
+      headers['X-BGWorker-Signature'] = WebhookSink.sign(this.options.secret, timestamp, body);
+    }
+
+    let response;
+    try {
+      response = await axios({
+        method: 'POST',
+        url: this.url,
+        data: body,
+        headers,
+        timeout: this.options.timeoutMs,
+        // Statuses are checked below to decide whether to retry
+        validateStatus: () => true,
+        // The body is already serialized and signed as is
+        transformRequest: [data => data]
+      });
+    } catch (error) {
+      throw new WebhookError(error.message);
+    }
+
+    const { status } = response;
+    if (status < 200 || status >= 300) {
+      const retryable = status >= 500 || status === 408 || status === 429;
+      throw new WebhookError(`Unexpected HTTP status ${status}`, { retryable, status });
+    }
+
+    return status;
+  }
+}
+
+module.exports = WebhookSink;
@@ -0,0 +1,5 @@
+const PriceStats = require('./priceStats');
+
+module.exports = {
+  PriceStats
+};
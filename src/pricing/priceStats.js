@@ -0,0 +1,263 @@
+const { ExchangeRates } = require('../currency');
+const { timeBulkWrite } = require('../utils/metrics');
+const currencyConfig = require('../../config/currency-config');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ component: 'priceStats' });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Price statistics of marketplace listings per game, in the `price_stats` collection:
+ *
+ *   { game_id, currency, listings, unconverted, last_observed_at, computed_at,
+ *     windows: { '30d': { all: stats, new: stats, like_new: stats, ... }, '90d': ..., '365d': ... } }
+ *
+ * with stats { count, min, p10, median, p90, max, trend } over the listings last
+ * observed within the window. trend is the change of the least-squares line through
+ * price and observation time from the first to the last observation, in percent of
+ * the mean price (null with fewer than two observation times).
+ *
+ * Prices are converted to the base currency of config/currency-config.js at the
+ * exchange rate of the day each listing was last observed; `currency` is that base
+ * currency and listings without a rate for their day are only counted as `unconverted`.
+ *
+ * Stats are recomputed for the games whose listings an import touched, plus the
+ * games whose stats are older than staleAfterHours so that their windows move on.
+ */
+class PriceStats {
+  constructor(database, config, currency = currencyConfig) {
+    this.database = database;
+    this.config = config;
+    this.baseCurrency = currency.baseCurrency;
+    this.exchangeRates = new ExchangeRates(database, currency);
+    this.stats = config.stats || {};
+    this.windowsDays = this.stats.windowsDays || [30, 90, 365];
+    this.collectionName = config.processing.collections.priceStats || 'price_stats';
+    this.listingsName = config.processing.collections.listings;
+  }
+
+  getCollection() {
+    return this.database.getCollection(this.collectionName);
+  }
+
+  /**
+   * Value at a percentile of sorted values, interpolating between neighbours
+   * @param {Array<number>} sorted - Values in ascending order
+   * @param {number} percentile - 0 to 100
+   */
+  static percentile(sorted, percentile) {
+    const position = (sorted.length - 1) * (percentile / 100);
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+  }
+
+  /**
+   * Change of the least-squares line through the observations from the first to the
+   * last one, in percent of the mean price
+   * @param {Array<Object>} observations - { price, time } with time in ms
+   * @returns {number|null}
+   */
+  static trend(observations) {
+    const n = observations.length;
+    const meanTime = observations.reduce((sum, { time }) => sum + time, 0) / n;
+    const meanPrice = observations.reduce((sum, { price }) => sum + price, 0) / n;
+
+    let covariance = 0;
+    let variance = 0;
+    let first = Infinity;
+    let last = -Infinity;
+    for (const { price, time } of observations) {
+      first = Math.min(first, time);
+      last = Math.max(last, time);
+      covariance += (time - meanTime) * (price - meanPrice);
+      variance += (time - meanTime) ** 2;
+    }
+    if (variance === 0 || meanPrice === 0) return null;
+
+    return round(100 * (covariance / variance) * (last - first) / meanPrice);
+  }
+
+  /**
+   * Summarize the observations of one window and condition
+   * @param {Array<Object>} observations - { price, time }
+   */
+  static summarize(observations) {
+    const prices = observations.map(({ price }) => price).sort((a, b) => a - b);
+    return {
+      count: prices.length,
+      min: round(prices[0]),
+      p10: round(PriceStats.percentile(prices, 10)),
+      median: round(PriceStats.percentile(prices, 50)),
+      p90: round(PriceStats.percentile(prices, 90)),
+      max: round(prices[prices.length - 1]),
+      trend: PriceStats.trend(observations)
+    };
+  }
+
+  /**
+   * Build the price_stats document of one game, with the exchange rates prepared
+   * @param {number} gameId - Game id
+   * @param {Array<Object>} listings - Its listings { price, currency, condition, last_observed_at }
+   * @param {Date} now - Time the windows end at
+   * @returns {Object|null} - null without a listing in any window
+   */
+  buildStats(gameId, listings, now) {
+    const observations = [];
+    let unconverted = 0;
+    for (const listing of listings) {
+      const price = this.exchangeRates.convert(listing.price, listing.currency, this.baseCurrency, listing.last_observed_at);
+      if (price === null) {
+        unconverted++;
+        continue;
+      }
+      observations.push({ price, time: listing.last_observed_at.getTime(), condition: listing.condition });
+    }
+
+    const windows = {};
+    for (const days of this.windowsDays) {
+      const since = now.getTime() - days * DAY_MS;
+      const groups = { all: [] };
+
+      for (const observation of observations) {
+        if (observation.time < since) continue;
+
+        groups.all.push(observation);
+        if (!groups[observation.condition]) groups[observation.condition] = [];
+        groups[observation.condition].push(observation);
+      }
+
+      if (groups.all.length === 0) continue;
+      windows[`${days}d`] = Object.fromEntries(
+        Object.entries(groups).map(([condition, group]) => [condition, PriceStats.summarize(group)])
+      );
+    }
+
+    if (Object.keys(windows).length === 0) return null;
+    return {
+      game_id: gameId,
+      currency: this.baseCurrency,
+      listings: observations.length,
+      unconverted,
+      last_observed_at: new Date(Math.max(...observations.map(observation => observation.time))),
+      windows
+    };
+  }
+
+  /**
+   * Recompute the stats of games, e.g. those whose listings an import touched
+   * @param {Iterable<number>} gameIds - Games to recompute
+   * @param {Object} options - Optional { now, batchSize }
+   * @returns {Promise<number>} - Games recomputed
+   */
+  async recompute(gameIds, { now = new Date(), batchSize = this.stats.batchSize || 200 } = {}) {
+    const ids = [...new Set(gameIds)].filter(id => id !== null && id !== undefined);
+    const since = new Date(now.getTime() - Math.max(...this.windowsDays) * DAY_MS);
+    const listingsCollection = this.database.getCollection(this.listingsName);
+    const collection = this.getCollection();
+    let unconverted = 0;
+
+    if (ids.length > 0) {
+      await this.exchangeRates.prepare(since, now);
+    }
+
+    for (let i = 0; i < ids.length; i += batchSize) {
+      const batchIds = ids.slice(i, i + batchSize);
+      const listings = await listingsCollection.find(
+        { game_id: { $in: batchIds }, last_observed_at: { $gte: since } },
+        { projection: { _id: 0, game_id: 1, price: 1, currency: 1, condition: 1, last_observed_at: 1 } }
+      ).toArray();
+
+      const byGame = new Map(batchIds.map(id => [id, []]));
+      for (const listing of listings) {
+        byGame.get(listing.game_id).push(listing);
+      }
+
+      const operations = [];
+      for (const [gameId, gameListings] of byGame) {
+        const document = this.buildStats(gameId, gameListings, now);
+        if (document) {
+          unconverted += document.unconverted;
+          operations.push({
+            replaceOne: {
+              filter: { game_id: gameId, currency: document.currency },
+              replacement: { ...document, computed_at: now },
+              upsert: true
+            }
+          });
+        }
+        // Games no longer listed within the longest window, and stats in a previous base currency
+        operations.push({
+          deleteMany: { filter: { game_id: gameId, currency: { $nin: document ? [document.currency] : [] } } }
+        });
+      }
+
+      await timeBulkWrite(this.collectionName, 'bulkWrite', () => collection.bulkWrite(operations, { ordered: true }));
+    }
+
+    if (ids.length > 0) {
+      log.info(`💶 Recomputed price stats of ${ids.length.toLocaleString()} games in ${this.baseCurrency}`);
+    }
+    if (unconverted > 0) {
+      log.warn(`⚠️  ${unconverted.toLocaleString()} listings without an exchange rate to ${this.baseCurrency} for their date were left out, load rates with npm run exchange-rates`, { unconverted });
+    }
+    return ids.length;
+  }
+
+  /**
+   * Recompute the stats of games touched by an import and of games with stale stats
+   * @param {Iterable<number>} gameIds - Games whose listings changed
+   * @param {Object} options - Optional { now }
+   * @returns {Promise<number>} - Games recomputed
+   */
+  async update(gameIds, { now = new Date() } = {}) {
+    const staleBefore = new Date(now.getTime() - (this.stats.staleAfterHours || 24) * 60 * 60 * 1000);
+    const stale = await this.getCollection()
+      .find({ computed_at: { $lt: staleBefore } }, { projection: { _id: 0, game_id: 1 } })
+      .toArray();
+
+    return await this.recompute([...gameIds, ...stale.map(document => document.game_id)], { now });
+  }
+
+  /**
+   * Recompute the stats of every game with listings in the longest window
+   * @param {Object} options - Optional { now }
+   * @returns {Promise<number>} - Games recomputed
+   */
+  async recomputeAll({ now = new Date() } = {}) {
+    const since = new Date(now.getTime() - Math.max(...this.windowsDays) * DAY_MS);
+    const [listed, stored] = await Promise.all([
+      this.database.getCollection(this.listingsName).distinct('game_id', { game_id: { $ne: null }, last_observed_at: { $gte: since } }),
+      this.getCollection().distinct('game_id')
+    ]);
+
+    return await this.recompute([...listed, ...stored], { now });
+  }
+
+  /**
+   * Join the stats in the base currency onto games as `price_stats` (null when a game has none)
+   * @param {Array<Object>} games - board_games documents
+   * @returns {Promise<Array<Object>>} - The same games
+   */
+  async attach(games) {
+    if (games.length === 0) return games;
+
+    const stats = await this.getCollection()
+      .find({ game_id: { $in: games.map(game => game.id) }, currency: this.baseCurrency }, { projection: { _id: 0 } })
+      .toArray();
+
+    const byGame = new Map(stats.map(({ game_id: gameId, ...document }) => [gameId, document]));
+
+    for (const game of games) {
+      game.price_stats = byGame.get(game.id) || null;
+    }
+    return games;
+  }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = PriceStats;
@@ -1,244 +1,382 @@
 const fs = require('fs-extra');
 const path = require('path');
 const csv = require('csv-parser');
-const { Transform } = require('stream');
+const RankingHistory = require('../history/rankingHistory');
+const ChangeFeed = require('../history/changeFeed');
+const { GameSearch } = require('../search');
+const { Watchlists } = require('../watchlists');
+const StagingImport = require('./stagingImport');
+const CsvSchema = require('../utils/csvSchema');
+const RunTimeline = require('../utils/runTimeline');
+const bggSchema = require('../../config/bgg-schema');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ component: 'bggDataProcessor' });
 
 class BGGDataProcessor {
   constructor(database, config) {
     this.database = database;
     this.config = config;
+    this.rankingHistory = new RankingHistory(database, config);
+    this.changeFeed = new ChangeFeed(database, config);
+    this.staging = new StagingImport(database, config);
+    this.schema = new CsvSchema(bggSchema);
+    this.watchlists = new Watchlists(database, config, this.schema);
   }
 
   /**
    * Process extracted CSV file and update MongoDB
+   * Rows are streamed and diffed against the database in bounded chunks, so memory
+   * stays flat regardless of the dump size. The import is loaded into staging
+   * collections and only swapped into place once it passes validation. The new and
+   * changed games are then published to the change feed (see ChangeFeed) and checked
+   * against the watchlist rules (see Watchlists).
    * @param {string} csvPath - Path to the extracted CSV file
+   * @param {Object} options - Optional { dumpDate, timeline } where dumpDate is the date of the
+   *   BGG dump, used for ranking history, and timeline the RunTimeline recording the import steps
    */
-  async processCsvFile(csvPath) {
+  async processCsvFile(csvPath, options = {}) {
+    const timeline = options.timeline || new RunTimeline();
     const fileName = path.basename(csvPath);
-    console.log(`🔄 Processing BGG data file: ${fileName}`);
+    const dumpDate = options.dumpDate || RankingHistory.parseDumpDate(fileName) || RankingHistory.today();
+    log.info(`🔄 Processing BGG data file: ${fileName} (dump date: ${dumpDate.toISOString().slice(0, 10)})`);
 
     if (!fileName.includes('boardgames_ranks')) {
       throw new Error('Only boardgames_ranks.csv is supported.');
     }
 
     // Create indexes first for optimal performance
-    await this.database.createIndexes();
+    await timeline.measure('index', () => this.database.createIndexes());
 
-    const gamesCollection = this.database.getCollection(this.config.processing.collections.games);
-    const searchCollection = this.database.getCollection(this.config.processing.collections.search);
     const isLocalhost = this.database.connectionString.includes('localhost') || this.database.connectionString.includes('127.0.0.1');
     const batchSize = isLocalhost ? 500 : 1000;
-    
-    // Collect all records first
-    const allRecords = [];
-    let checked = 0;
-
-    return new Promise((resolve, reject) => {
-      fs.createReadStream(csvPath)
-        .pipe(csv())
-        .on('data', (row) => {
-          try {
-            const gameDoc = {
-              id: parseInt(row.id),
-              name: row.name,
-              year_published: parseInt(row.yearpublished),
-              rank: parseInt(row.rank),
-              bayes_average: parseFloat(row.bayesaverage),
-              average: parseFloat(row.average),
-              users_rated: parseInt(row.usersrated),
-              is_expansion: row.is_expansion === '1' || row.is_expansion === 1,
-              abstracts_rank: row.abstracts_rank ? parseInt(row.abstracts_rank) : undefined
-            };
-            
-            // Clean up undefined/null values
-            Object.keys(gameDoc).forEach(key => {
-              if (gameDoc[key] === undefined || gameDoc[key] === null || (typeof gameDoc[key] === 'number' && isNaN(gameDoc[key]))) {
-                delete gameDoc[key];
-              }
-            });
-            
-            if (gameDoc.name && gameDoc.id) {
-              allRecords.push(gameDoc);
-            }
-            checked++;
-          } catch (error) {
-            console.error('Error processing row:', error);
-          }
-        })
-        .on('end', async () => {
-          try {
-            console.log(`📋 Collected ${allRecords.length} records, checking for changes...`);
-            
-            // Get existing games with their current data for comparison
-            console.log(`🔍 Loading existing games for change detection...`);
-            const existingGamesMap = new Map();
-            const existingGames = await gamesCollection.find({}).toArray();
-            existingGames.forEach(game => {
-              existingGamesMap.set(game.id, game);
-            });
-            console.log(`📊 Found ${existingGamesMap.size.toLocaleString()} existing games in database`);
-            
-            // Analyze changes
-            const changesAnalysis = this.analyzeChanges(allRecords, existingGamesMap);
-            
-            console.log(`\n📊 === Change Analysis ===`);
-            console.log(`🆕 New games to add: ${changesAnalysis.newGames.length.toLocaleString()}`);
-            console.log(`🔄 Games with changes: ${changesAnalysis.updatedGames.length.toLocaleString()}`);
-            console.log(`✅ Games unchanged: ${changesAnalysis.unchangedCount.toLocaleString()}`);
-            
-            const hasChanges = changesAnalysis.newGames.length > 0 || changesAnalysis.updatedGames.length > 0;
-            
-            if (!hasChanges) {
-              console.log(`\n📝 No changes detected - database is already up to date!`);
-              console.log(`🔤 Data remains sorted alphabetically (A-Z) by name`);
-              resolve({ 
-                totalProcessed: 0, 
-                newGamesCount: 0, 
-                updatedGamesCount: 0,
-                noChanges: true 
-              });
-              return;
-            }
-
-            // Only process games that have changes
-            const gamesToProcess = [...changesAnalysis.newGames, ...changesAnalysis.updatedGames];
-            
-            console.log(`\n🔄 Processing ${gamesToProcess.length.toLocaleString()} games with changes...`);
-            
-            // Sort only the games that need processing
-            gamesToProcess.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
-            console.log(`🔤 Sorted changed games alphabetically for insertion...`);
-            
-            let gamesBatch = [];
-            let searchBatch = [];
-            let totalProcessed = 0;
-            const currentTimestamp = new Date();
-            
-            for (const gameDoc of gamesToProcess) {
-              const isNewGame = !existingGamesMap.has(gameDoc.id);
-              
-              // Add timestamps - only update date_updated for actual changes
-              const gameDocWithTimestamps = {
-                ...gameDoc,
-                date_updated: currentTimestamp
-              };
-
-              gamesBatch.push({
-                updateOne: {
-                  filter: { id: gameDoc.id },
-                  update: { 
-                    $set: gameDocWithTimestamps,
-                    $setOnInsert: { date_created: currentTimestamp }
-                  },
-                  upsert: true
-                }
-              });
-              
-              searchBatch.push({
-                updateOne: {
-                  filter: { id: gameDoc.id },
-                  update: { 
-                    $set: { 
-                      id: gameDoc.id, 
-                      name: gameDoc.name,
-                      date_updated: currentTimestamp
-                    },
-                    $setOnInsert: { date_created: currentTimestamp }
-                  },
-                  upsert: true
-                }
-              });
-
-              if (gamesBatch.length >= batchSize) {
-                try {
-                  await this.database.ensureConnection();
-                  
-                  await gamesCollection.bulkWrite(gamesBatch, { 
-                    ordered: true,
-                    writeConcern: { w: 1, j: false }
-                  });
-                  await searchCollection.bulkWrite(searchBatch, { 
-                    ordered: true,
-                    writeConcern: { w: 1, j: false }
-                  });
-                  
-                  totalProcessed += gamesBatch.length;
-                  gamesBatch = [];
-                  searchBatch = [];
-                  console.log(`📊 Processed ${totalProcessed} changed records...`);
-                } catch (error) {
-                  console.error('❌ Batch write failed, retrying...', error.message);
-                  try {
-                    await this.database.ensureConnection();
-                    await gamesCollection.bulkWrite(gamesBatch, { ordered: true });
-                    await searchCollection.bulkWrite(searchBatch, { ordered: true });
-                    totalProcessed += gamesBatch.length;
-                    gamesBatch = [];
-                    searchBatch = [];
-                    console.log(`📊 Retry successful: ${totalProcessed} processed`);
-                  } catch (retryError) {
-                    console.error('❌ Retry failed:', retryError.message);
-                    reject(retryError);
-                    return;
-                  }
-                }
-              }
-            }
-
-            // Process remaining records
-            if (gamesBatch.length > 0) {
-              await this.database.ensureConnection();
-              await gamesCollection.bulkWrite(gamesBatch, { ordered: true });
-              await searchCollection.bulkWrite(searchBatch, { ordered: true });
-              totalProcessed += gamesBatch.length;
-            }
-            
-            // Re-sort entire collection only if there were changes
-            console.log(`\n🔤 Re-sorting entire collection alphabetically due to changes...`);
-            await this.resortCollection(gamesCollection, 'board_games');
-            await this.resortCollection(searchCollection, 'games_search');
-            
-            // Display comprehensive results
-            console.log(`\n✅ === Processing Complete ===`);
-            console.log(`📊 Total records in CSV: ${checked.toLocaleString()}`);
-            console.log(`📊 Records with changes: ${totalProcessed.toLocaleString()}`);
-            console.log(`🆕 New games added: ${changesAnalysis.newGames.length.toLocaleString()}`);
-            console.log(`🔄 Existing games updated: ${changesAnalysis.updatedGames.length.toLocaleString()}`);
-            console.log(`✅ Games unchanged: ${changesAnalysis.unchangedCount.toLocaleString()}`);
-            
-            // Show new games added
-            if (changesAnalysis.newGames.length > 0) {
-              console.log(`\n🎮 === New Games Added ===`);
-              if (changesAnalysis.newGames.length <= 20) {
-                changesAnalysis.newGames.forEach((game, index) => {
-                  console.log(`   ${index + 1}. ${game.name} (ID: ${game.id}, Rank: ${game.rank || 'N/A'})`);
-                });
-              } else {
-                console.log(`   First 10 new games:`);
-                changesAnalysis.newGames.slice(0, 10).forEach((game, index) => {
-                  console.log(`   ${index + 1}. ${game.name} (ID: ${game.id}, Rank: ${game.rank || 'N/A'})`);
-                });
-                console.log(`   ... and ${changesAnalysis.newGames.length - 20} more games ...`);
-                console.log(`   Last 10 new games:`);
-                changesAnalysis.newGames.slice(-10).forEach((game, index) => {
-                  const actualIndex = changesAnalysis.newGames.length - 10 + index + 1;
-                  console.log(`   ${actualIndex}. ${game.name} (ID: ${game.id}, Rank: ${game.rank || 'N/A'})`);
-                });
-              }
-            }
-            
-            console.log(`\n🔤 Collection re-sorted alphabetically (A-Z) by name`);
-            resolve({ 
-              totalProcessed, 
-              newGamesCount: changesAnalysis.newGames.length, 
-              updatedGamesCount: changesAnalysis.updatedGames.length 
-            });
-          } catch (error) {
-            reject(error);
-          }
-        })
-        .on('error', reject);
+    const chunkSize = this.config.processing.chunkSize || batchSize;
+
+    const totals = {
+      checked: 0,
+      totalProcessed: 0,
+      newGamesCount: 0,
+      updatedGamesCount: 0,
+      unchangedCount: 0
+    };
+    // Only the first and last few new games are kept for the summary printout
+    const newGamesSample = { first: [], last: [] };
+    const startedAt = Date.now();
+    const importTimestamp = new Date();
+    const report = this.schema.createReport();
+    let peakRss = process.memoryUsage().rss;
+    let chunk = [];
+
+    await this.staging.prepare();
+    await this.changeFeed.prepare();
+    await this.watchlists.prepare();
+
+    const flushChunk = async () => {
+      const result = await this.processChunk(chunk, importTimestamp, batchSize, timeline);
+      chunk = [];
+
+      totals.totalProcessed += result.newGames.length + result.updatedGames.length;
+      totals.newGamesCount += result.newGames.length;
+      totals.updatedGamesCount += result.updatedGames.length;
+      totals.unchangedCount += result.unchangedCount;
+
+      for (const game of result.newGames) {
+        if (newGamesSample.first.length < 10) {
+          newGamesSample.first.push(game);
+        } else {
+          newGamesSample.last.push(game);
+          if (newGamesSample.last.length > 10) newGamesSample.last.shift();
+        }
+      }
+
+      peakRss = Math.max(peakRss, process.memoryUsage().rss);
+      log.info(`📊 Checked ${totals.checked.toLocaleString()} records, ${totals.totalProcessed.toLocaleString()} with changes...`);
+    };
+
+    let swapped = false;
+    try {
+      // Async iteration pauses the file stream while a chunk is being staged
+      const rows = fs.createReadStream(csvPath).pipe(csv());
+      rows.on('headers', (headers) => this.schema.checkHeaders(headers, report));
+      // Parsing is paused while a chunk is diffed and written, so it is timed in spans
+      let endParse = timeline.start('parse');
+
+      for await (const row of rows) {
+        totals.checked++;
+
+        // Line 1 is the header
+        const gameDoc = this.schema.parseRow(row, totals.checked + 1, report);
+        if (gameDoc) {
+          chunk.push(gameDoc);
+        }
+
+        if (chunk.length >= chunkSize) {
+          endParse();
+          await flushChunk();
+          endParse = timeline.start('parse');
+        }
+      }
+
+      const { size } = await fs.stat(csvPath);
+      endParse({
+        bytes: size,
+        rows: totals.checked,
+        rowsAccepted: report.rowsAccepted,
+        rowsRejected: report.rowsRejected
+      });
+
+      if (chunk.length > 0) {
+        await flushChunk();
+      }
+
+      const elapsedSeconds = (Date.now() - startedAt) / 1000;
+      const stats = {
+        elapsedSeconds,
+        rowsPerSecond: elapsedSeconds > 0 ? Math.round(totals.checked / elapsedSeconds) : totals.checked,
+        peakRssBytes: peakRss
+      };
+
+      log.info(`📊 === Change Analysis ===`);
+      log.info(`🆕 New games added: ${totals.newGamesCount.toLocaleString()}`);
+      log.info(`🔄 Existing games updated: ${totals.updatedGamesCount.toLocaleString()}`);
+      log.info(`✅ Games unchanged: ${totals.unchangedCount.toLocaleString()}`);
+      this.logValidationReport(report);
+      log.info(`⏱️  ${totals.checked.toLocaleString()} rows in ${elapsedSeconds.toFixed(1)}s (${stats.rowsPerSecond.toLocaleString()} rows/s, peak RSS ${Math.round(peakRss / 1024 / 1024)} MB)`, {
+        rows: totals.checked,
+        new: totals.newGamesCount,
+        updated: totals.updatedGamesCount,
+        unchanged: totals.unchangedCount,
+        ...stats
+      });
+
+      if (totals.totalProcessed === 0) {
+        log.info(`📝 No changes detected - database is already up to date!`);
+        await this.staging.discard();
+        await this.changeFeed.discard();
+        this.watchlists.discard();
+        await this.updateMetadata(fileName, report.rowsAccepted, { dumpDate, validationReport: report });
+        return {
+          totalProcessed: 0,
+          newGamesCount: 0,
+          updatedGamesCount: 0,
+          unchangedCount: totals.unchangedCount,
+          newGames: [],
+          noChanges: true,
+          changeEvents: 0,
+          watchlistAlerts: 0,
+          stats,
+          validationReport: report
+        };
+      }
+
+      const endSwap = timeline.start('swap');
+      await this.staging.carryOverMissing();
+      const validation = await this.staging.validate();
+      const previousImport = await this.database.getCollection(this.config.processing.collections.metadata).findOne({ fileName });
+      await this.staging.swap();
+      swapped = true;
+      endSwap({ rows: validation.rowsStaged });
+
+      // Append ranking snapshots for every new or changed game
+      const endHistory = timeline.start('history');
+      const snapshots = await this.recordChangedSnapshots(importTimestamp, dumpDate, batchSize);
+      endHistory({ rows: snapshots });
+
+      // Publish the change events staged while diffing
+      const endChanges = timeline.start('changes');
+      const changes = await this.changeFeed.publish({ dumpDate, importTimestamp }, batchSize);
+      endChanges({ rows: changes.published });
+      log.info(`📰 Published ${changes.published.toLocaleString()} change events${changes.published > 0 ? ` (seq ${changes.firstSeq}-${changes.lastSeq})` : ''}`);
+
+      // Store the alerts of watchlist rules matched while diffing
+      const endAlerts = timeline.start('alerts');
+      const alerts = await this.watchlists.commit({ dumpDate, importTimestamp }, batchSize);
+      endAlerts({ rows: alerts.triggered });
+      if (alerts.triggered > 0 || alerts.resolved > 0) {
+        log.info(`🔔 ${alerts.triggered.toLocaleString()} watchlist alerts triggered, ${alerts.resolved.toLocaleString()} resolved`);
+      }
+      await this.updateMetadata(fileName, validation.rowsStaged, {
+        dumpDate,
+        previousDumpDate: previousImport ? previousImport.dumpDate || null : null,
+        validation,
+        validationReport: report
+      });
+
+      this.printNewGames(newGamesSample, totals.newGamesCount);
+
+      return {
+        totalProcessed: totals.totalProcessed,
+        newGamesCount: totals.newGamesCount,
+        updatedGamesCount: totals.updatedGamesCount,
+        unchangedCount: totals.unchangedCount,
+        // First new games of the import, for notifications
+        newGames: newGamesSample.first.map(({ id, name, year_published, rank }) => ({ id, name, year_published, rank })),
+        changeEvents: changes.published,
+        watchlistAlerts: alerts.triggered,
+        stats,
+        validationReport: report
+      };
+    } catch (error) {
+      await this.discardStaged();
+      log.error(swapped
+        ? `❌ Import failed after swap, the new games are live: ${error.message}`
+        : `❌ Import failed before swap, live collections are unchanged: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Drop what a failed import staged: staging collections, change events and watchlist matches
+   */
+  async discardStaged() {
+    this.watchlists.discard();
+    try {
+      await this.staging.discard();
+      await this.changeFeed.discard();
+    } catch (error) {
+      log.warn(`⚠️  Could not drop staged data of the failed import: ${error.message}`);
+    }
+  }
+
+  /**
+   * Log the schema validation report of an import
+   * @param {Object} report - Validation report from CsvSchema
+   */
+  logValidationReport(report) {
+    log.info(`🧾 Validation: ${CsvSchema.summarize(report)}`);
+
+    if (report.unknownColumns.length > 0) {
+      log.warn(`⚠️  CSV has columns not in the schema (config/bgg-schema.js): ${report.unknownColumns.join(', ')}`);
+    }
+    if (report.missingColumns.length > 0) {
+      log.warn(`⚠️  CSV is missing schema columns: ${report.missingColumns.join(', ')}`);
+    }
+    for (const rejected of report.rejectedRows.slice(0, 5)) {
+      log.warn(`⚠️  Line ${rejected.line} rejected: ${rejected.reason}`, { line: rejected.line });
+    }
+  }
+
+  /**
+   * Diff a chunk of games against the live collection and stage all of them
+   * Unchanged games keep their timestamps, new and changed ones get the import timestamp
+   * and a staged change event, and are checked against the watchlist rules.
+   * @param {Array<Object>} games - Parsed game documents
+   * @param {Date} importTimestamp - Timestamp of this import
+   * @param {number} batchSize - Insert batch size
+   * @param {RunTimeline} timeline - Records the diff and write steps
+   */
+  async processChunk(games, importTimestamp, batchSize, timeline = new RunTimeline()) {
+    const gamesCollection = this.database.getCollection(this.config.processing.collections.games);
+    const endDiff = timeline.start('diff');
+
+    // Look up only the games in this chunk
+    await this.database.ensureConnection();
+    const existingGamesMap = new Map();
+    const existingGames = await gamesCollection
+      .find({ id: { $in: games.map(game => game.id) } }, { projection: { _id: 0 } })
+      .toArray();
+    existingGames.forEach(game => {
+      existingGamesMap.set(game.id, game);
+    });
+
+    const changesAnalysis = this.analyzeChanges(games, existingGamesMap);
+    endDiff({
+      rows: games.length,
+      new: changesAnalysis.newGames.length,
+      updated: changesAnalysis.updatedGames.length,
+      unchanged: changesAnalysis.unchangedCount
     });
+    this.watchlists.evaluate('new', changesAnalysis.newGames);
+    this.watchlists.evaluate('updated', changesAnalysis.updatedGames, existingGamesMap);
+    const changedIds = new Set([...changesAnalysis.newGames, ...changesAnalysis.updatedGames].map(game => game.id));
+    const events = [
+      ...changesAnalysis.newGames.map(game => ChangeFeed.buildEvent('new', game, this.schema.diff(game, null))),
+      ...changesAnalysis.updatedGames.map(game => ChangeFeed.buildEvent('updated', game, this.schema.diff(game, existingGamesMap.get(game.id))))
+    ];
+
+    const gameDocs = [];
+    const searchDocs = [];
+    for (const gameDoc of games) {
+      const existingGame = existingGamesMap.get(gameDoc.id);
+      const timestamps = {
+        date_created: (existingGame && existingGame.date_created) || importTimestamp,
+        date_updated: changedIds.has(gameDoc.id) || !existingGame.date_updated ? importTimestamp : existingGame.date_updated
+      };
+
+      const stagedDoc = { ...existingGame, ...gameDoc, ...timestamps };
+      // A field missing from the row was dropped by BGG, don't keep the stale value
+      for (const field of this.schema.topLevelFields) {
+        if (!(field in gameDoc)) delete stagedDoc[field];
+      }
+
+      gameDocs.push(stagedDoc);
+      searchDocs.push({ ...GameSearch.toSearchDocument(gameDoc), ...timestamps });
+    }
+
+    const endWrite = timeline.start('write');
+    for (let i = 0; i < gameDocs.length; i += batchSize) {
+      await this.staging.stage(gameDocs.slice(i, i + batchSize), searchDocs.slice(i, i + batchSize));
+    }
+    for (let i = 0; i < events.length; i += batchSize) {
+      await this.changeFeed.stage(events.slice(i, i + batchSize));
+    }
+    endWrite({ rows: gameDocs.length });
+
+    return changesAnalysis;
+  }
+
+  /**
+   * Record ranking snapshots for the games changed by an import
+   * @param {Date} importTimestamp - Timestamp of this import, set as date_updated on changed games
+   * @param {Date} dumpDate - Date of the BGG dump
+   * @param {number} batchSize - Bulk write batch size
+   * @returns {Promise<number>} - Number of snapshots recorded
+   */
+  async recordChangedSnapshots(importTimestamp, dumpDate, batchSize) {
+    const gamesCollection = this.database.getCollection(this.config.processing.collections.games);
+    const cursor = gamesCollection.find({ date_updated: importTimestamp }, { projection: { _id: 0 } });
+    let batch = [];
+    let recorded = 0;
+
+    for await (const game of cursor) {
+      batch.push(game);
+      if (batch.length >= batchSize) {
+        await this.rankingHistory.recordSnapshots(batch, dumpDate, batchSize);
+        recorded += batch.length;
+        batch = [];
+      }
+    }
+
+    if (batch.length > 0) {
+      await this.rankingHistory.recordSnapshots(batch, dumpDate, batchSize);
+      recorded += batch.length;
+    }
+
+    return recorded;
+  }
+
+  /**
+   * Print the first and last new games of an import
+   * @param {Object} sample - { first, last } new games
+   * @param {number} newGamesCount - Total number of new games
+   */
+  printNewGames(sample, newGamesCount) {
+    if (newGamesCount === 0) return;
+
+    const print = (game, index) => {
+      log.info(`   ${index}. ${game.name} (ID: ${game.id}, Rank: ${game.rank || 'N/A'})`);
+    };
+
+    log.info(`🎮 === New Games Added ===`);
+    if (newGamesCount <= 20) {
+      [...sample.first, ...sample.last].forEach((game, index) => print(game, index + 1));
+    } else {
+      log.info(`   First 10 new games:`);
+      sample.first.forEach((game, index) => print(game, index + 1));
+      log.info(`   ... and ${newGamesCount - 20} more games ...`);
+      log.info(`   Last 10 new games:`);
+      sample.last.forEach((game, index) => print(game, newGamesCount - sample.last.length + index + 1));
+    }
   }
 
   /**
@@ -274,87 +412,16 @@ class BGGDataProcessor {
    * Check if game data has actually changed
    */
   hasGameDataChanged(newGame, existingGame) {
-    const fieldsToCompare = [
-      'name', 'year_published', 'rank', 'bayes_average', 
-      'average', 'users_rated', 'is_expansion', 'abstracts_rank'
-    ];
-
-    for (const field of fieldsToCompare) {
-      const newValue = newGame[field];
-      const existingValue = existingGame[field];
-      
-      // Handle undefined/null comparisons
-      if (newValue !== existingValue) {
-        // Special handling for numbers that might be NaN or undefined
-        if (typeof newValue === 'number' && typeof existingValue === 'number') {
-          if (isNaN(newValue) && isNaN(existingValue)) continue;
-          if (Math.abs(newValue - existingValue) > 0.001) return true;
-        } else {
-          return true;
-        }
-      }
-    }
-    
-    return false;
+    return this.schema.hasChanged(newGame, existingGame);
   }
 
   /**
-   * Re-sort entire collection alphabetically
+   * Record which dump the live collections reflect
+   * @param {string} fileName - Processed CSV file name
+   * @param {number} recordCount - Number of imported rows
+   * @param {Object} details - Optional extra fields, e.g. { dumpDate, validation }
    */
-  async resortCollection(collection, collectionName) {
-    try {
-      console.log(`   🔤 Sorting ${collectionName} collection...`);
-      
-      // Get all documents
-      const allDocs = await collection.find({}).toArray();
-      if (allDocs.length === 0) return;
-      
-      // Sort by name
-      allDocs.sort((a, b) => {
-        const nameA = a.name || '';
-        const nameB = b.name || '';
-        return nameA.localeCompare(nameB, undefined, { sensitivity: 'base' });
-      });
-
-      // Create temporary collection
-      const tempCollectionName = `${collectionName}_temp_${Date.now()}`;
-      const tempCollection = this.database.getCollection(tempCollectionName);
-      
-      // Insert sorted documents
-      const batchSize = 1000;
-      for (let i = 0; i < allDocs.length; i += batchSize) {
-        const batch = allDocs.slice(i, i + batchSize);
-        const cleanBatch = batch.map(doc => {
-          const { _id, ...cleanDoc } = doc;
-          return cleanDoc;
-        });
-        await tempCollection.insertMany(cleanBatch, { ordered: true });
-      }
-      
-      // Replace original collection
-      await collection.deleteMany({});
-      const sortedDocs = await tempCollection.find({}).toArray();
-      
-      for (let i = 0; i < sortedDocs.length; i += batchSize) {
-        const batch = sortedDocs.slice(i, i + batchSize);
-        const cleanBatch = batch.map(doc => {
-          const { _id, ...cleanDoc } = doc;
-          return cleanDoc;
-        });
-        await collection.insertMany(cleanBatch, { ordered: true });
-      }
-      
-      // Clean up temp collection
-      await this.database.getDb().collection(tempCollectionName).drop();
-      
-      console.log(`   ✅ ${collectionName} sorted successfully`);
-      
-    } catch (error) {
-      console.error(`   ❌ Failed to sort ${collectionName}:`, error.message);
-    }
-  }
-
-  async updateMetadata(fileName, recordCount) {
+  async updateMetadata(fileName, recordCount, details = {}) {
     try {
       const collection = this.database.getCollection(this.config.processing.collections.metadata);
       await collection.updateOne(
@@ -363,15 +430,16 @@ class BGGDataProcessor {
           $set: {
             fileName,
             recordCount,
+            ...details,
             lastProcessed: new Date(),
             source: 'bgg_data_dump'
           }
         },
         { upsert: true }
       );
-      console.log(`📝 Updated metadata for ${fileName}: ${recordCount} records`);
+      log.info(`📝 Updated metadata for ${fileName}: ${recordCount} records`);
     } catch (error) {
-      console.error('Error updating metadata:', error);
+      log.error('Error updating metadata', { error });
     }
   }
 }
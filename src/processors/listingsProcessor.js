@@ -0,0 +1,315 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const csv = require('csv-parser');
+const { GameSearch } = require('../search');
+const { PriceStats } = require('../pricing');
+const CsvSchema = require('../utils/csvSchema');
+const RunTimeline = require('../utils/runTimeline');
+const { timeBulkWrite } = require('../utils/metrics');
+const listingsSchema = require('../../config/listings-schema');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ component: 'listingsProcessor' });
+
+// Titles linked by name during one import, so repeated titles are searched once
+const MAX_CACHED_TITLES = 10000;
+
+/**
+ * Imports marketplace offers into the listings collection.
+ *
+ * Rows come from a CSV file, a JSON array or JSON Lines, with the columns of
+ * config/listings-schema.js. Each listing is linked to a board_games game by its
+ * game_id or, failing that, by a fuzzy match of its title (see GameSearch.match):
+ *
+ *   { dedupe_key, source, listing_id, game_id, game_name, link_method: 'id' | 'name' | null,
+ *     match_score, listed_game_id, title, seller, condition, price, currency, location,
+ *     url, observed_at, last_observed_at, imported_at, updated_at }
+ *
+ * The same offer at the same price is stored once: observing it again only moves
+ * last_observed_at (and observed_at back, for older exports). An offer is identified
+ * by its source and listing_id, or without one by seller, game, condition and
+ * location. A price change starts a new document, so the price history is kept.
+ *
+ * After an import the price stats of the games it touched are recomputed.
+ */
+class ListingsProcessor {
+  constructor(database, config) {
+    this.database = database;
+    this.config = config;
+    this.collectionName = config.processing.collections.listings;
+    this.schema = new CsvSchema(listingsSchema);
+    this.gameSearch = new GameSearch(database, config);
+    this.priceStats = new PriceStats(database, config);
+    this.titleMatches = new Map();
+  }
+
+  getCollection() {
+    return this.database.getCollection(this.collectionName);
+  }
+
+  /**
+   * Identity of an offer at one price
+   * @param {Object} listing - Parsed listing with its source
+   * @returns {string} - SHA-1 hex digest
+   */
+  static dedupeKey(listing) {
+    const offer = listing.listing_id
+      ? [listing.source, 'id', listing.listing_id]
+      : [
+        listing.source,
+        listing.seller.toLowerCase(),
+        listing.listed_game_id || GameSearch.normalize(listing.title || ''),
+        listing.condition,
+        (listing.location || '').toLowerCase()
+      ];
+
+    return crypto.createHash('sha1').update(JSON.stringify([...offer, listing.price, listing.currency])).digest('hex');
+  }
+
+  /**
+   * Detect the format of a listings file from its extension and first character
+   * @param {string} filePath - Listings file
+   * @returns {Promise<string>} - 'csv', 'json' (array) or 'jsonl'
+   */
+  static async detectFormat(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    if (extension === '.jsonl' || extension === '.ndjson') return 'jsonl';
+    if (extension !== '.json') return 'csv';
+
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+      const buffer = Buffer.alloc(256);
+      const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+      return buffer.toString('utf8', 0, bytesRead).trimStart().startsWith('[') ? 'json' : 'jsonl';
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Read the rows of a listings file with their line (CSV, JSON Lines) or index (JSON) number
+   * @param {string} filePath - Listings file
+   * @param {string} format - Format from detectFormat
+   * @param {Object} report - Validation report, for header checks and unparseable lines
+   */
+  async *readRows(filePath, format, report) {
+    if (format === 'json') {
+      // Arrays are parsed whole, large exports should use JSON Lines
+      const rows = await fs.readJson(filePath);
+      if (!Array.isArray(rows)) {
+        throw new Error(`Expected a JSON array of listings in ${path.basename(filePath)}`);
+      }
+      this.schema.checkHeaders([...new Set(rows.flatMap(row => Object.keys(row || {})))], report);
+      for (let i = 0; i < rows.length; i++) {
+        yield { row: rows[i] || {}, line: i + 1 };
+      }
+      return;
+    }
+
+    if (format === 'jsonl') {
+      const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+      let line = 0;
+      for await (const text of lines) {
+        line++;
+        if (!text.trim()) continue;
+        try {
+          yield { row: JSON.parse(text), line };
+        } catch (error) {
+          report.rowsTotal++;
+          this.schema.reject(report, line, `invalid JSON: ${error.message}`);
+        }
+      }
+      return;
+    }
+
+    const rows = fs.createReadStream(filePath).pipe(csv());
+    rows.on('headers', (headers) => this.schema.checkHeaders(headers, report));
+    let line = 1;
+    for await (const row of rows) {
+      line++;
+      yield { row, line };
+    }
+  }
+
+  /**
+   * Import a listings file
+   * @param {string} filePath - CSV, JSON or JSON Lines file
+   * @param {Object} options - Optional { source, observedAt, timeline } where source names the
+   *   marketplace of rows without a source column and observedAt is the observation time of
+   *   rows without observed_at (default: now)
+   * @returns {Promise<Object>} - { rows, rejected, newListings, repeatedListings, linkedById,
+   *   linkedByName, unmatched, priceStatsUpdated, validationReport }
+   */
+  async processFile(filePath, options = {}) {
+    const timeline = options.timeline || new RunTimeline();
+    const source = options.source || this.config.source.name;
+    const observedAt = options.observedAt || new Date();
+    const importTimestamp = new Date();
+    const fileName = path.basename(filePath);
+    const format = await ListingsProcessor.detectFormat(filePath);
+    log.info(`🏷️  Importing listings from ${fileName} (${format}, source ${source})`);
+
+    await this.database.createIndexes();
+    this.titleMatches.clear();
+
+    const chunkSize = this.config.processing.chunkSize || 1000;
+    const report = this.schema.createReport();
+    const totals = { newListings: 0, repeatedListings: 0, linkedById: 0, linkedByName: 0, unmatched: 0 };
+    const gameIds = new Set();
+    let chunk = [];
+
+    const flushChunk = async () => {
+      const result = await this.processChunk(chunk, { importTimestamp }, timeline);
+      chunk = [];
+      for (const key of Object.keys(totals)) {
+        totals[key] += result[key];
+      }
+      result.gameIds.forEach(id => gameIds.add(id));
+      log.info(`📊 Imported ${(totals.newListings + totals.repeatedListings).toLocaleString()} listings...`);
+    };
+
+    let endParse = timeline.start('parse');
+    for await (const { row, line } of this.readRows(filePath, format, report)) {
+      const listing = this.schema.parseRow(row, line, report);
+      if (!listing) continue;
+
+      if (!listing.listed_game_id && !listing.title) {
+        report.rowsAccepted--;
+        this.schema.reject(report, line, 'needs a game_id or a title');
+        continue;
+      }
+
+      chunk.push({
+        source,
+        condition: 'unknown',
+        observed_at: observedAt,
+        ...listing
+      });
+
+      if (chunk.length >= chunkSize) {
+        endParse();
+        await flushChunk();
+        endParse = timeline.start('parse');
+      }
+    }
+    endParse({ rows: report.rowsTotal, rowsAccepted: report.rowsAccepted, rowsRejected: report.rowsRejected });
+
+    if (chunk.length > 0) {
+      await flushChunk();
+    }
+
+    const priceStatsUpdated = await timeline.measure('stats', () => this.priceStats.update(gameIds));
+    timeline.add('stats', { games: priceStatsUpdated });
+
+    log.info(`🧾 Validation: ${CsvSchema.summarize(report)}`);
+    for (const rejected of report.rejectedRows.slice(0, 5)) {
+      log.warn(`⚠️  Line ${rejected.line} rejected: ${rejected.reason}`, { line: rejected.line });
+    }
+    log.info(`✅ Listings: ${totals.newListings.toLocaleString()} new, ${totals.repeatedListings.toLocaleString()} seen before; linked ${totals.linkedById.toLocaleString()} by id, ${totals.linkedByName.toLocaleString()} by name, ${totals.unmatched.toLocaleString()} unmatched`, totals);
+
+    return {
+      rows: report.rowsTotal,
+      rejected: report.rowsRejected,
+      ...totals,
+      priceStatsUpdated,
+      validationReport: report
+    };
+  }
+
+  /**
+   * Link a chunk of listings to games and upsert them
+   * @param {Array<Object>} listings - Parsed listings with source and observed_at
+   * @param {Object} importInfo - { importTimestamp }
+   * @param {RunTimeline} timeline - Records the link and write steps
+   * @returns {Promise<Object>} - Counts and the gameIds of the linked listings
+   */
+  async processChunk(listings, { importTimestamp }, timeline = new RunTimeline()) {
+    const links = await timeline.measure('link', () => this.linkGames(listings));
+    const counts = { newListings: 0, repeatedListings: 0, linkedById: 0, linkedByName: 0, unmatched: 0 };
+    const gameIds = new Set(links.map(link => link.game_id).filter(id => id !== null));
+
+    const operations = listings.map((listing, i) => {
+      const link = links[i];
+      if (link.link_method === 'id') counts.linkedById++;
+      else if (link.link_method === 'name') counts.linkedByName++;
+      else counts.unmatched++;
+
+      const { observed_at: observedAt, ...fields } = listing;
+      const dedupeKey = ListingsProcessor.dedupeKey(listing);
+      return {
+        updateOne: {
+          filter: { dedupe_key: dedupeKey },
+          update: {
+            $setOnInsert: { dedupe_key: dedupeKey, ...fields, imported_at: importTimestamp },
+            // A later link (e.g. once the game is in board_games) replaces an earlier one
+            $set: { ...link, updated_at: importTimestamp },
+            $min: { observed_at: observedAt },
+            $max: { last_observed_at: observedAt }
+          },
+          upsert: true
+        }
+      };
+    });
+
+    await timeline.measure('write', async () => {
+      const result = await timeBulkWrite(this.collectionName, 'bulkWrite', () => this.getCollection().bulkWrite(operations, { ordered: false }));
+      counts.newListings = result.upsertedCount;
+      counts.repeatedListings = listings.length - result.upsertedCount;
+    });
+    timeline.add('write', { rows: listings.length });
+
+    return { ...counts, gameIds };
+  }
+
+  /**
+   * Find the game of each listing, by game id or else by title
+   * @param {Array<Object>} listings - Parsed listings
+   * @returns {Promise<Array<Object>>} - { game_id, game_name, link_method, match_score } per listing
+   */
+  async linkGames(listings) {
+    const ids = [...new Set(listings.map(listing => listing.listed_game_id).filter(Boolean))];
+    const games = ids.length > 0
+      ? await this.database.getCollection(this.config.processing.collections.games)
+        .find({ id: { $in: ids } }, { projection: { _id: 0, id: 1, name: 1 } })
+        .toArray()
+      : [];
+    const gamesById = new Map(games.map(game => [game.id, game]));
+
+    const links = [];
+    for (const listing of listings) {
+      const game = gamesById.get(listing.listed_game_id);
+      if (game) {
+        links.push({ game_id: game.id, game_name: game.name, link_method: 'id', match_score: null });
+        continue;
+      }
+
+      const match = listing.title ? await this.matchTitle(listing.title, listing.year_published) : null;
+      links.push(match
+        ? { game_id: match.game.id, game_name: match.game.name, link_method: 'name', match_score: match.matchScore }
+        : { game_id: null, game_name: null, link_method: null, match_score: null });
+    }
+
+    return links;
+  }
+
+  /**
+   * Fuzzy match a listing title against board_games, once per title and year
+   */
+  async matchTitle(title, year) {
+    const key = `${GameSearch.normalize(title)}|${year || ''}`;
+    if (this.titleMatches.has(key)) {
+      return this.titleMatches.get(key);
+    }
+
+    const match = await this.gameSearch.match(title, { year, minScore: this.config.processing.matching.minScore });
+    if (this.titleMatches.size >= MAX_CACHED_TITLES) {
+      this.titleMatches.clear();
+    }
+    this.titleMatches.set(key, match);
+    return match;
+  }
+}
+
+module.exports = ListingsProcessor;
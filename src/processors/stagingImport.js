@@ -0,0 +1,235 @@
+const { logger } = require('../utils/logger');
+const { timeBulkWrite } = require('../utils/metrics');
+
+const log = logger.child({ component: 'stagingImport' });
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+class StagingImport {
+  /**
+   * Loads an import into staging collections, validates it and swaps it into place.
+   * The replaced generation is kept as <collection>_previous for rollback.
+   * @param {Database} database - Connected database
+   * @param {Object} config - BGG config
+   */
+  constructor(database, config) {
+    this.database = database;
+    this.config = config;
+    this.options = {
+      // Reject imports with fewer rows than this share of the live collection
+      minRowRatio: 0.9,
+      ...config.processing.staging
+    };
+
+    const { games, search } = config.processing.collections;
+    this.targets = {
+      games: {
+        live: games,
+        staging: `${games}_staging`,
+        previous: `${games}_previous`,
+        createIndexes: (name) => database.createGamesIndexes(name)
+      },
+      search: {
+        live: search,
+        staging: `${search}_staging`,
+        previous: `${search}_previous`,
+        createIndexes: (name) => database.createSearchIndexes(name)
+      }
+    };
+
+    this.rowsStaged = 0;
+    this.duplicateIds = 0;
+  }
+
+  /**
+   * Drop leftovers of an earlier failed import and create empty indexed staging collections
+   */
+  async prepare() {
+    this.rowsStaged = 0;
+    this.duplicateIds = 0;
+
+    for (const target of Object.values(this.targets)) {
+      await this.dropIfExists(target.staging);
+      await target.createIndexes(target.staging);
+    }
+  }
+
+  /**
+   * Insert a batch of games and their search entries into staging
+   * @param {Array<Object>} gameDocs - board_games documents
+   * @param {Array<Object>} searchDocs - games_search documents
+   */
+  async stage(gameDocs, searchDocs) {
+    if (gameDocs.length === 0) return;
+
+    await this.database.ensureConnection();
+    const inserted = await this.insertCountingDuplicates(this.targets.games.staging, gameDocs);
+    await this.insertCountingDuplicates(this.targets.search.staging, searchDocs);
+
+    this.rowsStaged += inserted;
+  }
+
+  /**
+   * Insert documents, counting rows rejected by the unique id index instead of failing
+   * @returns {Promise<number>} - Number of inserted documents
+   */
+  async insertCountingDuplicates(collectionName, docs) {
+    try {
+      await timeBulkWrite(collectionName, 'insertMany', () => this.database.getCollection(collectionName).insertMany(docs, { ordered: false }));
+      return docs.length;
+    } catch (error) {
+      const writeErrors = error.writeErrors ? [].concat(error.writeErrors) : [];
+      if (writeErrors.length === 0 || writeErrors.some(writeError => writeError.code !== DUPLICATE_KEY_ERROR)) {
+        throw error;
+      }
+
+      if (collectionName === this.targets.games.staging) {
+        this.duplicateIds += writeErrors.length;
+      }
+      return docs.length - writeErrors.length;
+    }
+  }
+
+  /**
+   * Copy games that are missing from the dump over from the live collections,
+   * so an import never deletes games
+   */
+  async carryOverMissing() {
+    for (const target of Object.values(this.targets)) {
+      if (!(await this.collectionExists(target.live))) continue;
+
+      await this.database.getCollection(target.live).aggregate([
+        { $project: { _id: 0 } },
+        { $merge: { into: target.staging, on: 'id', whenMatched: 'keepExisting', whenNotMatched: 'insert' } }
+      ]).toArray();
+    }
+  }
+
+  /**
+   * Check the staged import before it replaces the live collections
+   * @returns {Promise<Object>} - Validation report
+   * @throws {Error} - If any check fails
+   */
+  async validate() {
+    const stagingGames = this.database.getCollection(this.targets.games.staging);
+    const previousCount = await this.database.getCollection(this.targets.games.live).countDocuments();
+    const missingRequired = await stagingGames.countDocuments({
+      $or: [
+        { id: { $exists: false } },
+        { id: null },
+        { name: { $exists: false } },
+        { name: '' }
+      ]
+    });
+
+    const report = {
+      rowsStaged: this.rowsStaged,
+      previousCount,
+      duplicateIds: this.duplicateIds,
+      missingRequired
+    };
+
+    const problems = [];
+    if (this.rowsStaged === 0) {
+      problems.push('no rows were staged');
+    }
+    if (previousCount > 0 && this.rowsStaged < previousCount * this.options.minRowRatio) {
+      problems.push(`row count ${this.rowsStaged} is below ${Math.round(this.options.minRowRatio * 100)}% of the previous import (${previousCount})`);
+    }
+    if (this.duplicateIds > 0) {
+      problems.push(`${this.duplicateIds} duplicate game ids`);
+    }
+    if (missingRequired > 0) {
+      problems.push(`${missingRequired} games without id or name`);
+    }
+
+    if (problems.length > 0) {
+      const error = new Error(`Staged import failed validation: ${problems.join('; ')}`);
+      error.validationReport = report;
+      throw error;
+    }
+
+    log.info(`✅ Staged import validated: ${this.rowsStaged.toLocaleString()} rows (previous: ${previousCount.toLocaleString()})`);
+    return report;
+  }
+
+  /**
+   * Keep a copy of each live collection as the previous generation, then rename the
+   * staging collection over it. Each rename is atomic on its own, the swap is per
+   * collection: if a later collection fails to swap, the collections already swapped
+   * are restored from their previous generation so games and search stay consistent.
+   */
+  async swap() {
+    const swapped = [];
+
+    try {
+      for (const target of Object.values(this.targets)) {
+        const hadLive = await this.collectionExists(target.live);
+        if (hadLive) {
+          await this.database.getCollection(target.live).aggregate([{ $out: target.previous }]).toArray();
+        }
+
+        await this.database.getCollection(target.staging).rename(target.live, { dropTarget: true });
+        swapped.push({ target, hadLive });
+        log.info(`🔁 Swapped ${target.staging} into ${target.live}`);
+      }
+    } catch (error) {
+      for (const { target, hadLive } of swapped.reverse()) {
+        try {
+          if (hadLive) {
+            await this.database.getCollection(target.previous).rename(target.live, { dropTarget: true });
+            await target.createIndexes(target.live);
+          } else {
+            await this.dropIfExists(target.live);
+          }
+          log.warn(`⏪ Swap failed, restored ${target.live}`);
+        } catch (restoreError) {
+          log.error(`💥 Swap failed and ${target.live} could not be restored, run npm run rollback-import: ${restoreError.message}`);
+        }
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Drop the staging collections without touching the live data
+   */
+  async discard() {
+    for (const target of Object.values(this.targets)) {
+      await this.dropIfExists(target.staging);
+    }
+  }
+
+  /**
+   * Restore the previous generation of each live collection
+   * @returns {Promise<boolean>} - False if there is no previous generation
+   */
+  async rollback() {
+    for (const target of Object.values(this.targets)) {
+      if (!(await this.collectionExists(target.previous))) {
+        return false;
+      }
+    }
+
+    for (const target of Object.values(this.targets)) {
+      await this.database.getCollection(target.previous).rename(target.live, { dropTarget: true });
+      await target.createIndexes(target.live);
+      log.info(`⏪ Restored ${target.previous} into ${target.live}`);
+    }
+
+    return true;
+  }
+
+  async collectionExists(name) {
+    const collections = await this.database.getDb().listCollections({ name }, { nameOnly: true }).toArray();
+    return collections.length > 0;
+  }
+
+  async dropIfExists(name) {
+    if (await this.collectionExists(name)) {
+      await this.database.getCollection(name).drop();
+    }
+  }
+}
+
+module.exports = StagingImport;
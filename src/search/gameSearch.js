@@ -0,0 +1,330 @@
+const bggConfig = require('../../config/bgg-config');
+const { logger } = require('../utils/logger');
+const { timeBulkWrite } = require('../utils/metrics');
+
+const log = logger.child({ component: 'gameSearch' });
+
+const MAX_CANDIDATES = 500;
+
+class GameSearch {
+  constructor(database, config = bggConfig) {
+    this.database = database;
+    this.config = config;
+  }
+
+  /**
+   * Normalize a name for matching: strip diacritics and punctuation, lowercase
+   * "CATAN: Cities & Knights" -> "catan cities and knights"
+   * @param {string} text - Raw text
+   * @returns {string}
+   */
+  static normalize(text) {
+    return String(text || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/&/g, ' and ')
+      .replace(/['’`]/g, '')
+      .replace(/[^\p{L}\p{N}]+/gu, ' ')
+      .trim();
+  }
+
+  /**
+   * Split normalized text into tokens
+   * @param {string} normalized - Normalized text
+   * @returns {Array<string>}
+   */
+  static tokenize(normalized) {
+    return normalized ? normalized.split(' ') : [];
+  }
+
+  /**
+   * Build the set of trigrams for normalized text, padding each token
+   * @param {string} normalized - Normalized text
+   * @returns {Array<string>}
+   */
+  static trigrams(normalized) {
+    const grams = new Set();
+    for (const token of GameSearch.tokenize(normalized)) {
+      const padded = `  ${token} `;
+      for (let i = 0; i < padded.length - 2; i++) {
+        grams.add(padded.slice(i, i + 3));
+      }
+    }
+    return [...grams];
+  }
+
+  /**
+   * Levenshtein distance with an upper bound, returns bound + 1 when exceeded
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @param {number} bound - Maximum distance of interest
+   */
+  static editDistance(a, b, bound = 2) {
+    if (Math.abs(a.length - b.length) > bound) return bound + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        rowMin = Math.min(rowMin, current[j]);
+      }
+      if (rowMin > bound) return bound + 1;
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  /**
+   * Build the search fields stored on a games_search document
+   * @param {Object} game - Game document from board_games
+   */
+  static toSearchDocument(game) {
+    const nameNormalized = GameSearch.normalize(game.name);
+    const doc = {
+      id: game.id,
+      name: game.name,
+      name_normalized: nameNormalized,
+      tokens: GameSearch.tokenize(nameNormalized),
+      trigrams: GameSearch.trigrams(nameNormalized),
+      is_expansion: !!game.is_expansion
+    };
+
+    for (const field of ['year_published', 'rank', 'users_rated']) {
+      if (game[field] !== undefined && game[field] !== null) {
+        doc[field] = game[field];
+      }
+    }
+
+    return doc;
+  }
+
+  getCollection() {
+    return this.database.getCollection(this.config.processing.collections.search);
+  }
+
+  /**
+   * Search games by name with typo tolerance, ranked by match quality and popularity
+   * @param {string} query - Search query
+   * @param {Object} options - { limit, isExpansion, year, yearFrom, yearTo }
+   * @returns {Promise<Array<Object>>} - Matching games with a score
+   */
+  async search(query, options = {}) {
+    const limit = options.limit || 10;
+    const normalized = GameSearch.normalize(query);
+    if (!normalized) return [];
+
+    const queryTokens = GameSearch.tokenize(normalized);
+    const queryTrigrams = GameSearch.trigrams(normalized);
+    const filters = this.buildFilters(options);
+
+    // Prefix/token matches first, then trigram matches to catch typos
+    const projection = { _id: 0, trigrams: 0 };
+    const collection = this.getCollection();
+    const [prefixMatches, fuzzyMatches] = await Promise.all([
+      collection.find({
+        ...filters,
+        $or: [
+          { name_normalized: { $regex: `^${escapeRegex(normalized)}` } },
+          { tokens: { $regex: `^${escapeRegex(queryTokens[0])}` } }
+        ]
+      }, { projection }).sort({ users_rated: -1 }).limit(MAX_CANDIDATES).toArray(),
+      collection.aggregate([
+        // Skip the very common word-start trigrams ("  c") when selecting candidates
+        { $match: { ...filters, trigrams: { $in: queryTrigrams.filter(gram => !gram.startsWith('  ')) } } },
+        { $addFields: { overlap: { $size: { $setIntersection: ['$trigrams', queryTrigrams] } } } },
+        { $match: { overlap: { $gte: Math.max(2, Math.floor(queryTrigrams.length / 2)) } } },
+        { $sort: { overlap: -1, users_rated: -1 } },
+        { $limit: MAX_CANDIDATES },
+        { $project: { ...projection, overlap: 0 } }
+      ]).toArray()
+    ]);
+
+    const candidates = new Map();
+    for (const candidate of [...prefixMatches, ...fuzzyMatches]) {
+      candidates.set(candidate.id, candidate);
+    }
+
+    const results = [];
+    for (const candidate of candidates.values()) {
+      const matchScore = this.scoreMatch(normalized, queryTokens, queryTrigrams, candidate);
+      if (matchScore <= 0) continue;
+
+      const { tokens, name_normalized, ...game } = candidate;
+      results.push({
+        ...game,
+        score: Math.round((matchScore + this.popularityBoost(candidate)) * 100) / 100
+      });
+    }
+
+    results.sort((a, b) => b.score - a.score || (a.rank || Infinity) - (b.rank || Infinity));
+    return results.slice(0, limit);
+  }
+
+  /**
+   * Find the game a free-text title refers to, e.g. the title of a marketplace listing
+   * Candidates come from search(); the best one is accepted only if its name match
+   * alone (without the popularity boost) reaches minScore. A year narrows the
+   * candidates when it matches any.
+   * @param {string} title - Free-text title
+   * @param {Object} options - { year, minScore }
+   * @returns {Promise<Object|null>} - { game, matchScore }, or null without a good enough match
+   */
+  async match(title, { year = null, minScore = 50 } = {}) {
+    let candidates = year ? await this.search(title, { limit: 5, year }) : [];
+    if (candidates.length === 0) {
+      candidates = await this.search(title, { limit: 5 });
+    }
+
+    const normalized = GameSearch.normalize(title);
+    const queryTokens = GameSearch.tokenize(normalized);
+    const queryTrigrams = GameSearch.trigrams(normalized);
+    let best = null;
+
+    // Candidates are ordered by score, so ties keep the more popular game
+    for (const game of candidates) {
+      const matchScore = Math.round(this.scoreMatch(normalized, queryTokens, queryTrigrams, game) * 100) / 100;
+      if (matchScore >= minScore && (!best || matchScore > best.matchScore)) {
+        best = { game, matchScore };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Build Mongo filters for expansion and year options
+   * @param {Object} options - { isExpansion, year, yearFrom, yearTo }
+   */
+  buildFilters(options) {
+    const filters = {};
+
+    if (options.isExpansion !== undefined && options.isExpansion !== null) {
+      filters.is_expansion = !!options.isExpansion;
+    }
+
+    if (options.year) {
+      filters.year_published = options.year;
+    } else if (options.yearFrom || options.yearTo) {
+      filters.year_published = {};
+      if (options.yearFrom) filters.year_published.$gte = options.yearFrom;
+      if (options.yearTo) filters.year_published.$lte = options.yearTo;
+    }
+
+    return filters;
+  }
+
+  /**
+   * Score how well a candidate name matches the query (0 means no match)
+   */
+  scoreMatch(normalized, queryTokens, queryTrigrams, candidate) {
+    const name = candidate.name_normalized || GameSearch.normalize(candidate.name);
+    const nameTokens = candidate.tokens || GameSearch.tokenize(name);
+
+    if (name === normalized) return 100;
+    if (name.startsWith(normalized)) return 80 + 10 * (normalized.length / name.length);
+
+    // Every query token must match a name token by prefix or within the typo budget
+    let tokenScore = 0;
+    for (const queryToken of queryTokens) {
+      let best = 0;
+      for (const nameToken of nameTokens) {
+        if (nameToken === queryToken) {
+          best = 1;
+          break;
+        }
+        if (nameToken.startsWith(queryToken)) {
+          best = Math.max(best, 0.8);
+          continue;
+        }
+        const allowed = queryToken.length <= 4 ? 1 : 2;
+        const distance = GameSearch.editDistance(queryToken, nameToken, allowed);
+        if (distance <= allowed) {
+          best = Math.max(best, 0.6 - 0.1 * distance);
+        }
+      }
+      if (best === 0) {
+        tokenScore = 0;
+        break;
+      }
+      tokenScore += best;
+    }
+
+    if (tokenScore > 0) {
+      return 30 + 40 * (tokenScore / queryTokens.length) * (queryTokens.length / Math.max(nameTokens.length, queryTokens.length));
+    }
+
+    // Fall back to trigram similarity for misspellings spanning token boundaries
+    const nameTrigrams = new Set(GameSearch.trigrams(name));
+    const shared = queryTrigrams.filter(gram => nameTrigrams.has(gram)).length;
+    const similarity = shared / (queryTrigrams.length + nameTrigrams.size - shared);
+
+    return similarity >= 0.4 ? 30 * similarity : 0;
+  }
+
+  /**
+   * Boost well-known and highly ranked games
+   */
+  popularityBoost(candidate) {
+    let boost = 0;
+    if (candidate.users_rated > 0) {
+      boost += Math.min(10, 2 * Math.log10(candidate.users_rated));
+    }
+    if (candidate.rank > 0) {
+      boost += Math.max(0, 10 - 2 * Math.log10(candidate.rank));
+    }
+    return boost;
+  }
+
+  /**
+   * Rebuild search fields in games_search from board_games
+   * @param {number} batchSize - Bulk write batch size
+   */
+  async rebuildIndex(batchSize = 1000) {
+    const gamesCollection = this.database.getCollection(this.config.processing.collections.games);
+    const searchCollection = this.getCollection();
+    const currentTimestamp = new Date();
+    let batch = [];
+    let rebuilt = 0;
+
+    const cursor = gamesCollection.find({}, { projection: { _id: 0 } });
+    for await (const game of cursor) {
+      batch.push({
+        updateOne: {
+          filter: { id: game.id },
+          update: {
+            $set: { ...GameSearch.toSearchDocument(game), date_updated: currentTimestamp },
+            $setOnInsert: { date_created: currentTimestamp }
+          },
+          upsert: true
+        }
+      });
+
+      if (batch.length >= batchSize) {
+        await timeBulkWrite(this.config.processing.collections.search, 'bulkWrite', () => searchCollection.bulkWrite(batch, { ordered: false }));
+        rebuilt += batch.length;
+        batch = [];
+        log.info(`📊 Rebuilt ${rebuilt.toLocaleString()} search entries...`);
+      }
+    }
+
+    if (batch.length > 0) {
+      await timeBulkWrite(this.config.processing.collections.search, 'bulkWrite', () => searchCollection.bulkWrite(batch, { ordered: false }));
+      rebuilt += batch.length;
+    }
+
+    return rebuilt;
+  }
+}
+
+/**
+ * Escape a string for use in a regular expression
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = GameSearch;
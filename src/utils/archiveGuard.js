@@ -0,0 +1,170 @@
+const path = require('path');
+const { Transform } = require('stream');
+
+const DEFAULT_EXTRACTION_LIMITS = {
+  // Total uncompressed bytes extracted from one archive
+  maxUncompressedBytes: 1024 * 1024 * 1024,
+  // Entries (files and directories) allowed in one archive
+  maxEntries: 1000
+};
+
+/**
+ * Base class for archives rejected before or during extraction
+ */
+class ArchiveSecurityError extends Error {
+  constructor(message, { reason, entry = null, limit = null, actual = null } = {}) {
+    super(message);
+    this.name = 'ArchiveSecurityError';
+    this.reason = reason;
+    this.entry = entry;
+    this.limit = limit;
+    this.actual = actual;
+  }
+}
+
+class PathTraversalError extends ArchiveSecurityError {
+  constructor(entry) {
+    super(`Archive entry "${entry}" points outside the extraction directory`, { reason: 'path_traversal', entry });
+    this.name = 'PathTraversalError';
+  }
+}
+
+class UnsafeEntryTypeError extends ArchiveSecurityError {
+  constructor(entry, type) {
+    super(`Archive entry "${entry}" is a ${type}, only regular files and directories are allowed`, { reason: 'unsafe_entry_type', entry });
+    this.name = 'UnsafeEntryTypeError';
+    this.type = type;
+  }
+}
+
+class EntryCountLimitError extends ArchiveSecurityError {
+  constructor(limit, actual) {
+    super(`Archive has ${actual} entries, more than the limit of ${limit}`, { reason: 'too_many_entries', limit, actual });
+    this.name = 'EntryCountLimitError';
+  }
+}
+
+class SizeLimitError extends ArchiveSecurityError {
+  constructor(limit, actual, entry = null) {
+    super(`Archive uncompressed size ${actual}${entry ? ` (at "${entry}")` : ''} exceeds the limit of ${limit} bytes`, { reason: 'uncompressed_size_exceeded', entry, limit, actual });
+    this.name = 'SizeLimitError';
+  }
+}
+
+/**
+ * Validates archive entries and tracks extracted bytes for one extraction run
+ */
+class ArchiveGuard {
+  /**
+   * @param {Object} limits - Overrides of DEFAULT_EXTRACTION_LIMITS
+   */
+  constructor(limits = {}) {
+    this.limits = { ...DEFAULT_EXTRACTION_LIMITS };
+    for (const [key, value] of Object.entries(limits)) {
+      // Unset limits keep their defaults
+      if (value !== undefined && value !== null) this.limits[key] = value;
+    }
+    this.extractedBytes = 0;
+  }
+
+  /**
+   * Check the listing of an archive before extracting anything
+   * @param {Array<Object>} entries - { name, size, type } where type is 'file', 'directory' or anything else
+   */
+  checkEntries(entries) {
+    if (entries.length > this.limits.maxEntries) {
+      throw new EntryCountLimitError(this.limits.maxEntries, entries.length);
+    }
+
+    let declaredBytes = 0;
+    for (const entry of entries) {
+      ArchiveGuard.checkEntryName(entry.name);
+
+      if (entry.type !== 'file' && entry.type !== 'directory') {
+        throw new UnsafeEntryTypeError(entry.name, entry.type);
+      }
+
+      // Declared sizes can lie, extracted bytes are counted again in addBytes
+      declaredBytes += Number(entry.size) || 0;
+      if (declaredBytes > this.limits.maxUncompressedBytes) {
+        throw new SizeLimitError(this.limits.maxUncompressedBytes, declaredBytes, entry.name);
+      }
+    }
+  }
+
+  /**
+   * Count extracted bytes against the size limit
+   * @param {number} bytes - Bytes just extracted
+   * @param {string} entryName - Entry being extracted
+   */
+  addBytes(bytes, entryName = null) {
+    this.extractedBytes += bytes;
+    if (this.extractedBytes > this.limits.maxUncompressedBytes) {
+      throw new SizeLimitError(this.limits.maxUncompressedBytes, this.extractedBytes, entryName);
+    }
+  }
+
+  /**
+   * Stream that passes data through and fails once the size limit is exceeded
+   * @param {string} entryName - Entry being extracted
+   */
+  createLimiter(entryName = null) {
+    const guard = this;
+    return new Transform({
+      transform(chunk, encoding, callback) {
+        try {
+          guard.addBytes(chunk.length, entryName);
+          callback(null, chunk);
+        } catch (error) {
+          callback(error);
+        }
+      }
+    });
+  }
+
+  /**
+   * Reject absolute paths, drive letters and ".." segments in an entry name
+   * @param {string} name - Entry name as stored in the archive
+   */
+  static checkEntryName(name) {
+    if (typeof name !== 'string' || name.length === 0 || name.includes('\0')) {
+      throw new PathTraversalError(String(name));
+    }
+
+    const normalized = name.replace(/\\/g, '/');
+    if (normalized.startsWith('/') || /^[a-zA-Z]:/.test(normalized)) {
+      throw new PathTraversalError(name);
+    }
+
+    if (normalized.split('/').includes('..')) {
+      throw new PathTraversalError(name);
+    }
+  }
+
+  /**
+   * Resolve an output path and make sure it stays inside baseDir
+   * @param {string} baseDir - Extraction directory
+   * @param {string} name - Relative output name
+   * @returns {string} - Absolute output path
+   */
+  static resolveInside(baseDir, name) {
+    const root = path.resolve(baseDir);
+    const target = path.resolve(root, name);
+
+    if (target !== root && !target.startsWith(root + path.sep)) {
+      throw new PathTraversalError(name);
+    }
+
+    return target;
+  }
+}
+
+module.exports = {
+  ArchiveGuard,
+  ArchiveSecurityError,
+  PathTraversalError,
+  UnsafeEntryTypeError,
+  EntryCountLimitError,
+  SizeLimitError,
+  DEFAULT_EXTRACTION_LIMITS
+};
@@ -0,0 +1,220 @@
+const MAX_REPORTED_ISSUES = 100;
+const FLOAT_TOLERANCE = 0.001;
+
+const parsers = {
+  integer: (value) => (/^-?\d+$/.test(value) ? parseInt(value, 10) : NaN),
+  float: (value) => (/^-?\d*\.?\d+(e-?\d+)?$/i.test(value) ? parseFloat(value) : NaN),
+  string: (value) => value,
+  boolean: (value) => {
+    if (['1', 'true', 'yes'].includes(value.toLowerCase())) return true;
+    if (['0', 'false', 'no'].includes(value.toLowerCase())) return false;
+    return NaN;
+  },
+  // ISO 8601 date or date-time, e.g. 2025-07-01 or 2025-07-01T06:00:00Z
+  date: (value) => {
+    const date = /^\d{4}-\d{2}-\d{2}([T ][\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/.test(value) ? new Date(value) : null;
+    return date && !isNaN(date.getTime()) ? date : NaN;
+  }
+};
+
+class CsvSchema {
+  /**
+   * @param {Array<Object>} fields - Schema entries (see config/bgg-schema.js)
+   */
+  constructor(fields) {
+    for (const definition of fields) {
+      if (!parsers[definition.type]) {
+        throw new Error(`Unsupported schema type "${definition.type}" for column ${definition.column}`);
+      }
+    }
+
+    this.fields = fields;
+    this.columns = new Set(fields.map(definition => definition.column));
+    // Top-level document fields owned by the schema
+    this.topLevelFields = [...new Set(fields.map(definition => definition.field.split('.')[0]))];
+  }
+
+  /**
+   * Start a validation report for one import
+   */
+  createReport() {
+    return {
+      rowsTotal: 0,
+      rowsAccepted: 0,
+      rowsRejected: 0,
+      rejectedRows: [],
+      invalidValues: {},
+      invalidValueSamples: [],
+      unknownColumns: [],
+      missingColumns: []
+    };
+  }
+
+  /**
+   * Compare the CSV header against the schema
+   * @param {Array<string>} headers - CSV header names
+   * @param {Object} report - Validation report
+   */
+  checkHeaders(headers, report) {
+    const headerSet = new Set(headers);
+    report.unknownColumns = headers.filter(header => !this.columns.has(header));
+    report.missingColumns = [...this.columns].filter(column => !headerSet.has(column));
+  }
+
+  /**
+   * Parse a CSV row into a document, recording problems in the report
+   * @param {Object} row - Parsed CSV row
+   * @param {number} line - Line number in the CSV file
+   * @param {Object} report - Validation report
+   * @returns {Object|null} - Document, or null if the row was rejected
+   */
+  parseRow(row, line, report) {
+    const doc = {};
+    report.rowsTotal++;
+
+    for (const definition of this.fields) {
+      const raw = row[definition.column];
+      const text = raw === undefined || raw === null ? '' : String(raw).trim();
+
+      if (text === '') {
+        if (definition.required) {
+          return this.reject(report, line, `missing required column ${definition.column}`);
+        }
+        continue;
+      }
+
+      let value = parsers[definition.type](text);
+      if (typeof value === 'number' && isNaN(value)) {
+        if (definition.required) {
+          return this.reject(report, line, `invalid ${definition.type} "${text}" in required column ${definition.column}`);
+        }
+        this.recordInvalidValue(report, line, definition, text);
+        continue;
+      }
+
+      if (definition.transform) {
+        value = definition.transform(value);
+      }
+      // A transform rejects a value by returning nothing
+      if (value === undefined || value === null || value === '') {
+        if (definition.required) {
+          return this.reject(report, line, `invalid value "${text}" in required column ${definition.column}`);
+        }
+        this.recordInvalidValue(report, line, definition, text);
+        continue;
+      }
+
+      setPath(doc, definition.field, value);
+    }
+
+    report.rowsAccepted++;
+    return doc;
+  }
+
+  reject(report, line, reason) {
+    report.rowsRejected++;
+    if (report.rejectedRows.length < MAX_REPORTED_ISSUES) {
+      report.rejectedRows.push({ line, reason });
+    }
+    return null;
+  }
+
+  recordInvalidValue(report, line, definition, text) {
+    report.invalidValues[definition.column] = (report.invalidValues[definition.column] || 0) + 1;
+    if (report.invalidValueSamples.length < MAX_REPORTED_ISSUES) {
+      report.invalidValueSamples.push({ line, column: definition.column, value: text, expected: definition.type });
+    }
+  }
+
+  /**
+   * Check whether any schema field differs between two documents
+   * @param {Object} newDoc - Parsed document
+   * @param {Object} existingDoc - Stored document
+   */
+  hasChanged(newDoc, existingDoc) {
+    return this.fields.some(definition => valuesDiffer(definition, getPath(newDoc, definition.field), getPath(existingDoc, definition.field)));
+  }
+
+  /**
+   * Field-level differences between two documents, with the same rules as hasChanged
+   * @param {Object} newDoc - Parsed document
+   * @param {Object} existingDoc - Stored document, or null for a new one
+   * @returns {Object} - { <field path>: { before, after } }, missing values as null
+   */
+  diff(newDoc, existingDoc) {
+    const changes = {};
+    for (const definition of this.fields) {
+      const after = getPath(newDoc, definition.field);
+      const before = existingDoc ? getPath(existingDoc, definition.field) : undefined;
+
+      if (valuesDiffer(definition, after, before)) {
+        changes[definition.field] = {
+          before: before === undefined ? null : before,
+          after: after === undefined ? null : after
+        };
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * Index definitions for schema fields that declare one
+   * @returns {Array<{ key: Object, options: Object }>}
+   */
+  getIndexes() {
+    return this.fields
+      .filter(definition => definition.index)
+      .map(definition => {
+        const { collated, ...options } = definition.index === true ? {} : definition.index;
+        return {
+          key: { [definition.field]: 1 },
+          collated: !!collated,
+          options: {
+            name: `${definition.field.replace(/\./g, '_')}_${options.unique ? 'unique' : collated ? 'collated' : 'asc'}`,
+            ...options
+          }
+        };
+      });
+  }
+}
+
+/**
+ * Summarize a validation report in one line
+ */
+CsvSchema.summarize = (report) => {
+  const parts = [`${report.rowsAccepted}/${report.rowsTotal} rows accepted`];
+  if (report.rowsRejected > 0) parts.push(`${report.rowsRejected} rejected`);
+  const invalid = Object.values(report.invalidValues).reduce((sum, count) => sum + count, 0);
+  if (invalid > 0) parts.push(`${invalid} invalid values dropped`);
+  if (report.unknownColumns.length > 0) parts.push(`unknown columns: ${report.unknownColumns.join(', ')}`);
+  if (report.missingColumns.length > 0) parts.push(`missing columns: ${report.missingColumns.join(', ')}`);
+  return parts.join(', ');
+};
+
+function valuesDiffer(definition, newValue, existingValue) {
+  if (newValue === existingValue) return false;
+
+  if (newValue instanceof Date && existingValue instanceof Date) {
+    return newValue.getTime() !== existingValue.getTime();
+  }
+  if (definition.type === 'float' && typeof newValue === 'number' && typeof existingValue === 'number') {
+    return Math.abs(newValue - existingValue) > FLOAT_TOLERANCE;
+  }
+  return true;
+}
+
+function setPath(doc, fieldPath, value) {
+  const keys = fieldPath.split('.');
+  let target = doc;
+  for (const key of keys.slice(0, -1)) {
+    target[key] = target[key] || {};
+    target = target[key];
+  }
+  target[keys[keys.length - 1]] = value;
+}
+
+function getPath(doc, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), doc);
+}
+
+module.exports = CsvSchema;
@@ -1,4 +1,12 @@
 const { MongoClient } = require('mongodb');
+const CsvSchema = require('./csvSchema');
+const bggSchema = require('../../config/bgg-schema');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'database' });
+
+// Case- and diacritic-insensitive ordering for game names ("catan" == "Catan", "Café" == "Cafe")
+const NAME_COLLATION = { locale: 'en', strength: 1 };
 
 class Database {
   constructor() {
@@ -17,7 +25,7 @@ class Database {
         return this.db;
       }
 
-      console.log(`Connecting to MongoDB: ${this.connectionString}`);
+      log.info(`Connecting to MongoDB: ${this.connectionString}`);
       
       this.client = new MongoClient(this.connectionString, {
         useUnifiedTopology: true,
@@ -35,11 +43,11 @@ class Database {
       await this.client.connect();
       this.db = this.client.db(this.databaseName);
       
-      console.log(`Connected to MongoDB database: ${this.databaseName}`);
+      log.info(`Connected to MongoDB database: ${this.databaseName}`);
       return this.db;
       
     } catch (error) {
-      console.error('Failed to connect to MongoDB:', error);
+      log.error('Failed to connect to MongoDB', { error });
       throw error;
     }
   }
@@ -52,7 +60,7 @@ class Database {
       await this.client.close();
       this.client = null;
       this.db = null;
-      console.log('Disconnected from MongoDB');
+      log.info('Disconnected from MongoDB');
     }
   }
 
@@ -95,10 +103,10 @@ class Database {
       };
       
       await collection.insertOne(logEntry);
-      console.log('Job execution logged to database');
+      log.debug('Job execution logged to database');
       
     } catch (error) {
-      console.error('Failed to log job execution:', error);
+      log.error('Failed to log job execution', { error });
       // Don't throw error here to avoid breaking the main job
     }
   }
@@ -128,13 +136,46 @@ class Database {
         { upsert: true }
       );
       
-      console.log(`Job status updated: ${jobId} -> ${status}`);
+      log.debug(`Job status updated: ${jobId} -> ${status}`);
       
     } catch (error) {
-      console.error('Failed to update job status:', error);
+      log.error('Failed to update job status', { error });
     }
   }
 
+  /**
+   * Get the most recent job runs with their step timelines, newest first
+   * @param {Object} options - { jobType, limit } where jobType is optional
+   */
+  async getRecentRuns(options = {}) {
+    const collection = this.getCollection('job_logs');
+    const filter = options.jobType ? { jobType: options.jobType } : {};
+
+    return await collection
+      .find(filter, { projection: { _id: 0, stack: 0 } })
+      .sort({ timestamp: -1 })
+      .limit(options.limit || 10)
+      .toArray();
+  }
+
+  /**
+   * Get the job_logs entry of a run
+   * @param {string} runId - Run id assigned by the JobRunner
+   */
+  async getRun(runId) {
+    const collection = this.getCollection('job_logs');
+    return await collection.findOne({ runId }, { projection: { _id: 0 } });
+  }
+
+  /**
+   * Get the job_status entry of a job
+   * @param {string} jobId - Job identifier
+   */
+  async getJobStatus(jobId) {
+    const collection = this.getCollection('job_status');
+    return await collection.findOne({ jobId });
+  }
+
   /**
    * Store CSV data metadata
    * @param {Object} csvData - CSV file metadata
@@ -150,12 +191,12 @@ class Database {
       };
       
       await collection.insertOne(metadata);
-      console.log('CSV metadata stored in database');
+      log.debug('CSV metadata stored in database');
       
       return metadata;
       
     } catch (error) {
-      console.error('Failed to store CSV metadata:', error);
+      log.error('Failed to store CSV metadata', { error });
       throw error;
     }
   }
@@ -173,53 +214,149 @@ class Database {
       return latest;
       
     } catch (error) {
-      console.error('Failed to get latest CSV metadata:', error);
+      log.error('Failed to get latest CSV metadata', { error });
       throw error;
     }
   }
 
+  /**
+   * Get the csv_files entry of the last successfully imported dump
+   * @param {string} jobType - Job that imported the dump
+   */
+  async getLastSuccessfulImport(jobType) {
+    const collection = this.getCollection('csv_files');
+
+    return await collection.findOne(
+      { jobType, status: 'success' },
+      { sort: { processedAt: -1 } }
+    );
+  }
+
   /**
    * Ensure connection is healthy
    */
   async ensureConnection() {
     try {
       if (!this.isConnected()) {
-        console.log('🔄 Reconnecting to database...');
+        log.info('🔄 Reconnecting to database...');
         await this.connect();
       }
       // Ping to verify connection
       await this.db.admin().ping();
     } catch (error) {
-      console.log('🔄 Connection lost, reconnecting...');
+      log.info('🔄 Connection lost, reconnecting...');
       await this.connect();
     }
   }
 
+  /**
+   * Find documents ordered by name using the collated name index
+   * Natural order is not guaranteed, so readers that need alphabetical order must use this.
+   * @param {string} collectionName - Name of the collection
+   * @param {Object} filter - Query filter
+   * @param {Object} options - Optional { skip, limit, projection, direction }
+   */
+  findSortedByName(collectionName, filter = {}, options = {}) {
+    const { skip = 0, limit = 0, projection = { _id: 0 }, direction = 1 } = options;
+
+    return this.getCollection(collectionName)
+      .find(filter, { projection })
+      .collation(NAME_COLLATION)
+      .sort({ name: direction })
+      .skip(skip)
+      .limit(limit);
+  }
+
   /**
    * Create indexes for collections to ensure efficient sorting
    */
   async createIndexes() {
     try {
-      console.log('📊 Creating database indexes...');
-      
-      // Create indexes for board_games collection
-      const gamesCollection = this.getCollection('board_games');
-      await gamesCollection.createIndex({ name: 1 }, { name: 'name_asc' });
-      await gamesCollection.createIndex({ id: 1 }, { name: 'id_unique', unique: true });
-      await gamesCollection.createIndex({ rank: 1 }, { name: 'rank_asc' });
+      log.info('📊 Creating database indexes...');
       
-      // Create indexes for games_search collection
-      const searchCollection = this.getCollection('games_search');
-      await searchCollection.createIndex({ name: 1 }, { name: 'name_asc' });
-      await searchCollection.createIndex({ id: 1 }, { name: 'id_unique', unique: true });
+      await this.createGamesIndexes('board_games');
+      await this.createSearchIndexes('games_search');
+
+      // Create indexes for ranking_history collection
+      const historyCollection = this.getCollection('ranking_history');
+      await historyCollection.createIndex({ game_id: 1, dump_date: 1 }, { name: 'game_dump_date_unique', unique: true });
+      await historyCollection.createIndex({ dump_date: 1 }, { name: 'dump_date_asc' });
+
+      // Create indexes for change_events collection
+      const changesCollection = this.getCollection('change_events');
+      await changesCollection.createIndex({ seq: 1 }, { name: 'seq_unique', unique: true });
+      await changesCollection.createIndex({ game_id: 1, seq: 1 }, { name: 'game_id_seq' });
+      await changesCollection.createIndex({ 'changes.field': 1, seq: 1 }, { name: 'changes_field_seq' });
+
+      // Create indexes for watchlists and their alerts
+      await this.getCollection('watchlists').createIndex({ name: 1 }, { name: 'name_unique', unique: true });
+      const alertsCollection = this.getCollection('watchlist_alerts');
+      // One open alert per watchlist rule and game
+      await alertsCollection.createIndex({ dedupe_key: 1 }, { name: 'dedupe_key_open_unique', unique: true, partialFilterExpression: { status: 'open' } });
+      await alertsCollection.createIndex({ triggered_at: -1 }, { name: 'triggered_at_desc' });
+      await alertsCollection.createIndex({ watchlist_name: 1, triggered_at: -1 }, { name: 'watchlist_triggered_at_desc' });
+
+      // Create indexes for listings collection
+      const listingsCollection = this.getCollection('listings');
+      await listingsCollection.createIndex({ dedupe_key: 1 }, { name: 'dedupe_key_unique', unique: true });
+      await listingsCollection.createIndex({ game_id: 1, last_observed_at: -1 }, { name: 'game_id_last_observed_desc' });
+      await listingsCollection.createIndex({ source: 1, listing_id: 1 }, { name: 'source_listing_id' });
+      await listingsCollection.createIndex({ last_observed_at: -1 }, { name: 'last_observed_desc' });
+
+      // Create indexes for exchange_rates collection
+      await this.getCollection('exchange_rates').createIndex({ date: 1 }, { name: 'date_unique', unique: true });
+
+      // Create indexes for price_stats collection
+      const priceStatsCollection = this.getCollection('price_stats');
+      await priceStatsCollection.createIndex({ game_id: 1, currency: 1 }, { name: 'game_id_currency_unique', unique: true });
+      await priceStatsCollection.createIndex({ computed_at: 1 }, { name: 'computed_at' });
+
+      // Create indexes for csv_files collection
+      const csvFilesCollection = this.getCollection('csv_files');
+      await csvFilesCollection.createIndex({ jobType: 1, status: 1, processedAt: -1 }, { name: 'job_status_processed_desc' });
+
+      // Create indexes for job_logs collection
+      const jobLogsCollection = this.getCollection('job_logs');
+      await jobLogsCollection.createIndex({ jobType: 1, timestamp: -1 }, { name: 'job_type_timestamp_desc' });
+      await jobLogsCollection.createIndex({ runId: 1 }, { name: 'run_id', sparse: true });
       
-      console.log('✅ Database indexes created successfully');
+      log.info('✅ Database indexes created successfully');
       
     } catch (error) {
-      console.error('❌ Failed to create indexes:', error);
+      log.error('❌ Failed to create indexes', { error });
       // Don't throw error to avoid breaking the main process
     }
   }
+
+  /**
+   * Create indexes for a board_games collection (live or staging)
+   * @param {string} collectionName - Name of the collection
+   */
+  async createGamesIndexes(collectionName) {
+    const gamesCollection = this.getCollection(collectionName);
+
+    // Indexes are declared in the CSV schema (config/bgg-schema.js)
+    for (const index of new CsvSchema(bggSchema).getIndexes()) {
+      const options = index.collated ? { ...index.options, collation: NAME_COLLATION } : index.options;
+      await gamesCollection.createIndex(index.key, options);
+    }
+  }
+
+  /**
+   * Create indexes for a games_search collection (live or staging)
+   * @param {string} collectionName - Name of the collection
+   */
+  async createSearchIndexes(collectionName) {
+    const searchCollection = this.getCollection(collectionName);
+    await searchCollection.createIndex({ name: 1 }, { name: 'name_collated', collation: NAME_COLLATION });
+    await searchCollection.createIndex({ id: 1 }, { name: 'id_unique', unique: true });
+    await searchCollection.createIndex({ name_normalized: 1 }, { name: 'name_normalized_asc' });
+    await searchCollection.createIndex({ tokens: 1 }, { name: 'tokens_asc' });
+    await searchCollection.createIndex({ trigrams: 1 }, { name: 'trigrams_asc' });
+    await searchCollection.createIndex({ users_rated: -1 }, { name: 'users_rated_desc' });
+  }
 }
 
+Database.NAME_COLLATION = NAME_COLLATION;
+
 module.exports = Database; 
\ No newline at end of file
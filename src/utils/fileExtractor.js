@@ -2,248 +2,941 @@ const axios = require('axios');
 const AdmZip = require('adm-zip');
 const fs = require('fs-extra');
 const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const tar = require('tar');
+const { pipeline } = require('stream/promises');
+const { Readable } = require('stream');
 const { spawn } = require('child_process');
 const { createExtractorFromData } = require('node-unrar-js');
+const { ArchiveGuard, ArchiveSecurityError } = require('./archiveGuard');
+const RunTimeline = require('./runTimeline');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'fileExtractor' });
+
+// ZIP compression methods extracted by writeZipEntry
+const ZIP_METHOD_STORED = 0;
+const ZIP_METHOD_DEFLATED = 8;
+
+const DEFAULT_DOWNLOAD_OPTIONS = {
+  retries: 5,
+  backoffMs: 1000,
+  maxBackoffMs: 30000,
+  // Time to wait for response headers
+  timeoutMs: 30000,
+  // Abort when no data arrives for this long
+  idleTimeoutMs: 60000,
+  // Log progress at most this often
+  progressIntervalMs: 5000,
+  headers: {}
+};
+
+// Leading bytes identifying each supported archive format
+const MAGIC_BYTES = [
+  { format: 'zip', bytes: Buffer.from([0x50, 0x4b, 0x03, 0x04]) },
+  { format: 'zip', bytes: Buffer.from([0x50, 0x4b, 0x05, 0x06]) },
+  { format: 'rar', bytes: Buffer.from('Rar!\x1a\x07', 'latin1') },
+  { format: '7z', bytes: Buffer.from([0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c]) },
+  { format: 'gz', bytes: Buffer.from([0x1f, 0x8b]) }
+];
+
+class DownloadError extends Error {
+  constructor(message, { retryable = true, status = null } = {}) {
+    super(message);
+    this.name = 'DownloadError';
+    this.retryable = retryable;
+    this.status = status;
+  }
+}
+
+/**
+ * Map tar and unrar entry types to 'file', 'directory' or a lowercase description
+ */
+function normalizeEntryType(type) {
+  // "SymbolicLink" -> "symbolic link"
+  const value = String(type || '').replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+  if (['file', 'old file', 'contiguous file'].includes(value)) return 'file';
+  if (value === 'directory') return 'directory';
+  return value || 'unknown';
+}
+
+/**
+ * Derive the entry type from 7-Zip attributes such as "A -rw-r--r--" or "D drwxr-xr-x"
+ */
+function get7zEntryType(attributes) {
+  const unixMode = attributes.match(/\s([-dlcbps])[-rwxsStT]{9}$/);
+  if (unixMode && unixMode[1] === 'l') return 'symlink';
+  if (unixMode && !['-', 'd'].includes(unixMode[1])) return 'special file';
+  return /^[A-Z]*D/.test(attributes) ? 'directory' : 'file';
+}
 
 class FileExtractor {
-  constructor(dataDir = './data') {
+  /**
+   * @param {string} dataDir - Directory for downloads and extracted files
+   * @param {Object} options - Optional { download, extraction, sevenZipCommand, fileExtensions }
+   *   download: overrides of DEFAULT_DOWNLOAD_OPTIONS
+   *   extraction: { maxUncompressedBytes, maxEntries, tempDir } where tempDir holds the
+   *     per-run directories (default <dataDir>/tmp)
+   *   sevenZipCommand: 7-Zip binary used for .7z archives (default '7z')
+   *   fileExtensions: extensions of the data files to extract (default ['.csv'])
+   */
+  constructor(dataDir = './data', options = {}) {
     this.dataDir = dataDir;
-    this.logFile = path.join(dataDir, 'extraction.log');
+    this.downloadOptions = { ...DEFAULT_DOWNLOAD_OPTIONS, ...options.download };
+    const { tempDir, ...extractionLimits } = options.extraction || {};
+    this.extractionLimits = extractionLimits;
+    this.tempDir = tempDir || path.join(dataDir, 'tmp');
+    this.sevenZipCommand = options.sevenZipCommand || '7z';
+    this.fileExtensions = options.fileExtensions || ['.csv'];
+    this.lastDownload = null;
   }
 
   /**
    * Main function to download and extract archive files
-   * @param {string} url - URL pointing to .zip or .rar file
-   * @returns {Promise<string>} - Path to extracted CSV file
+   * @param {string} url - URL pointing to an archive (.zip, .rar, .7z, .gz, .tar.gz) or a plain CSV file
+   * @param {Object} options - Optional { expectedFiles, timeline } CSV names to extract and
+   *   RunTimeline recording the download and extract steps
+   * @returns {Promise<string>} - Path to the first extracted CSV file
    */
-  async downloadAndExtract(url) {
+  async downloadAndExtract(url, options = {}) {
+    const csvPaths = await this.downloadAndExtractAll(url, options.expectedFiles, options.timeline);
+    return csvPaths[0];
+  }
+
+  /**
+   * Download a file and extract every CSV named in expectedFiles
+   * @param {string} url - URL pointing to an archive or a plain CSV file
+   * @param {Array<string>} expectedFiles - CSV names to extract; without it only the first CSV is extracted
+   * @param {RunTimeline} timeline - Records the download and extract steps
+   * @returns {Promise<Array<string>>} - Paths to extracted CSV files, in expectedFiles order
+   */
+  async downloadAndExtractAll(url, expectedFiles = [], timeline = new RunTimeline()) {
+    let runDir = null;
+
     try {
       await this.ensureDataDir();
       
-      const fileExtension = this.getFileExtension(url);
-      const tempFileName = `temp_${Date.now()}${fileExtension}`;
-      const tempFilePath = path.join(this.dataDir, tempFileName);
+      // Every run downloads and extracts into its own directory, only the checked CSVs leave it
+      runDir = await this.createRunDir();
+      const outputDir = path.join(runDir, 'extracted');
+      await fs.ensureDir(outputDir);
+
+      const sourceName = path.basename(new URL(url).pathname);
+      const tempFilePath = path.join(runDir, `download${this.getFileExtension(url)}`);
 
-      this.log(`Starting download from: ${url}`);
+      log.info(`Starting download from: ${url}`);
       
       // Download the file
-      await this.downloadFile(url, tempFilePath);
-      this.log(`Downloaded file to: ${tempFilePath}`);
+      const endDownload = timeline.start('download');
+      this.lastDownload = await this.downloadFile(url, tempFilePath);
+      endDownload({ bytes: this.lastDownload.bytes, attempts: this.lastDownload.attempts });
+      log.info(`Downloaded file to: ${tempFilePath}`, { bytes: this.lastDownload.bytes, sha256: this.lastDownload.sha256 });
+
+      // Extract based on the detected file type
+      const endExtract = timeline.start('extract');
+      const format = await this.detectFormat(tempFilePath, this.lastDownload.contentType, url);
+      log.info(`Detected file format: ${format}`);
+      const guard = new ArchiveGuard(this.extractionLimits);
+      const extractedPaths = await this.extractFile(tempFilePath, format, { expectedFiles, sourceName, outputDir, guard });
+
+      // Move the CSVs into the data directory, replacing those of an earlier dump
+      const csvPaths = [];
+      for (const extractedPath of extractedPaths) {
+        const csvPath = path.join(this.dataDir, path.basename(extractedPath));
+        await fs.move(extractedPath, csvPath, { overwrite: true });
+        csvPaths.push(csvPath);
+      }
 
-      let csvPath;
-      
-      // Extract based on file type
-      if (fileExtension === '.zip') {
-        csvPath = await this.extractZip(tempFilePath);
-      } else if (fileExtension === '.rar') {
-        csvPath = await this.extractRar(tempFilePath);
+      // Hash the extracted CSVs so identical dumps can be detected
+      const csvFiles = [];
+      for (const csvPath of csvPaths) {
+        const csvChecksums = await this.hashFile(csvPath);
+        csvFiles.push({ fileName: path.basename(csvPath), bytes: csvChecksums.bytes, sha256: csvChecksums.sha256 });
+      }
+      this.lastDownload = {
+        ...this.lastDownload,
+        format,
+        csvFiles,
+        csvBytes: csvFiles[0].bytes,
+        csvSha256: csvFiles[0].sha256,
+        uncompressedBytes: guard.extractedBytes
+      };
+      endExtract({ bytes: guard.extractedBytes, files: csvFiles.length, format });
+
+      log.info(`Successfully extracted CSV to: ${csvPaths.join(', ')}`, { uncompressedBytes: guard.extractedBytes });
+      return csvPaths;
+
+    } catch (error) {
+      if (error instanceof ArchiveSecurityError) {
+        log.error(`Rejected archive: ${error.message}`, { reason: error.reason, entry: error.entry || undefined });
       } else {
-        throw new Error(`Unsupported file extension: ${fileExtension}`);
+        log.error(`Download or extraction failed: ${error.message}`, { url });
+      }
+      throw error;
+    } finally {
+      // Clean up the run directory, including partial downloads and rejected entries
+      if (runDir) {
+        await fs.remove(runDir);
+        log.debug(`Cleaned up run directory: ${runDir}`);
       }
+    }
+  }
+
+  /**
+   * Create a fresh directory for one download and extraction run
+   * @returns {Promise<string>} - Run directory path
+   */
+  async createRunDir() {
+    await fs.ensureDir(this.tempDir);
+    return await fs.mkdtemp(path.join(this.tempDir, 'run-'));
+  }
 
-      // Clean up temp file
-      await fs.remove(tempFilePath);
-      this.log(`Cleaned up temp file: ${tempFilePath}`);
+  /**
+   * Detect the format of a downloaded file from its magic bytes
+   * @param {string} filePath - Downloaded file
+   * @param {string} contentType - Content-Type response header
+   * @param {string} url - Source URL, only used in error messages
+   * @returns {Promise<string>} - 'zip' | 'rar' | '7z' | 'tar.gz' | 'gz' | 'csv'
+   */
+  async detectFormat(filePath, contentType, url) {
+    const header = await this.readHeader(filePath, 512);
+    const magic = MAGIC_BYTES.find(entry => header.slice(0, entry.bytes.length).equals(entry.bytes));
+
+    if (magic && magic.format === 'gz') {
+      // A tar archive has "ustar" at offset 257 of its first header block
+      const inner = await this.readGunzipHeader(filePath, 262);
+      return inner.length >= 262 && inner.toString('latin1', 257, 262) === 'ustar' ? 'tar.gz' : 'gz';
+    }
+    if (magic) {
+      return magic.format;
+    }
 
-      this.log(`Successfully extracted CSV to: ${csvPath}`);
-      return csvPath;
+    // Expired signed links and login pages come back as HTML
+    if (contentType && contentType.includes('text/html')) {
+      throw new Error(`Expected a data file but received an HTML page from ${url}`);
+    }
 
-    } catch (error) {
-      this.log(`Error: ${error.message}`);
-      throw error;
+    // Anything else without NUL bytes is treated as plain CSV
+    if (header.length > 0 && !header.includes(0)) {
+      return 'csv';
     }
+
+    throw new Error(`Unsupported file format (content-type: ${contentType || 'unknown'}, extension: ${this.getFileExtension(url) || 'none'})`);
   }
 
   /**
-   * Download file from URL
+   * Extract CSV files from a downloaded file of a known format
+   * @param {string} filePath - Downloaded file
+   * @param {string} format - Format from detectFormat
+   * @param {Object} run - { expectedFiles, sourceName, outputDir, guard } where sourceName
+   *   is the file name in the URL, outputDir the run extraction directory and guard its ArchiveGuard
+   * @returns {Promise<Array<string>>} - Paths to extracted CSV files
+   */
+  async extractFile(filePath, format, run) {
+    const sourceName = run.sourceName || '';
+
+    switch (format) {
+      case 'zip':
+        return await this.extractZip(filePath, run);
+      case 'rar':
+        return await this.extractRar(filePath, run);
+      case '7z':
+        return await this.extract7z(filePath, run);
+      case 'tar.gz':
+        return await this.extractTarGz(filePath, run);
+      case 'gz':
+        return [await this.extractGzip(filePath, this.getCsvName(sourceName.replace(/\.gz$/i, '')), run)];
+      case 'csv':
+        return [await this.copyPlainCsv(filePath, this.getCsvName(sourceName), run)];
+      default:
+        throw new Error(`Unsupported file format: ${format}`);
+    }
+  }
+
+  /**
+   * Download file from URL, retrying with exponential backoff and resuming
+   * partial downloads with HTTP Range requests
    * @param {string} url - File URL
    * @param {string} filePath - Local file path to save
+   * @returns {Promise<Object>} - { bytes, sha256, etag, contentLength, contentType, attempts }
    */
   async downloadFile(url, filePath) {
-    const response = await axios({
-      method: 'GET',
-      url: url,
-      responseType: 'stream'
+    const options = this.downloadOptions;
+    const state = { etag: null, contentLength: null, contentType: null };
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await this.downloadAttempt(url, filePath, state);
+        const checksums = await this.verifyDownload(filePath, state);
+
+        return {
+          bytes: checksums.bytes,
+          sha256: checksums.sha256,
+          etag: state.etag,
+          contentLength: state.contentLength,
+          contentType: state.contentType,
+          attempts: attempt
+        };
+
+      } catch (error) {
+        const retryable = error.retryable !== false;
+        if (!retryable || attempt > options.retries) {
+          await fs.remove(filePath);
+          throw error;
+        }
+
+        const delay = Math.min(options.maxBackoffMs, options.backoffMs * 2 ** (attempt - 1));
+        const jitter = Math.round(delay * 0.2 * Math.random());
+        log.warn(`Download attempt ${attempt} failed: ${error.message}. Retrying in ${delay + jitter}ms...`, { attempt, retryInMs: delay + jitter });
+        await new Promise(resolve => setTimeout(resolve, delay + jitter));
+      }
+    }
+  }
+
+  /**
+   * Run one download attempt, resuming from the bytes already on disk
+   * @param {string} url - File URL
+   * @param {string} filePath - Local file path
+   * @param {Object} state - { etag, contentLength } carried between attempts
+   */
+  async downloadAttempt(url, filePath, state) {
+    const options = this.downloadOptions;
+    const existingBytes = (await fs.pathExists(filePath)) ? (await fs.stat(filePath)).size : 0;
+    const headers = { ...options.headers };
+
+    if (existingBytes > 0) {
+      headers.Range = `bytes=${existingBytes}-`;
+      // Only resume if the file has not changed on the server
+      if (state.etag) headers['If-Range'] = state.etag;
+    }
+
+    let response;
+    try {
+      response = await axios({
+        method: 'GET',
+        url,
+        headers,
+        responseType: 'stream',
+        timeout: options.timeoutMs,
+        validateStatus: () => true
+      });
+    } catch (error) {
+      throw new DownloadError(`Request failed: ${error.message}`);
+    }
+
+    const { status } = response;
+
+    // Range starts at the end of the file: the previous attempt already got everything
+    if (status === 416 && existingBytes > 0 && state.contentLength === existingBytes) {
+      response.data.destroy();
+      return;
+    }
+
+    if (status !== 200 && status !== 206) {
+      response.data.destroy();
+      const retryable = status >= 500 || status === 408 || status === 429;
+      throw new DownloadError(`Unexpected HTTP status ${status}`, { retryable, status });
+    }
+
+    state.contentType = response.headers['content-type'] || null;
+
+    const etag = response.headers.etag || null;
+    if (state.etag && etag && etag !== state.etag) {
+      log.warn('ETag changed between attempts, restarting download');
+    }
+    state.etag = etag;
+
+    let offset = 0;
+    if (status === 206) {
+      const range = /bytes (\d+)-\d+\/(\d+|\*)/.exec(response.headers['content-range'] || '');
+      if (!range || parseInt(range[1]) !== existingBytes) {
+        response.data.destroy();
+        await fs.remove(filePath);
+        throw new DownloadError('Server returned an unexpected Content-Range, restarting download');
+      }
+      offset = existingBytes;
+      state.contentLength = range[2] === '*' ? null : parseInt(range[2]);
+      log.info(`Resuming download at byte ${offset}`);
+    } else {
+      const contentLength = parseInt(response.headers['content-length']);
+      state.contentLength = isNaN(contentLength) ? null : contentLength;
+    }
+
+    await this.writeResponse(response.data, filePath, offset, state.contentLength);
+  }
+
+  /**
+   * Write a response stream to disk with progress logging and an idle timeout
+   * @param {Stream} stream - Response body
+   * @param {string} filePath - Local file path
+   * @param {number} offset - Bytes already on disk (0 truncates the file)
+   * @param {number|null} total - Expected total size
+   */
+  writeResponse(stream, filePath, offset, total) {
+    const options = this.downloadOptions;
+    const writer = fs.createWriteStream(filePath, { flags: offset > 0 ? 'a' : 'w' });
+    let received = offset;
+    let lastProgressAt = Date.now();
+    let idleTimer = null;
+    let failed = false;
+
+    return new Promise((resolve, reject) => {
+      const fail = (error) => {
+        if (failed) return;
+        failed = true;
+        clearTimeout(idleTimer);
+        stream.destroy();
+        writer.end(() => reject(error instanceof DownloadError ? error : new DownloadError(error.message)));
+      };
+
+      const resetIdleTimer = () => {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(() => fail(new DownloadError(`No data received for ${options.idleTimeoutMs}ms`)), options.idleTimeoutMs);
+      };
+
+      resetIdleTimer();
+
+      stream.on('data', (data) => {
+        received += data.length;
+        resetIdleTimer();
+
+        if (Date.now() - lastProgressAt >= options.progressIntervalMs) {
+          lastProgressAt = Date.now();
+          const percent = total ? ` (${Math.floor(received / total * 100)}%)` : '';
+          log.info(`Downloaded ${received} of ${total || 'unknown'} bytes${percent}`, { received, total: total || undefined });
+        }
+      });
+      stream.on('error', fail);
+      stream.on('aborted', () => fail(new DownloadError('Connection closed by server')));
+      writer.on('error', (error) => fail(new DownloadError(error.message, { retryable: false })));
+
+      writer.on('finish', () => {
+        clearTimeout(idleTimer);
+        if (!failed) resolve();
+      });
+
+      stream.pipe(writer);
     });
+  }
 
-    const writer = fs.createWriteStream(filePath);
-    response.data.pipe(writer);
+  /**
+   * Check the downloaded file against Content-Length and a plain MD5 ETag,
+   * and compute its SHA-256
+   * @param {string} filePath - Local file path
+   * @param {Object} state - { etag, contentLength } from the download
+   */
+  async verifyDownload(filePath, state) {
+    const checksums = await this.hashFile(filePath);
 
+    if (state.contentLength !== null && checksums.bytes !== state.contentLength) {
+      throw new DownloadError(`Incomplete download: got ${checksums.bytes} of ${state.contentLength} bytes`);
+    }
+
+    // S3 uses the MD5 of the content as ETag for single-part uploads
+    const etagMd5 = state.etag && /^(W\/)?"?([0-9a-f]{32})"?$/i.exec(state.etag);
+    if (etagMd5 && !etagMd5[1] && etagMd5[2].toLowerCase() !== checksums.md5) {
+      await fs.remove(filePath);
+      throw new DownloadError(`Checksum mismatch: ETag ${state.etag} does not match MD5 ${checksums.md5}`);
+    }
+
+    return checksums;
+  }
+
+  /**
+   * Compute size, SHA-256 and MD5 of a file
+   * @param {string} filePath - Local file path
+   */
+  hashFile(filePath) {
     return new Promise((resolve, reject) => {
-      writer.on('finish', resolve);
-      writer.on('error', reject);
+      const sha256 = crypto.createHash('sha256');
+      const md5 = crypto.createHash('md5');
+      let bytes = 0;
+
+      fs.createReadStream(filePath)
+        .on('data', (data) => {
+          bytes += data.length;
+          sha256.update(data);
+          md5.update(data);
+        })
+        .on('end', () => resolve({ bytes, sha256: sha256.digest('hex'), md5: md5.digest('hex') }))
+        .on('error', reject);
     });
   }
 
   /**
    * Extract ZIP file and find CSV
    * @param {string} zipPath - Path to ZIP file
-   * @returns {Promise<string>} - Path to extracted CSV
+   * @param {Object} run - { expectedFiles, outputDir, guard } of the current extraction run
+   * @returns {Promise<Array<string>>} - Paths to extracted CSVs
    */
-  async extractZip(zipPath) {
+  async extractZip(zipPath, { expectedFiles = [], outputDir, guard }) {
     const zip = new AdmZip(zipPath);
     const entries = zip.getEntries();
-    
-    let csvEntry = null;
-    
-    // Find CSV file in the archive
-    for (const entry of entries) {
-      if (entry.entryName.toLowerCase().endsWith('.csv') && !entry.isDirectory) {
-        csvEntry = entry;
-        break;
-      }
-    }
 
-    if (!csvEntry) {
-      throw new Error('No CSV file found in the ZIP archive');
+    guard.checkEntries(entries.map(entry => ({
+      name: entry.entryName,
+      size: entry.header.size,
+      type: entry.isDirectory ? 'directory' : this.getZipEntryType(entry)
+    })));
+
+    const files = entries.filter(entry => !entry.isDirectory);
+    const selected = this.selectCsvNames(files.map(entry => entry.entryName), expectedFiles, 'ZIP');
+
+    const csvPaths = [];
+    for (const entryName of selected) {
+      const csvPath = ArchiveGuard.resolveInside(outputDir, path.basename(entryName));
+      await this.writeZipEntry(zip.getEntry(entryName), csvPath, guard);
+      csvPaths.push(csvPath);
     }
 
-    const csvFileName = path.basename(csvEntry.entryName);
-    const csvPath = path.join(this.dataDir, csvFileName);
+    return csvPaths;
+  }
 
-    // Check if CSV already exists
-    if (await fs.pathExists(csvPath)) {
-      this.log(`CSV file already exists: ${csvPath}`);
-      return csvPath;
+  /**
+   * Inflate a ZIP entry to a file through the size limiter
+   * Declared sizes can lie, so the entry is never inflated in one piece.
+   * @param {Object} entry - adm-zip entry
+   * @param {string} csvPath - Output path
+   * @param {ArchiveGuard} guard - Guard of the current run
+   */
+  async writeZipEntry(entry, csvPath, guard) {
+    if (entry.header.encrypted) {
+      throw new Error(`ZIP entry "${entry.entryName}" is encrypted`);
     }
 
-    // Extract the CSV file
-    zip.extractEntryTo(csvEntry, this.dataDir, false, true);
-    
-    return csvPath;
+    const stages = [Readable.from([entry.getCompressedData()])];
+    if (entry.header.method === ZIP_METHOD_DEFLATED) {
+      stages.push(zlib.createInflateRaw());
+    } else if (entry.header.method !== ZIP_METHOD_STORED) {
+      throw new Error(`ZIP entry "${entry.entryName}" uses unsupported compression method ${entry.header.method}`);
+    }
+
+    await pipeline(...stages, guard.createLimiter(entry.entryName), fs.createWriteStream(csvPath));
+  }
+
+  /**
+   * Get the type of a ZIP entry from the Unix mode in its external attributes
+   */
+  getZipEntryType(entry) {
+    const fileType = (entry.header.attr >>> 16) & 0o170000;
+    if (fileType === 0o120000) return 'symlink';
+    if (fileType !== 0 && fileType !== 0o100000) return 'special file';
+    return 'file';
   }
 
   /**
    * Extract RAR file and find CSV
    * @param {string} rarPath - Path to RAR file
-   * @returns {Promise<string>} - Path to extracted CSV
+   * @param {Object} run - { expectedFiles, outputDir, guard } of the current extraction run
+   * @returns {Promise<Array<string>>} - Paths to extracted CSVs
    */
-  async extractRar(rarPath) {
+  async extractRar(rarPath, run) {
     try {
       // Try node-unrar-js first
-      return await this.extractRarWithNodeUnrar(rarPath);
+      return await this.extractRarWithNodeUnrar(rarPath, run);
     } catch (error) {
-      this.log(`node-unrar-js failed: ${error.message}, trying system unrar`);
+      // A rejected archive must not be retried with another extractor
+      if (error instanceof ArchiveSecurityError) {
+        throw error;
+      }
+      log.warn(`node-unrar-js failed: ${error.message}, trying system unrar`);
       // Fallback to system unrar
-      return await this.extractRarWithSystemUnrar(rarPath);
+      return await this.extractRarWithSystemUnrar(rarPath, run);
     }
   }
 
   /**
    * Extract RAR using node-unrar-js
    * @param {string} rarPath - Path to RAR file
-   * @returns {Promise<string>} - Path to extracted CSV
+   * @param {Object} run - { expectedFiles, outputDir, guard } of the current extraction run
+   * @returns {Promise<Array<string>>} - Paths to extracted CSVs
    */
-  async extractRarWithNodeUnrar(rarPath) {
+  async extractRarWithNodeUnrar(rarPath, { expectedFiles = [], outputDir, guard }) {
     const buf = await fs.readFile(rarPath);
     const extractor = await createExtractorFromData({ data: buf });
     
     const list = extractor.getFileList();
-    const csvFile = list.fileHeaders.find(file => 
-      file.name.toLowerCase().endsWith('.csv')
-    );
+    const headers = [...list.fileHeaders];
+    guard.checkEntries(headers.map(file => ({
+      name: file.name,
+      size: file.unpSize,
+      type: file.flags.directory ? 'directory' : 'file'
+    })));
+
+    const names = headers
+      .filter(file => !file.flags.directory)
+      .map(file => file.name);
+    const selected = this.selectCsvNames(names, expectedFiles, 'RAR');
+
+    // Extract the CSV files
+    const extracted = extractor.extract({ files: selected });
+    const csvPaths = [];
+    for (const file of extracted.files) {
+      guard.addBytes(file.extraction.length, file.fileHeader.name);
+
+      const csvPath = ArchiveGuard.resolveInside(outputDir, path.basename(file.fileHeader.name));
+      await fs.writeFile(csvPath, file.extraction);
+      csvPaths.push(csvPath);
+    }
+    
+    return this.orderLike(csvPaths, selected);
+  }
+
+  /**
+   * Extract RAR using system unrar command
+   * @param {string} rarPath - Path to RAR file
+   * @param {Object} run - { expectedFiles, outputDir, guard } of the current extraction run
+   * @returns {Promise<Array<string>>} - Paths to extracted CSVs
+   */
+  async extractRarWithSystemUnrar(rarPath, { expectedFiles = [], outputDir, guard }) {
+    // First, list contents with names, types and sizes
+    const listing = await this.runCommand('unrar', ['lt', '--', rarPath]);
+    if (listing.code !== 0) {
+      throw new Error('Failed to list RAR contents. Make sure unrar is installed.');
+    }
 
-    if (!csvFile) {
-      throw new Error('No CSV file found in the RAR archive');
+    const entries = this.parseListing(listing.stdout, {
+      name: 'Name: ',
+      size: 'Size: ',
+      type: 'Type: '
+    }).map(entry => ({ ...entry, type: normalizeEntryType(entry.type) }));
+    guard.checkEntries(entries);
+
+    const names = entries.filter(entry => entry.type === 'file').map(entry => entry.name);
+    const selected = this.selectCsvNames(names, expectedFiles, 'RAR');
+
+    // Print each selected file to stdout so its size is checked while it is written
+    const csvPaths = [];
+    for (const name of selected) {
+      const csvPath = ArchiveGuard.resolveInside(outputDir, path.basename(name));
+      const extraction = await this.runCommandToFile('unrar', ['p', '-inul', '--', rarPath, name], csvPath, guard.createLimiter(name));
+      if (extraction.code !== 0) {
+        throw new Error('Failed to extract RAR file');
+      }
+      csvPaths.push(csvPath);
     }
 
-    const csvFileName = path.basename(csvFile.name);
-    const csvPath = path.join(this.dataDir, csvFileName);
+    return csvPaths;
+  }
 
-    // Check if CSV already exists
-    if (await fs.pathExists(csvPath)) {
-      this.log(`CSV file already exists: ${csvPath}`);
-      return csvPath;
+  /**
+   * Extract 7z archive using the system 7-Zip binary
+   * @param {string} archivePath - Path to 7z file
+   * @param {Object} run - { expectedFiles, outputDir, guard } of the current extraction run
+   * @returns {Promise<Array<string>>} - Paths to extracted CSVs
+   */
+  async extract7z(archivePath, { expectedFiles = [], outputDir, guard }) {
+    // -slt prints "Path = ", "Size = " and "Attributes = " lines per entry
+    const listing = await this.runCommand(this.sevenZipCommand, ['l', '-slt', '--', archivePath]);
+    if (listing.code !== 0) {
+      throw new Error(`Failed to list 7z contents. Make sure ${this.sevenZipCommand} is installed.`);
     }
 
-    // Extract the CSV file
-    const extracted = extractor.extract({ files: [csvFile.name] });
-    const csvContent = extracted.files[0].extraction;
-    
-    await fs.writeFile(csvPath, csvContent);
-    
+    // Entries follow the "----------" separator, the block before it describes the archive
+    const body = listing.stdout.split(/^-{10}$/m).slice(1).join('\n');
+    const entries = this.parseListing(body, {
+      name: 'Path = ',
+      size: 'Size = ',
+      type: 'Attributes = '
+    }).map(entry => ({ ...entry, type: get7zEntryType(entry.type) }));
+    guard.checkEntries(entries);
+
+    const names = entries.filter(entry => entry.type === 'file').map(entry => entry.name);
+    const selected = this.selectCsvNames(names, expectedFiles, '7z');
+
+    // -so writes the file to stdout so its size is checked while it is written,
+    // -spd matches the name literally instead of as a wildcard
+    const csvPaths = [];
+    for (const name of selected) {
+      const csvPath = ArchiveGuard.resolveInside(outputDir, path.basename(name));
+      const extraction = await this.runCommandToFile(this.sevenZipCommand, ['e', '-so', '-spd', '--', archivePath, name], csvPath, guard.createLimiter(name));
+      if (extraction.code !== 0) {
+        throw new Error(`Failed to extract 7z file: ${extraction.stderr.trim()}`);
+      }
+      csvPaths.push(csvPath);
+    }
+
+    return csvPaths;
+  }
+
+  /**
+   * Extract CSV files from a gzipped tar archive
+   * @param {string} archivePath - Path to .tar.gz file
+   * @param {Object} run - { expectedFiles, outputDir, guard } of the current extraction run
+   * @returns {Promise<Array<string>>} - Paths to extracted CSVs
+   */
+  async extractTarGz(archivePath, { expectedFiles = [], outputDir, guard }) {
+    const entries = [];
+    await tar.t({
+      file: archivePath,
+      onentry: (entry) => {
+        entries.push({ name: entry.path, size: entry.size, type: normalizeEntryType(entry.type) });
+      }
+    });
+    guard.checkEntries(entries);
+
+    const names = entries.filter(entry => entry.type === 'file').map(entry => entry.name);
+    const selected = this.selectCsvNames(names, expectedFiles, 'TAR');
+    const wanted = new Set(selected);
+    const writes = [];
+    await tar.t({
+      file: archivePath,
+      onentry: (entry) => {
+        if (wanted.has(entry.path)) {
+          const csvPath = ArchiveGuard.resolveInside(outputDir, path.basename(entry.path));
+          writes.push(pipeline(entry, guard.createLimiter(entry.path), fs.createWriteStream(csvPath)));
+        }
+      }
+    });
+    await Promise.all(writes);
+
+    return selected.map(name => ArchiveGuard.resolveInside(outputDir, path.basename(name)));
+  }
+
+  /**
+   * Decompress a single gzipped CSV file
+   * @param {string} gzipPath - Path to .gz file
+   * @param {string} csvFileName - Name of the decompressed CSV
+   * @param {Object} run - { outputDir, guard } of the current extraction run
+   * @returns {Promise<string>} - Path to the CSV
+   */
+  async extractGzip(gzipPath, csvFileName, { outputDir, guard }) {
+    const csvPath = ArchiveGuard.resolveInside(outputDir, csvFileName);
+    await pipeline(fs.createReadStream(gzipPath), zlib.createGunzip(), guard.createLimiter(csvFileName), fs.createWriteStream(csvPath));
     return csvPath;
   }
 
   /**
-   * Extract RAR using system unrar command
-   * @param {string} rarPath - Path to RAR file
-   * @returns {Promise<string>} - Path to extracted CSV
+   * Store a downloaded plain CSV file under its own name
+   * @param {string} filePath - Downloaded file
+   * @param {string} csvFileName - Name of the CSV
+   * @param {Object} run - { outputDir, guard } of the current extraction run
+   * @returns {Promise<string>} - Path to the CSV
    */
-  async extractRarWithSystemUnrar(rarPath) {
-    return new Promise((resolve, reject) => {
-      // First, list contents to find CSV file
-      const listProcess = spawn('unrar', ['l', rarPath]);
-      let listOutput = '';
+  async copyPlainCsv(filePath, csvFileName, { outputDir, guard }) {
+    const { size } = await fs.stat(filePath);
+    guard.addBytes(size, csvFileName);
 
-      listProcess.stdout.on('data', (data) => {
-        listOutput += data.toString();
-      });
+    const csvPath = ArchiveGuard.resolveInside(outputDir, csvFileName);
+    await fs.copy(filePath, csvPath, { overwrite: true });
+    return csvPath;
+  }
 
-      listProcess.on('close', async (code) => {
-        if (code !== 0) {
-          reject(new Error('Failed to list RAR contents. Make sure unrar is installed.'));
-          return;
-        }
+  /**
+   * Parse "key: value" blocks of an archive listing into entries
+   * @param {string} output - Listing output
+   * @param {Object} keys - Line prefixes of the { name, size, type } values
+   * @returns {Array<Object>} - { name, size, type }
+   */
+  parseListing(output, keys) {
+    const entries = [];
+    for (const rawLine of output.split('\n')) {
+      const line = rawLine.trim();
+      if (line.startsWith(keys.name)) {
+        entries.push({ name: line.slice(keys.name.length), size: 0, type: '' });
+      } else if (entries.length > 0 && line.startsWith(keys.size)) {
+        entries[entries.length - 1].size = parseInt(line.slice(keys.size.length)) || 0;
+      } else if (entries.length > 0 && line.startsWith(keys.type)) {
+        entries[entries.length - 1].type = line.slice(keys.type.length);
+      }
+    }
+    return entries;
+  }
 
-        // Find CSV file in the list
-        const lines = listOutput.split('\n');
-        let csvFileName = null;
-        
-        for (const line of lines) {
-          if (line.toLowerCase().includes('.csv')) {
-            const parts = line.trim().split(/\s+/);
-            csvFileName = parts[parts.length - 1];
-            break;
-          }
-        }
+  /**
+   * Pick the archive entries to extract
+   * @param {Array<string>} names - Entry names in the archive
+   * @param {Array<string>} expectedFiles - CSV names to extract; without it the first CSV is picked
+   * @param {string} archiveType - Archive type for error messages
+   * @returns {Array<string>} - Entry names, in expectedFiles order
+   */
+  selectCsvNames(names, expectedFiles = [], archiveType = '') {
+    const csvNames = names.filter(name => this.isDataFile(name));
 
-        if (!csvFileName) {
-          reject(new Error('No CSV file found in the RAR archive'));
-          return;
-        }
+    if (!expectedFiles || expectedFiles.length === 0) {
+      if (csvNames.length === 0) {
+        throw new Error(`No ${this.fileExtensions.join('/')} file found in the ${archiveType} archive`);
+      }
+      return [csvNames[0]];
+    }
+
+    const selected = [];
+    const missing = [];
+    for (const expectedFile of expectedFiles) {
+      const match = csvNames.find(name => path.basename(name).toLowerCase() === expectedFile.toLowerCase());
+      if (match) {
+        selected.push(match);
+      } else {
+        missing.push(expectedFile);
+      }
+    }
 
-        const csvPath = path.join(this.dataDir, path.basename(csvFileName));
+    if (missing.length > 0) {
+      throw new Error(`Expected files not found in the ${archiveType} archive: ${missing.join(', ')}`);
+    }
+
+    return selected;
+  }
+
+  /**
+   * Order extracted paths like the selected entry names
+   */
+  orderLike(csvPaths, selected) {
+    const order = selected.map(name => path.basename(name));
+    return [...csvPaths].sort((a, b) => order.indexOf(path.basename(a)) - order.indexOf(path.basename(b)));
+  }
+
+  /**
+   * Check whether a file name has one of the data file extensions
+   * @param {string} name - File or entry name
+   */
+  isDataFile(name) {
+    const lowerName = name.toLowerCase();
+    return this.fileExtensions.some(extension => lowerName.endsWith(extension));
+  }
+
+  /**
+   * Derive a data file name from a source file name, adding the first data extension if needed
+   * @param {string} name - File name from the URL
+   */
+  getCsvName(name) {
+    const baseName = path.basename(name || '');
+    if (this.isDataFile(baseName)) return baseName;
+    return `${baseName || `download_${Date.now()}`}${this.fileExtensions[0]}`;
+  }
+
+  /**
+   * Read the first bytes of a file
+   */
+  async readHeader(filePath, length) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+      const buffer = Buffer.alloc(length);
+      const { bytesRead } = await handle.read(buffer, 0, length, 0);
+      return buffer.slice(0, bytesRead);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Read the first decompressed bytes of a gzip file
+   */
+  readGunzipHeader(filePath, length) {
+    return new Promise((resolve) => {
+      const chunks = [];
+      let size = 0;
+      const input = fs.createReadStream(filePath);
+      const gunzip = zlib.createGunzip();
+
+      const done = () => {
+        input.destroy();
+        gunzip.destroy();
+        resolve(Buffer.concat(chunks).slice(0, length));
+      };
+
+      gunzip.on('data', (data) => {
+        chunks.push(data);
+        size += data.length;
+        if (size >= length) done();
+      });
+      gunzip.on('end', done);
+      // A truncated or corrupt stream still yields whatever was decompressed
+      gunzip.on('error', done);
+      input.pipe(gunzip);
+    });
+  }
 
-        // Check if CSV already exists
-        if (await fs.pathExists(csvPath)) {
-          this.log(`CSV file already exists: ${csvPath}`);
-          resolve(csvPath);
-          return;
+  /**
+   * Run an external command and collect its output
+   * @param {string} command - Binary name
+   * @param {Array<string>} args - Arguments
+   * @returns {Promise<Object>} - { code, stdout, stderr }
+   */
+  runCommand(command, args) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(command, args);
+      let stdout = '';
+      let stderr = '';
+
+      child.stdout.on('data', (data) => {
+        stdout += data.toString();
+      });
+      child.stderr.on('data', (data) => {
+        stderr += data.toString();
+      });
+
+      child.on('error', (error) => {
+        reject(new Error(`${command} command failed: ${error.message}. Make sure ${command} is installed.`));
+      });
+      child.on('close', (code) => resolve({ code, stdout, stderr }));
+    });
+  }
+
+  /**
+   * Run a command and stream its stdout to a file through a limiter
+   * The command is stopped as soon as the limiter fails.
+   * @param {string} command - Binary to run
+   * @param {Array<string>} args - Arguments
+   * @param {string} outputPath - File receiving stdout
+   * @param {Transform} limiter - Stream from ArchiveGuard.createLimiter
+   * @returns {Promise<Object>} - { code, stderr }
+   */
+  runCommandToFile(command, args, outputPath, limiter) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(command, args);
+      let stderr = '';
+      let failure = null;
+      let exit = null;
+      let written = false;
+
+      const settle = () => {
+        if (failure) {
+          reject(failure);
+        } else if (exit && written) {
+          resolve({ code: exit.code, stderr });
         }
+      };
+
+      child.stderr.on('data', (data) => {
+        stderr += data.toString();
+      });
 
-        // Extract the RAR file
-        const extractProcess = spawn('unrar', ['e', rarPath, this.dataDir]);
-        
-        extractProcess.on('close', (extractCode) => {
-          if (extractCode === 0) {
-            resolve(csvPath);
-          } else {
-            reject(new Error('Failed to extract RAR file'));
-          }
-        });
+      pipeline(child.stdout, limiter, fs.createWriteStream(outputPath)).then(() => {
+        written = true;
+        settle();
+      }, (error) => {
+        failure = failure || error;
+        child.kill();
+        settle();
       });
 
-      listProcess.on('error', (error) => {
-        reject(new Error(`unrar command failed: ${error.message}. Make sure unrar is installed.`));
+      child.on('error', (error) => {
+        failure = failure || new Error(`${command} command failed: ${error.message}. Make sure ${command} is installed.`);
+        settle();
+      });
+      child.on('close', (code) => {
+        exit = { code };
+        settle();
       });
     });
   }
 
   /**
    * Get file extension from URL
+   * Only a hint for the temp file name, the format is detected from the content.
    * @param {string} url - File URL
-   * @returns {string} - File extension (.zip or .rar)
+   * @returns {string} - File extension, e.g. '.zip' or '.tar.gz' ('' if none)
    */
   getFileExtension(url) {
-    const urlPath = new URL(url).pathname;
-    const extension = path.extname(urlPath).toLowerCase();
-    
-    if (!['.zip', '.rar'].includes(extension)) {
-      throw new Error(`Unsupported file extension: ${extension}`);
+    const urlPath = new URL(url).pathname.toLowerCase();
+
+    if (urlPath.endsWith('.tar.gz') || urlPath.endsWith('.tgz')) {
+      return '.tar.gz';
     }
     
-    return extension;
+    return path.extname(urlPath);
   }
 
   /**
@@ -252,20 +945,9 @@ class FileExtractor {
   async ensureDataDir() {
     await fs.ensureDir(this.dataDir);
   }
-
-  /**
-   * Log messages with timestamp
-   * @param {string} message - Log message
-   */
-  log(message) {
-    const timestamp = new Date().toISOString();
-    const logMessage = `[${timestamp}] ${message}\n`;
-    
-    console.log(logMessage.trim());
-    
-    // Append to log file
-    fs.appendFileSync(this.logFile, logMessage);
-  }
 }
 
+FileExtractor.DownloadError = DownloadError;
+FileExtractor.ArchiveSecurityError = ArchiveSecurityError;
+
 module.exports = FileExtractor; 
\ No newline at end of file
@@ -0,0 +1,305 @@
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const loggingConfig = require('../../config/logging-config');
+
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40
+};
+
+// Bindings of the job run the current async call chain belongs to (see Logger.runWith)
+const runContext = new AsyncLocalStorage();
+
+/**
+ * Appends lines to a log file without blocking the event loop.
+ *
+ * Lines are queued and written in order through one open file handle. Before a
+ * write would grow the file past maxBytes it is rotated: file.log becomes
+ * file.log.1, file.log.1 becomes file.log.2 and so on, keeping maxFiles files.
+ */
+class RotatingFileWriter {
+  /**
+   * @param {string} filePath - Log file
+   * @param {Object} options - { maxBytes, maxFiles }
+   */
+  constructor(filePath, { maxBytes = 10 * 1024 * 1024, maxFiles = 5 } = {}) {
+    this.filePath = filePath;
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+    this.queue = [];
+    this.handle = null;
+    this.size = 0;
+    this.flushing = null;
+    this.failed = false;
+
+    // Lines still queued when the process exits are written synchronously
+    process.once('exit', () => this.flushSync());
+  }
+
+  write(line) {
+    if (this.failed) return;
+    this.queue.push(line);
+    if (!this.flushing) {
+      this.flushing = this.flush().finally(() => {
+        this.flushing = null;
+      });
+    }
+  }
+
+  async flush() {
+    try {
+      while (this.queue.length > 0) {
+        const lines = this.queue;
+        this.queue = [];
+        if (!this.handle) {
+          await this.open();
+        }
+
+        // Batch the queued lines, rotating wherever the next line would not fit
+        let chunk = '';
+        for (const line of lines) {
+          const bytes = Buffer.byteLength(line);
+          if (this.size + Buffer.byteLength(chunk) + bytes > this.maxBytes && this.size + chunk.length > 0) {
+            await this.writeChunk(chunk);
+            chunk = '';
+            await this.rotate();
+          }
+          chunk += line;
+        }
+        await this.writeChunk(chunk);
+      }
+    } catch (error) {
+      // Logging must never break the worker, keep logging to the console only
+      this.failed = true;
+      this.queue = [];
+      process.stderr.write(`Failed to write log file ${this.filePath}: ${error.message}\n`);
+    }
+  }
+
+  async writeChunk(chunk) {
+    if (!chunk) return;
+    await this.handle.write(chunk);
+    this.size += Buffer.byteLength(chunk);
+  }
+
+  async open() {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    this.handle = await fs.promises.open(this.filePath, 'a');
+    this.size = (await this.handle.stat()).size;
+  }
+
+  async rotate() {
+    await this.handle.close();
+    this.handle = null;
+
+    for (let i = this.maxFiles - 1; i >= 1; i--) {
+      await fs.promises.rename(`${this.filePath}.${i}`, `${this.filePath}.${i + 1}`).catch(() => {});
+    }
+    if (this.maxFiles > 0) {
+      await fs.promises.rename(this.filePath, `${this.filePath}.1`);
+    } else {
+      await fs.promises.unlink(this.filePath);
+    }
+
+    await this.open();
+  }
+
+  /**
+   * Write the queued lines and close the file
+   */
+  async close() {
+    while (this.flushing) {
+      await this.flushing;
+    }
+    if (this.handle) {
+      await this.handle.close();
+      this.handle = null;
+    }
+  }
+
+  flushSync() {
+    if (this.failed || this.queue.length === 0) return;
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.appendFileSync(this.filePath, this.queue.join(''));
+      this.queue = [];
+    } catch (error) {
+      // Nothing left to report to at exit
+    }
+  }
+}
+
+/**
+ * Leveled logger writing pretty or JSON lines to the console and a rotating file.
+ *
+ * Child loggers add bindings (e.g. { component: 'fileExtractor' }) to every line
+ * and share the level, format and file of their root. Code running inside
+ * Logger.runWith() also gets that run's bindings ({ job, runId }).
+ */
+class Logger {
+  /**
+   * @param {Object} options - { level, format, file: { path, maxBytes, maxFiles }, stdout, stderr }
+   * @param {Object} bindings - Fields added to every line
+   * @param {Logger} root - Root logger of a child
+   */
+  constructor(options = {}, bindings = {}, root = null) {
+    this.bindings = bindings;
+    this.root = root || this;
+
+    if (!root) {
+      this.setLevel(options.level || 'info');
+      this.format = options.format === 'json' ? 'json' : 'pretty';
+      this.stdout = options.stdout || process.stdout;
+      this.stderr = options.stderr || process.stderr;
+      this.file = options.file && options.file.path
+        ? new RotatingFileWriter(options.file.path, options.file)
+        : null;
+    }
+  }
+
+  /**
+   * Create a logger adding bindings to every line
+   * @param {Object} bindings - e.g. { component: 'database' } or { job, runId }
+   */
+  child(bindings) {
+    return new Logger({}, { ...this.bindings, ...bindings }, this.root);
+  }
+
+  setLevel(level) {
+    const name = String(level).toLowerCase();
+    if (!LEVELS[name]) {
+      throw new Error(`Unknown log level: ${level} (expected ${Object.keys(LEVELS).join(', ')})`);
+    }
+    this.root.level = name;
+  }
+
+  isLevelEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.root.level];
+  }
+
+  debug(message, fields) {
+    this.write('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.write('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.write('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.write('error', message, fields);
+  }
+
+  /**
+   * @param {string} level - Log level
+   * @param {string} message - Message
+   * @param {Object} fields - Extra fields; Error values are reduced to message and stack
+   */
+  write(level, message, fields = {}) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const record = {
+      time: new Date().toISOString(),
+      level,
+      ...runContext.getStore(),
+      ...this.bindings,
+      msg: message
+    };
+    for (const [key, value] of Object.entries(fields)) {
+      if (value !== undefined) record[key] = serialize(value);
+    }
+
+    const { root } = this;
+    const line = root.format === 'json' ? `${JSON.stringify(record)}\n` : formatPretty(record);
+    (LEVELS[level] >= LEVELS.warn ? root.stderr : root.stdout).write(line);
+    if (root.file) {
+      root.file.write(line);
+    }
+  }
+
+  /**
+   * Write pending file output and close the log file
+   */
+  async close() {
+    if (this.root.file) {
+      await this.root.file.close();
+    }
+  }
+
+  /**
+   * Run a function with bindings added to every line logged during it, by any logger
+   * @param {Object} bindings - e.g. { job, runId }
+   * @param {Function} fn - Function to run
+   */
+  static runWith(bindings, fn) {
+    return runContext.run({ ...runContext.getStore(), ...bindings }, fn);
+  }
+}
+
+function serialize(value) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, stack: value.stack };
+  }
+  return value;
+}
+
+/**
+ * time LEVEL [component job runId] message key=value ...
+ */
+function formatPretty(record) {
+  const { time, level, msg, component, job, runId, ...fields } = record;
+  const scope = [component, job, runId && String(runId).slice(0, 8)].filter(Boolean).join(' ');
+  let line = `${time} ${level.toUpperCase().padEnd(5)} ${scope ? `[${scope}] ` : ''}${msg}`;
+
+  for (const [key, value] of Object.entries(fields)) {
+    if (value && typeof value === 'object' && value.stack) {
+      line += ` ${key}=${JSON.stringify(value.message)}`;
+      continue;
+    }
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    line += ` ${key}=${/[\s"]/.test(text) ? JSON.stringify(text) : text}`;
+  }
+
+  // Stacks of errors go on the following lines
+  for (const value of Object.values(fields)) {
+    if (value && typeof value === 'object' && value.stack && LEVELS[level] >= LEVELS.error) {
+      line += `\n${value.stack}`;
+    }
+  }
+
+  return `${line}\n`;
+}
+
+function createLogger(config = loggingConfig) {
+  const level = String(config.level).toLowerCase();
+  const logger = new Logger({
+    ...config,
+    level: LEVELS[level] ? level : 'info'
+  });
+
+  if (!LEVELS[level]) {
+    logger.warn(`Unknown LOG_LEVEL "${config.level}", using info`);
+  }
+  if (config.format && !['pretty', 'json'].includes(config.format)) {
+    logger.warn(`Unknown LOG_FORMAT "${config.format}", using pretty`);
+  }
+
+  return logger;
+}
+
+// Shared root logger configured from config/logging-config.js
+const logger = createLogger();
+
+module.exports = {
+  logger,
+  Logger,
+  RotatingFileWriter,
+  LEVELS,
+  createLogger
+};
@@ -0,0 +1,253 @@
+/**
+ * Prometheus metrics of the worker, served as text by the HTTP API at /metrics.
+ *
+ * A small in-process registry of counters, gauges and histograms with labels,
+ * rendered in the Prometheus text exposition format (version 0.0.4).
+ */
+
+const PREFIX = 'bgworker_';
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map();
+  }
+
+  key(labels) {
+    return JSON.stringify(this.labelNames.map(label => String(labels[label] ?? '')));
+  }
+
+  formatLabels(labels, extra = {}) {
+    const pairs = [...this.labelNames.map(label => [label, labels[label]]), ...Object.entries(extra)]
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([label, value]) => `${label}="${escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const { labels, value } of this.values.values()) {
+      lines.push(`${this.name}${this.formatLabels(labels)} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = this.key(labels);
+    const current = this.values.get(key);
+    this.values.set(key, { labels, value: (current ? current.value : 0) + amount });
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  set(labels = {}, value) {
+    this.values.set(this.key(labels), { labels, value });
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels = {}, value) {
+    const key = this.key(labels);
+    if (!this.values.has(key)) {
+      this.values.set(key, { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+    }
+
+    const series = this.values.get(key);
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i] += 1;
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const { labels, counts, sum, count } of this.values.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${this.formatLabels(labels, { le: formatValue(bound) })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${this.formatLabels(labels, { le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${this.formatLabels(labels)} ${formatValue(sum)}`);
+      lines.push(`${this.name}_count${this.formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric already registered: ${metric.name}`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames) {
+    return this.register(new Gauge(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  /**
+   * Render all metrics in the Prometheus text format
+   */
+  render() {
+    return [...this.metrics.values()].map(metric => metric.render().join('\n')).join('\n') + '\n';
+  }
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+const registry = new Registry();
+
+const jobRuns = registry.counter(`${PREFIX}job_runs_total`,
+  'Job runs by final status (success, skipped, error, skipped_locked)', ['job', 'status']);
+const jobLastSuccess = registry.gauge(`${PREFIX}job_last_success_timestamp_seconds`,
+  'Unix time of the last successful run of a job', ['job']);
+const jobDuration = registry.histogram(`${PREFIX}job_duration_seconds`,
+  'Duration of job runs', ['job', 'status'], [1, 5, 15, 30, 60, 120, 300, 600, 1800, 3600]);
+const stepDuration = registry.histogram(`${PREFIX}job_step_duration_seconds`,
+  'Duration of the steps of job runs (download, extract, parse, diff, write, swap, ...)', ['job', 'step'],
+  [0.1, 0.5, 1, 5, 15, 30, 60, 120, 300, 600, 1800]);
+const importRows = registry.counter(`${PREFIX}import_rows_total`,
+  'CSV rows imported, by result (imported, new, updated, unchanged, rejected)', ['job', 'result']);
+const downloadBytes = registry.counter(`${PREFIX}download_bytes_total`,
+  'Bytes of archives downloaded by jobs', ['job']);
+const mongoBulkWriteDuration = registry.histogram(`${PREFIX}mongo_bulk_write_duration_seconds`,
+  'Latency of MongoDB bulk writes', ['collection', 'operation'],
+  [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]);
+const processMemory = registry.gauge(`${PREFIX}process_memory_bytes`,
+  'Memory of the worker process by type (rss, heapTotal, heapUsed, external, arrayBuffers)', ['type']);
+const processUptime = registry.gauge(`${PREFIX}process_uptime_seconds`,
+  'Uptime of the worker process');
+const databaseConnected = registry.gauge(`${PREFIX}database_connected`,
+  '1 when the worker is connected to MongoDB');
+const jobRunning = registry.gauge(`${PREFIX}job_running`,
+  '1 while a job runs in this process', ['job']);
+
+/**
+ * Record a finished job run
+ * @param {string} job - Job name
+ * @param {Object} run - { status, finishedAt, durationMs, steps, totals } where steps is
+ *   RunTimeline.toJSON() and totals the { rows, rejected, new, updated, unchanged } of an import
+ */
+function recordJobRun(job, { status, finishedAt = new Date(), durationMs = null, steps = [], totals = null }) {
+  jobRuns.inc({ job, status });
+
+  if (status === 'success' || status === 'skipped') {
+    recordLastSuccess(job, finishedAt);
+  }
+  if (durationMs !== null) {
+    jobDuration.observe({ job, status }, durationMs / 1000);
+  }
+
+  for (const step of steps) {
+    stepDuration.observe({ job, step: step.name }, step.durationMs / 1000);
+    if (step.name === 'download' && typeof step.bytes === 'number') {
+      downloadBytes.inc({ job }, step.bytes);
+    }
+  }
+
+  if (totals) {
+    const counts = {
+      imported: typeof totals.rows === 'number' ? totals.rows - (totals.rejected || 0) : undefined,
+      new: totals.new,
+      updated: totals.updated,
+      unchanged: totals.unchanged,
+      rejected: totals.rejected
+    };
+    for (const [result, count] of Object.entries(counts)) {
+      if (typeof count === 'number' && count > 0) {
+        importRows.inc({ job, result }, count);
+      }
+    }
+  }
+}
+
+/**
+ * Set the last success time of a job, e.g. from job_status at startup
+ * @param {string} job - Job name
+ * @param {Date} time - Time of the last successful run
+ */
+function recordLastSuccess(job, time) {
+  jobLastSuccess.set({ job }, Math.floor(time.getTime() / 1000));
+}
+
+/**
+ * Time a MongoDB bulk write
+ * @param {string} collection - Collection name
+ * @param {string} operation - e.g. 'bulkWrite' or 'insertMany'
+ * @param {Function} fn - Async function doing the write
+ */
+async function timeBulkWrite(collection, operation, fn) {
+  const startedAt = process.hrtime.bigint();
+  try {
+    return await fn();
+  } finally {
+    mongoBulkWriteDuration.observe({ collection, operation }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+  }
+}
+
+/**
+ * Update the gauges taken from the worker status before a scrape
+ * @param {Object} status - Worker getStatus() ({ uptime, memoryUsage, databaseConnected, jobs })
+ */
+function collectWorkerStatus(status) {
+  for (const [type, bytes] of Object.entries(status.memoryUsage || {})) {
+    processMemory.set({ type }, bytes);
+  }
+  processUptime.set({}, status.uptime);
+  databaseConnected.set({}, status.databaseConnected ? 1 : 0);
+  for (const job of status.jobs || []) {
+    jobRunning.set({ job: job.jobType }, job.isRunning ? 1 : 0);
+  }
+}
+
+module.exports = {
+  registry,
+  recordJobRun,
+  recordLastSuccess,
+  timeBulkWrite,
+  collectWorkerStatus,
+  Registry,
+  Counter,
+  Gauge,
+  Histogram
+};
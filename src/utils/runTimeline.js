@@ -0,0 +1,115 @@
+/**
+ * Records the steps of one job run (download, extract, parse, diff, write, ...).
+ *
+ * A step can be entered several times, e.g. parse/diff/write alternate for each
+ * chunk of a streamed CSV. The step keeps its first start and last end time,
+ * the summed duration of all spans and summed counters such as rows or bytes.
+ */
+class RunTimeline {
+  constructor() {
+    this.steps = new Map();
+  }
+
+  /**
+   * Start a span of a step
+   * @param {string} name - Step name
+   * @returns {Function} - Ends the span, optionally adding counters
+   */
+  start(name) {
+    const step = this.getStep(name);
+    const startedAt = new Date();
+    if (!step.startedAt) step.startedAt = startedAt;
+    step.spanStartedAt = startedAt;
+    step.open += 1;
+
+    let ended = false;
+    return (counters = {}) => {
+      if (ended) return;
+      ended = true;
+
+      // Spans already closed by fail() keep their recorded time
+      if (step.open > 0) {
+        const finishedAt = new Date();
+        step.finishedAt = finishedAt;
+        step.durationMs += finishedAt - startedAt;
+        step.open -= 1;
+      }
+      this.add(name, counters);
+    };
+  }
+
+  /**
+   * Run a function as a span of a step
+   * @param {string} name - Step name
+   * @param {Function} fn - Async function
+   * @returns {Promise<*>} - Result of fn
+   */
+  async measure(name, fn) {
+    const end = this.start(name);
+    try {
+      return await fn();
+    } catch (error) {
+      this.getStep(name).status = 'failed';
+      throw error;
+    } finally {
+      end();
+    }
+  }
+
+  /**
+   * Add counters to a step; numbers are summed, other values replaced
+   * @param {string} name - Step name
+   * @param {Object} counters - e.g. { rows: 1000, bytes: 52344 }
+   */
+  add(name, counters = {}) {
+    const step = this.getStep(name);
+    for (const [key, value] of Object.entries(counters)) {
+      if (value === undefined) continue;
+      step.counters[key] = typeof value === 'number' && typeof step.counters[key] === 'number'
+        ? step.counters[key] + value
+        : value;
+    }
+  }
+
+  /**
+   * Close spans left open by a failure
+   * @param {Error} error - Error that ended the run
+   */
+  fail(error) {
+    for (const step of this.steps.values()) {
+      if (step.open > 0) {
+        step.status = 'failed';
+        step.error = error.message;
+        step.finishedAt = new Date();
+        step.durationMs += step.finishedAt - step.spanStartedAt;
+        step.open = 0;
+      }
+    }
+  }
+
+  getStep(name) {
+    if (!this.steps.has(name)) {
+      this.steps.set(name, {
+        name,
+        status: 'completed',
+        startedAt: null,
+        finishedAt: null,
+        durationMs: 0,
+        open: 0,
+        spanStartedAt: null,
+        counters: {}
+      });
+    }
+    return this.steps.get(name);
+  }
+
+  /**
+   * Steps in the order they started, as stored in job_logs
+   * @returns {Array<Object>} - { name, status, startedAt, finishedAt, durationMs, ...counters }
+   */
+  toJSON() {
+    return [...this.steps.values()].map(({ open, spanStartedAt, counters, ...step }) => ({ ...step, ...counters }));
+  }
+}
+
+module.exports = RunTimeline;
@@ -0,0 +1,162 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'urlFetcher' });
+
+const DEFAULT_DUMPS_PAGE_URL = 'https://boardgamegeek.com/data_dumps/bg_ranks';
+
+class UrlFetcher {
+  /**
+   * @param {Object} options - Resolver options
+   * @param {string} options.pageUrl - BGG data dumps page to scrape
+   * @param {string} options.sessionCookie - Cookie header of a logged-in BGG session
+   * @param {number} options.refreshMarginSeconds - Treat links expiring within this window as expired
+   * @param {Object} options.headers - Extra request headers
+   * @param {number} options.timeout - Page request timeout in milliseconds
+   */
+  constructor(options = {}) {
+    this.pageUrl = options.pageUrl || process.env.BGG_DUMPS_PAGE_URL || DEFAULT_DUMPS_PAGE_URL;
+    this.sessionCookie = options.sessionCookie || process.env.BGG_SESSION_COOKIE || null;
+    this.refreshMarginMs = (options.refreshMarginSeconds != null ? options.refreshMarginSeconds : 60) * 1000;
+    this.headers = options.headers || {};
+    this.timeout = options.timeout || 30000;
+    this.cachedUrl = null;
+  }
+
+  /**
+   * Return a download URL that is still valid, re-resolving it from the dumps page if needed
+   * @param {string} url - Configured download URL (optional)
+   * @returns {Promise<string>} - Signed download URL
+   */
+  async getValidDownloadUrl(url) {
+    for (const candidate of [url, this.cachedUrl]) {
+      if (candidate && !this.isExpired(candidate)) {
+        return candidate;
+      }
+    }
+
+    if (url || this.cachedUrl) {
+      log.info('⏰ Download URL expired or about to expire, resolving a fresh one...');
+    }
+
+    this.cachedUrl = await this.resolveDownloadUrl();
+    return this.cachedUrl;
+  }
+
+  /**
+   * Scrape the dumps page and extract the current signed download link
+   * @returns {Promise<string>} - Signed download URL
+   */
+  async resolveDownloadUrl() {
+    log.info(`🔗 Resolving BGG download URL from: ${this.pageUrl}`);
+
+    const html = await this.fetchPage();
+    const downloadUrl = this.extractDownloadUrl(html);
+
+    if (!downloadUrl) {
+      throw new Error(`No download link found on ${this.pageUrl}. Check that BGG_SESSION_COOKIE belongs to a logged-in session.`);
+    }
+
+    if (this.isExpired(downloadUrl)) {
+      throw new Error('Resolved download URL is already expired. Check the system clock.');
+    }
+
+    const expiresAt = this.getExpiry(downloadUrl);
+    log.info(`✅ Resolved download URL${expiresAt ? ` (expires ${expiresAt.toISOString()})` : ''}`);
+
+    return downloadUrl;
+  }
+
+  /**
+   * Fetch the dumps page HTML with the session cookie
+   * @returns {Promise<string>} - Page HTML
+   */
+  async fetchPage() {
+    const headers = { ...this.headers };
+    if (this.sessionCookie) {
+      headers.Cookie = this.sessionCookie;
+    }
+
+    const response = await axios({
+      method: 'GET',
+      url: this.pageUrl,
+      headers,
+      timeout: this.timeout,
+      responseType: 'text'
+    });
+
+    return response.data;
+  }
+
+  /**
+   * Find the archive link in the dumps page HTML
+   * @param {string} html - Page HTML
+   * @returns {string|null} - Absolute download URL
+   */
+  extractDownloadUrl(html) {
+    const $ = cheerio.load(html);
+    let downloadUrl = null;
+
+    $('a[href]').each((index, element) => {
+      const href = $(element).attr('href');
+      let absoluteUrl;
+      try {
+        absoluteUrl = new URL(href, this.pageUrl);
+      } catch (error) {
+        // One malformed link must not hide the download link
+        log.debug(`Skipping unparseable link: ${href}`);
+        return;
+      }
+
+      if (/\.(zip|rar|7z|gz|tgz|csv)$/i.test(absoluteUrl.pathname)) {
+        downloadUrl = absoluteUrl.toString();
+        return false;
+      }
+    });
+
+    return downloadUrl;
+  }
+
+  /**
+   * Get the expiry time of a pre-signed S3 URL
+   * @param {string} url - Download URL
+   * @returns {Date|null} - Expiry time, or null if the URL is not signed
+   */
+  getExpiry(url) {
+    const params = new URL(url).searchParams;
+    const amzDate = params.get('X-Amz-Date');
+    const amzExpires = parseInt(params.get('X-Amz-Expires'));
+
+    if (!amzDate || isNaN(amzExpires)) {
+      return null;
+    }
+
+    // X-Amz-Date uses the basic ISO 8601 format, e.g. 20250630T141336Z
+    const match = amzDate.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/);
+    if (!match) {
+      return null;
+    }
+
+    const [, year, month, day, hours, minutes, seconds] = match.map(Number);
+    const signedAt = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+
+    return new Date(signedAt + amzExpires * 1000);
+  }
+
+  /**
+   * Check whether a URL is expired or will expire within the refresh margin
+   * @param {string} url - Download URL
+   * @returns {boolean}
+   */
+  isExpired(url) {
+    const expiresAt = this.getExpiry(url);
+    if (!expiresAt) {
+      return false;
+    }
+
+    return expiresAt.getTime() - this.refreshMarginMs <= Date.now();
+  }
+}
+
+module.exports = UrlFetcher;
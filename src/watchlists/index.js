@@ -0,0 +1,5 @@
+const Watchlists = require('./watchlists');
+
+module.exports = {
+  Watchlists
+};
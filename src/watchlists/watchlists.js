@@ -0,0 +1,351 @@
+const { timeBulkWrite } = require('../utils/metrics');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ component: 'watchlists' });
+
+const CHANGE_TYPES = ['new', 'updated'];
+
+// Comparison of a game's value with a condition's value; missing values only match '==' null and '!='
+const OPERATORS = {
+  '<': (actual, expected) => actual !== null && actual < expected,
+  '<=': (actual, expected) => actual !== null && actual <= expected,
+  '>': (actual, expected) => actual !== null && actual > expected,
+  '>=': (actual, expected) => actual !== null && actual >= expected,
+  '==': (actual, expected) => actual === expected,
+  '!=': (actual, expected) => actual !== expected
+};
+
+// Alerts kept per rule and import, so a too broad rule cannot flood the collection
+const MAX_ALERTS_PER_RULE = 1000;
+
+/**
+ * Watchlists of rules over board_games fields, checked against the new and
+ * updated games of every import.
+ *
+ * A watchlist in the `watchlists` collection:
+ *
+ *   { name, owner, enabled, rules: [{
+ *       id, description, enabled,
+ *       game_ids,      - Optional, only these games
+ *       change_types,  - Optional, 'new' and/or 'updated' (default both)
+ *       conditions: [{ field, op, value }]   - All must hold; op is <, <=, >, >=, == or !=
+ *   }] }
+ *
+ * A rule matching a game opens an alert in `watchlist_alerts` with the before and
+ * after values of its condition fields. While that alert is open the rule does
+ * not fire again for the game; the alert is resolved once an import changes the
+ * game so that the rule no longer matches, and the next match opens a new one.
+ *
+ * Only new and changed games are checked, so a rule added for a game that
+ * already matches fires the next time the game's data changes.
+ */
+class Watchlists {
+  constructor(database, config, schema) {
+    this.database = database;
+    this.config = config;
+    this.schema = schema;
+    this.collectionName = config.processing.collections.watchlists || 'watchlists';
+    this.alertsName = config.processing.collections.alerts || 'watchlist_alerts';
+    this.reset();
+  }
+
+  getCollection() {
+    return this.database.getCollection(this.collectionName);
+  }
+
+  getAlertsCollection() {
+    return this.database.getCollection(this.alertsName);
+  }
+
+  reset() {
+    this.rules = [];
+    this.openKeys = new Set();
+    this.triggered = [];
+    this.resolved = [];
+  }
+
+  /**
+   * Check a watchlist definition
+   * @param {Object} watchlist - Watchlist document
+   * @param {Array<string>} fields - Field paths rules may use
+   * @returns {Array<string>} - Problems found, empty if valid
+   */
+  static validate(watchlist, fields) {
+    const errors = [];
+    if (!watchlist || typeof watchlist.name !== 'string' || !watchlist.name) {
+      return ['a watchlist needs a name'];
+    }
+    if (!Array.isArray(watchlist.rules) || watchlist.rules.length === 0) {
+      return [`${watchlist.name}: needs at least one rule`];
+    }
+
+    const ids = new Set();
+    watchlist.rules.forEach((rule, index) => {
+      const label = `${watchlist.name} rule ${rule && rule.id ? rule.id : index + 1}`;
+      if (!rule || typeof rule.id !== 'string' || !rule.id) {
+        errors.push(`${label}: needs a string id`);
+        return;
+      }
+      if (ids.has(rule.id)) errors.push(`${label}: duplicate id`);
+      ids.add(rule.id);
+
+      if (rule.game_ids !== undefined && (!Array.isArray(rule.game_ids) || !rule.game_ids.every(Number.isInteger))) {
+        errors.push(`${label}: game_ids must be a list of game ids`);
+      }
+      if (rule.change_types !== undefined && (!Array.isArray(rule.change_types) || !rule.change_types.every(type => CHANGE_TYPES.includes(type)))) {
+        errors.push(`${label}: change_types must be a list of ${CHANGE_TYPES.join(', ')}`);
+      }
+      if (!Array.isArray(rule.conditions) || rule.conditions.length === 0) {
+        errors.push(`${label}: needs at least one condition`);
+        return;
+      }
+
+      for (const condition of rule.conditions) {
+        if (!fields.includes(condition.field)) {
+          errors.push(`${label}: unknown field ${condition.field}`);
+        }
+        if (!Object.hasOwn(OPERATORS, condition.op)) {
+          errors.push(`${label}: unknown operator ${condition.op} (expected ${Object.keys(OPERATORS).join(' ')})`);
+        }
+        if (!['number', 'string', 'boolean'].includes(typeof condition.value) && condition.value !== null) {
+          errors.push(`${label}: value of ${condition.field} must be a number, string, boolean or null`);
+        }
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Check whether a rule matches a game
+   * @param {Object} rule - Rule of a watchlist
+   * @param {Object} game - Game document
+   */
+  static matches(rule, game) {
+    return rule.conditions.every(({ field, op, value }) => Object.hasOwn(OPERATORS, op) && OPERATORS[op](getValue(game, field), value));
+  }
+
+  /**
+   * Field paths rules can use: the fields of the CSV schema
+   */
+  getFields() {
+    return this.schema.fields.map(definition => definition.field);
+  }
+
+  /**
+   * Load the enabled rules and open alerts before an import
+   */
+  async prepare() {
+    this.reset();
+    const fields = this.getFields();
+    const watchlists = await this.getCollection().find({ enabled: { $ne: false } }).toArray();
+
+    for (const watchlist of watchlists) {
+      const errors = Watchlists.validate(watchlist, fields);
+      if (errors.length > 0) {
+        log.warn(`⚠️  Skipping watchlist ${watchlist.name || watchlist._id}: ${errors.join('; ')}`, { watchlist: String(watchlist._id) });
+        continue;
+      }
+
+      for (const rule of watchlist.rules) {
+        if (rule.enabled === false) continue;
+        this.rules.push({
+          ...rule,
+          watchlist,
+          gameIds: rule.game_ids ? new Set(rule.game_ids) : null,
+          changeTypes: rule.change_types || CHANGE_TYPES,
+          alerts: 0
+        });
+      }
+    }
+
+    if (this.rules.length > 0) {
+      const open = await this.getAlertsCollection()
+        .find({ status: 'open' }, { projection: { _id: 0, dedupe_key: 1 } })
+        .toArray();
+      this.openKeys = new Set(open.map(alert => alert.dedupe_key));
+      log.info(`👀 Checking ${this.rules.length} watchlist rules (${this.openKeys.size} open alerts)`);
+    }
+  }
+
+  /**
+   * Check the rules against new or changed games of a chunk
+   * @param {string} changeType - 'new' or 'updated'
+   * @param {Array<Object>} games - Parsed game documents
+   * @param {Map} existingGamesMap - Stored documents by id, for updated games
+   */
+  evaluate(changeType, games, existingGamesMap = new Map()) {
+    for (const rule of this.rules) {
+      if (!rule.changeTypes.includes(changeType)) continue;
+
+      for (const game of games) {
+        if (rule.gameIds && !rule.gameIds.has(game.id)) continue;
+
+        const key = `${rule.watchlist._id}:${rule.id}:${game.id}`;
+        const before = existingGamesMap.get(game.id) || null;
+        const matched = Watchlists.matches(rule, game);
+
+        if (matched && !this.openKeys.has(key)) {
+          if (rule.alerts >= MAX_ALERTS_PER_RULE) {
+            if (rule.alerts === MAX_ALERTS_PER_RULE) {
+              log.warn(`⚠️  Watchlist ${rule.watchlist.name} rule ${rule.id} matched more than ${MAX_ALERTS_PER_RULE} games, ignoring the rest of this import`);
+            }
+            rule.alerts++;
+            continue;
+          }
+          rule.alerts++;
+          this.openKeys.add(key);
+          this.triggered.push({ key, rule, game: { id: game.id, name: game.name }, changeType, values: this.values(rule, game, before) });
+        } else if (!matched && this.openKeys.has(key)) {
+          this.openKeys.delete(key);
+          this.resolved.push({ key, values: this.values(rule, game, before) });
+        }
+      }
+    }
+  }
+
+  /**
+   * Before and after values of the fields a rule looks at
+   */
+  values(rule, game, before) {
+    const values = {};
+    for (const { field } of rule.conditions) {
+      const after = getValue(game, field);
+      values[field] = { before: before ? getValue(before, field) : null, after };
+    }
+    return values;
+  }
+
+  /**
+   * Store the alerts of an import once it is live
+   * @param {Object} importInfo - { dumpDate, importTimestamp }
+   * @param {number} batchSize - Bulk write batch size
+   * @returns {Promise<Object>} - { triggered, resolved }
+   */
+  async commit({ dumpDate, importTimestamp }, batchSize = 1000) {
+    const collection = this.getAlertsCollection();
+    const now = new Date();
+    let triggered = 0;
+    let resolved = 0;
+
+    // Upserting the open alert keeps a re-run of the same import from duplicating it
+    const openOps = this.triggered.map(({ key, rule, game, changeType, values }) => ({
+      updateOne: {
+        filter: { dedupe_key: key, status: 'open' },
+        update: {
+          $setOnInsert: {
+            watchlist_id: rule.watchlist._id,
+            watchlist_name: rule.watchlist.name,
+            owner: rule.watchlist.owner || null,
+            rule_id: rule.id,
+            rule_description: rule.description || null,
+            conditions: rule.conditions,
+            game_id: game.id,
+            name: game.name,
+            change_type: changeType,
+            values,
+            dump_date: dumpDate,
+            imported_at: importTimestamp,
+            triggered_at: now,
+            resolved_at: null
+          }
+        },
+        upsert: true
+      }
+    }));
+
+    const resolveOps = this.resolved.map(({ key, values }) => ({
+      updateOne: {
+        filter: { dedupe_key: key, status: 'open' },
+        update: { $set: { status: 'resolved', resolved_at: now, resolved_values: values, resolved_dump_date: dumpDate } }
+      }
+    }));
+
+    for (let i = 0; i < resolveOps.length; i += batchSize) {
+      const result = await timeBulkWrite(this.alertsName, 'bulkWrite', () => collection.bulkWrite(resolveOps.slice(i, i + batchSize), { ordered: false }));
+      resolved += result.modifiedCount;
+    }
+    for (let i = 0; i < openOps.length; i += batchSize) {
+      const result = await timeBulkWrite(this.alertsName, 'bulkWrite', () => collection.bulkWrite(openOps.slice(i, i + batchSize), { ordered: false }));
+      triggered += result.upsertedCount;
+    }
+
+    for (const { rule, game, values } of this.triggered.slice(0, 20)) {
+      const detail = Object.entries(values).map(([field, { before, after }]) => `${field} ${before ?? '-'} → ${after ?? '-'}`).join(', ');
+      log.info(`🔔 ${rule.watchlist.name}/${rule.id}: ${game.name} (ID: ${game.id}) ${detail}`);
+    }
+
+    this.reset();
+    return { triggered, resolved };
+  }
+
+  /**
+   * Forget the matches of an import that is not published
+   */
+  discard() {
+    this.reset();
+  }
+
+  /**
+   * Create or replace a watchlist by name
+   * @param {Object} watchlist - { name, owner, enabled, rules }
+   */
+  async save(watchlist) {
+    const errors = Watchlists.validate(watchlist, this.getFields());
+    if (errors.length > 0) {
+      throw new Error(`Invalid watchlist: ${errors.join('; ')}`);
+    }
+
+    const { _id, created_at, ...fields } = watchlist;
+    const now = new Date();
+    await this.getCollection().updateOne(
+      { name: watchlist.name },
+      {
+        $set: { owner: null, enabled: true, ...fields, updated_at: now },
+        $setOnInsert: { created_at: now }
+      },
+      { upsert: true }
+    );
+    return this.getCollection().findOne({ name: watchlist.name });
+  }
+
+  /**
+   * Delete a watchlist; its alerts are kept
+   * @param {string} name - Watchlist name
+   * @returns {Promise<boolean>} - Whether it existed
+   */
+  async remove(name) {
+    const result = await this.getCollection().deleteOne({ name });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * All watchlists, by name
+   */
+  async list() {
+    return this.getCollection().find({}).sort({ name: 1 }).toArray();
+  }
+
+  /**
+   * Most recent alerts first
+   * @param {Object} options - { limit, status, watchlist } where watchlist is a name
+   */
+  async readAlerts({ limit = 20, status = null, watchlist = null } = {}) {
+    const filter = {};
+    if (status) filter.status = status;
+    if (watchlist) filter.watchlist_name = watchlist;
+
+    return this.getAlertsCollection()
+      .find(filter, { projection: { _id: 0 } })
+      .sort({ triggered_at: -1 })
+      .limit(limit)
+      .toArray();
+  }
+}
+
+function getValue(doc, fieldPath) {
+  const value = fieldPath.split('.').reduce((current, key) => (current === undefined || current === null ? undefined : current[key]), doc);
+  return value === undefined ? null : value;
+}
+
+module.exports = Watchlists;
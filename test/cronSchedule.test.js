@@ -0,0 +1,47 @@
+require('./helpers');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { lastScheduledTime } = require('../src/jobs/cronSchedule');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('lastScheduledTime', () => {
+  it('finds a run missed since the last execution', () => {
+    const missedAt = lastScheduledTime('0 3 * * *', 'UTC', new Date('2026-10-17T03:00:10Z'), new Date('2026-10-19T12:00:00Z'));
+    assert.deepEqual(missedAt, new Date('2026-10-19T03:00:00Z'));
+  });
+
+  it('returns null when the schedule did not fire since the last execution', () => {
+    assert.equal(lastScheduledTime('0 3 * * *', 'UTC', new Date('2026-10-19T03:00:10Z'), new Date('2026-10-19T12:00:00Z')), null);
+  });
+
+  it('includes a run at exactly the upper bound', () => {
+    const missedAt = lastScheduledTime('0 3 * * *', 'UTC', new Date('2026-10-19T02:00:00Z'), new Date('2026-10-19T03:00:00Z'));
+    assert.deepEqual(missedAt, new Date('2026-10-19T03:00:00Z'));
+  });
+
+  it('applies the timezone of the schedule', () => {
+    // 03:00 in Warsaw is 01:00 UTC during summer time
+    const missedAt = lastScheduledTime('0 3 * * *', 'Europe/Warsaw', new Date('2026-10-10T00:00:00Z'), new Date('2026-10-19T12:00:00Z'));
+    assert.deepEqual(missedAt, new Date('2026-10-19T01:00:00Z'));
+  });
+
+  it('handles steps, ranges, names and seconds', () => {
+    const until = new Date('2026-10-19T12:07:45Z');
+
+    assert.deepEqual(lastScheduledTime('*/15 * * * *', 'UTC', null, until), new Date('2026-10-19T12:00:00Z'));
+    assert.deepEqual(lastScheduledTime('0 9-17 * * mon-fri', 'UTC', null, until), new Date('2026-10-19T12:00:00Z'));
+    assert.deepEqual(lastScheduledTime('30 * * * * *', 'UTC', null, until), new Date('2026-10-19T12:07:30Z'));
+    assert.deepEqual(lastScheduledTime('0 0 * * sat', 'UTC', null, until), new Date('2026-10-17T00:00:00Z'));
+  });
+
+  it('finds yearly runs without stepping through every minute', () => {
+    const until = new Date('2026-10-19T12:00:00Z');
+    assert.deepEqual(lastScheduledTime('0 0 1 1 *', 'UTC', null, until), new Date('2026-01-01T00:00:00Z'));
+  });
+
+  it('does not look back further than maxLookbackMs', () => {
+    const until = new Date('2026-10-19T12:00:00Z');
+    assert.equal(lastScheduledTime('0 0 1 1 *', 'UTC', null, until, 30 * DAY_MS), null);
+  });
+});
@@ -0,0 +1,166 @@
+require('./helpers');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const CsvSchema = require('../src/utils/csvSchema');
+
+const FIELDS = [
+  { column: 'id', field: 'id', type: 'integer', required: true, index: { unique: true } },
+  { column: 'name', field: 'name', type: 'string', required: true, index: { collated: true } },
+  { column: 'rank', field: 'rank', type: 'integer', index: true },
+  { column: 'average', field: 'average', type: 'float' },
+  { column: 'is_expansion', field: 'is_expansion', type: 'boolean' },
+  { column: 'published_at', field: 'published_at', type: 'date' },
+  { column: 'strategy_rank', field: 'ranks.strategy', type: 'integer', index: { sparse: true } },
+  { column: 'family_rank', field: 'ranks.family', type: 'integer' }
+];
+
+describe('CsvSchema', () => {
+  const schema = new CsvSchema(FIELDS);
+
+  it('rejects unsupported types', () => {
+    assert.throws(() => new CsvSchema([{ column: 'tags', field: 'tags', type: 'array' }]), /Unsupported schema type "array" for column tags/);
+  });
+
+  describe('parseRow', () => {
+    it('parses every type and nests dotted fields', () => {
+      const report = schema.createReport();
+
+      const doc = schema.parseRow({
+        id: ' 13 ',
+        name: 'CATAN',
+        rank: '-1',
+        average: '7.1',
+        is_expansion: 'Yes',
+        published_at: '1995-10-01',
+        strategy_rank: '400',
+        family_rank: '12'
+      }, 2, report);
+
+      assert.deepEqual(doc, {
+        id: 13,
+        name: 'CATAN',
+        rank: -1,
+        average: 7.1,
+        is_expansion: true,
+        published_at: new Date('1995-10-01T00:00:00Z'),
+        ranks: { strategy: 400, family: 12 }
+      });
+      assert.equal(report.rowsTotal, 1);
+      assert.equal(report.rowsAccepted, 1);
+    });
+
+    it('leaves out empty optional columns', () => {
+      const doc = schema.parseRow({ id: '13', name: 'CATAN', rank: '', average: null }, 2, schema.createReport());
+
+      assert.deepEqual(doc, { id: 13, name: 'CATAN' });
+    });
+
+    it('rejects rows with a missing or invalid required column', () => {
+      const report = schema.createReport();
+
+      assert.equal(schema.parseRow({ name: 'CATAN' }, 2, report), null);
+      assert.equal(schema.parseRow({ id: '13.5', name: 'CATAN' }, 3, report), null);
+
+      assert.equal(report.rowsTotal, 2);
+      assert.equal(report.rowsAccepted, 0);
+      assert.equal(report.rowsRejected, 2);
+      assert.deepEqual(report.rejectedRows, [
+        { line: 2, reason: 'missing required column id' },
+        { line: 3, reason: 'invalid integer "13.5" in required column id' }
+      ]);
+    });
+
+    it('drops invalid optional values and records them', () => {
+      const report = schema.createReport();
+
+      const doc = schema.parseRow({ id: '13', name: 'CATAN', rank: 'N/A', is_expansion: 'maybe', published_at: '2025-13-45', strategy_rank: '4' }, 7, report);
+
+      assert.deepEqual(doc, { id: 13, name: 'CATAN', ranks: { strategy: 4 } });
+      assert.equal(report.rowsAccepted, 1);
+      assert.deepEqual(report.invalidValues, { rank: 1, is_expansion: 1, published_at: 1 });
+      assert.deepEqual(report.invalidValueSamples[0], { line: 7, column: 'rank', value: 'N/A', expected: 'integer' });
+    });
+
+    it('treats a transform returning nothing as an invalid value', () => {
+      const priced = new CsvSchema([
+        { column: 'price', field: 'price', type: 'float', required: true, transform: value => (value >= 0 ? value : undefined) },
+        { column: 'currency', field: 'currency', type: 'string', transform: value => (/^[A-Z]{3}$/.test(value) ? value : null) }
+      ]);
+      const report = priced.createReport();
+
+      assert.deepEqual(priced.parseRow({ price: '10', currency: 'euro' }, 2, report), { price: 10 });
+      assert.equal(priced.parseRow({ price: '-1', currency: 'EUR' }, 3, report), null);
+
+      assert.deepEqual(report.invalidValues, { currency: 1 });
+      assert.deepEqual(report.rejectedRows, [{ line: 3, reason: 'invalid value "-1" in required column price' }]);
+    });
+  });
+
+  describe('checkHeaders', () => {
+    it('reports unknown and missing columns', () => {
+      const report = schema.createReport();
+
+      schema.checkHeaders(['id', 'name', 'rank', 'thumbnail', 'average'], report);
+
+      assert.deepEqual(report.unknownColumns, ['thumbnail']);
+      assert.deepEqual(report.missingColumns, ['is_expansion', 'published_at', 'strategy_rank', 'family_rank']);
+      assert.match(CsvSchema.summarize(report), /unknown columns: thumbnail, missing columns: is_expansion/);
+    });
+  });
+
+  describe('hasChanged and diff', () => {
+    const stored = {
+      id: 13,
+      name: 'CATAN',
+      average: 7.1,
+      published_at: new Date('1995-10-01T00:00:00Z'),
+      ranks: { strategy: 400 },
+      // Not part of the schema
+      updated_at: new Date('2025-01-01T00:00:00Z')
+    };
+
+    it('ignores float differences within the tolerance, equal dates and fields outside the schema', () => {
+      const parsed = { ...stored, average: 7.1004, published_at: new Date('1995-10-01T00:00:00Z'), ranks: { strategy: 400 }, updated_at: new Date() };
+
+      assert.equal(schema.hasChanged(parsed, stored), false);
+      assert.deepEqual(schema.diff(parsed, stored), {});
+    });
+
+    it('reports changed, added and removed fields', () => {
+      const parsed = { id: 13, name: 'Catan', average: 7.102, published_at: new Date('1995-10-02T00:00:00Z'), ranks: { family: 12 } };
+
+      assert.equal(schema.hasChanged(parsed, stored), true);
+      assert.deepEqual(schema.diff(parsed, stored), {
+        name: { before: 'CATAN', after: 'Catan' },
+        average: { before: 7.1, after: 7.102 },
+        published_at: { before: new Date('1995-10-01T00:00:00Z'), after: new Date('1995-10-02T00:00:00Z') },
+        'ranks.strategy': { before: 400, after: null },
+        'ranks.family': { before: null, after: 12 }
+      });
+    });
+
+    it('lists every field of a new document', () => {
+      assert.deepEqual(schema.diff({ id: 13, name: 'CATAN' }, null), {
+        id: { before: null, after: 13 },
+        name: { before: null, after: 'CATAN' }
+      });
+    });
+  });
+
+  describe('getIndexes', () => {
+    it('names indexes after the field and their kind', () => {
+      assert.deepEqual(schema.getIndexes(), [
+        { key: { id: 1 }, collated: false, options: { name: 'id_unique', unique: true } },
+        { key: { name: 1 }, collated: true, options: { name: 'name_collated' } },
+        { key: { rank: 1 }, collated: false, options: { name: 'rank_asc' } },
+        { key: { 'ranks.strategy': 1 }, collated: false, options: { name: 'ranks_strategy_asc', sparse: true } }
+      ]);
+    });
+
+    it('keeps an explicit index name', () => {
+      const named = new CsvSchema([{ column: 'strategy_rank', field: 'ranks.strategy', type: 'integer', index: { sparse: true, name: 'subdomain_rank_strategy_asc' } }]);
+
+      assert.equal(named.getIndexes()[0].options.name, 'subdomain_rank_strategy_asc');
+    });
+  });
+});
@@ -0,0 +1,124 @@
+require('./helpers');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const ExchangeRates = require('../src/currency/exchangeRates');
+
+const CONFIG = { baseCurrency: 'EUR', rates: { base: 'EUR', maxAgeDays: 7, batchSize: 2 }, collections: { rates: 'exchange_rates' } };
+
+function date(text) {
+  return new Date(`${text}T00:00:00Z`);
+}
+
+/**
+ * Rates prepared as prepare() would load them: Thursday, Friday and the Tuesday after
+ */
+function preparedRates() {
+  const rates = new ExchangeRates(null, CONFIG);
+  rates.table = [
+    { date: date('2024-05-02'), rates: { USD: 1.0711, GBP: 0.85525 } },
+    { date: date('2024-05-03'), rates: { USD: 1.0746 } },
+    { date: date('2024-05-07'), rates: { USD: 1.0755, GBP: 0.8585 } }
+  ];
+  return rates;
+}
+
+describe('ExchangeRates', () => {
+  describe('parseDate', () => {
+    it('parses ISO and ECB daily dates to UTC midnight', () => {
+      assert.deepEqual(ExchangeRates.parseDate('2024-05-03'), date('2024-05-03'));
+      assert.deepEqual(ExchangeRates.parseDate(' 03 May 2024 '), date('2024-05-03'));
+    });
+
+    it('returns null for anything else', () => {
+      assert.equal(ExchangeRates.parseDate('not a date'), null);
+      assert.equal(ExchangeRates.parseDate(''), null);
+      assert.equal(ExchangeRates.parseDate(undefined), null);
+    });
+  });
+
+  describe('rateOn', () => {
+    it('uses the rate of the day', () => {
+      assert.equal(preparedRates().rateOn('USD', new Date('2024-05-03T15:30:00Z')), 1.0746);
+    });
+
+    it('falls back to the latest earlier rate of the currency', () => {
+      const rates = preparedRates();
+
+      // Weekend
+      assert.equal(rates.rateOn('USD', date('2024-05-05')), 1.0746);
+      // No GBP rate on Friday
+      assert.equal(rates.rateOn('GBP', date('2024-05-03')), 0.85525);
+    });
+
+    it('returns null before the first rate, after maxAgeDays and for unknown currencies', () => {
+      const rates = preparedRates();
+
+      assert.equal(rates.rateOn('USD', date('2024-05-01')), null);
+      assert.equal(rates.rateOn('USD', date('2024-05-15')), null);
+      assert.equal(rates.rateOn('JPY', date('2024-05-03')), null);
+    });
+
+    it('is 1 for the base currency', () => {
+      assert.equal(new ExchangeRates(null, CONFIG).rateOn('EUR', date('2000-01-01')), 1);
+    });
+  });
+
+  describe('convert', () => {
+    it('converts between the base and other currencies', () => {
+      const rates = preparedRates();
+
+      assert.equal(rates.convert(100, 'EUR', 'USD', date('2024-05-03')), 107.46);
+      assert.equal(rates.convert(107.46, 'USD', 'EUR', date('2024-05-03')), 100);
+    });
+
+    it('converts between two other currencies through the base', () => {
+      const amount = preparedRates().convert(100, 'USD', 'GBP', date('2024-05-02'));
+      assert.ok(Math.abs(amount - 100 / 1.0711 * 0.85525) < 1e-9);
+    });
+
+    it('returns the amount for the same currency and null without a rate', () => {
+      const rates = preparedRates();
+
+      assert.equal(rates.convert(42, 'JPY', 'JPY', date('2024-05-03')), 42);
+      assert.equal(rates.convert(42, 'JPY', 'EUR', date('2024-05-03')), null);
+    });
+  });
+
+  describe('loadFile', () => {
+    it('upserts one document per date with the rates of its currencies', async () => {
+      const batches = [];
+      const database = {
+        getCollection: () => ({
+          bulkWrite: async (operations) => {
+            batches.push(operations);
+            return { upsertedCount: operations.length };
+          }
+        })
+      };
+
+      const result = await new ExchangeRates(database, CONFIG).loadFile(path.join(__dirname, 'fixtures', 'eurofxref-hist.csv'));
+
+      assert.equal(result.dates, 4);
+      assert.equal(result.skippedRows, 1);
+      assert.deepEqual(result.currencies, ['CYP', 'GBP', 'JPY', 'PLN', 'USD']);
+      assert.deepEqual(result.from, date('1999-01-04'));
+      assert.deepEqual(result.to, date('2024-05-03'));
+
+      assert.deepEqual(batches.map(batch => batch.length), [2, 2]);
+      const [first] = batches[0];
+      assert.deepEqual(first.updateOne.filter, { date: date('2024-05-03') });
+      assert.equal(first.updateOne.upsert, true);
+      const { updated_at: updatedAt, ...fields } = first.updateOne.update.$set;
+      assert.ok(updatedAt instanceof Date);
+      assert.deepEqual(fields, {
+        'rates.USD': 1.0746,
+        'rates.JPY': 164.88,
+        'rates.GBP': 0.85725,
+        'rates.PLN': 4.3183,
+        base: 'EUR',
+        source: 'eurofxref-hist.csv'
+      });
+    });
+  });
+});
@@ -0,0 +1,456 @@
+const { makeTempDir, listen } = require('./helpers');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+const FileExtractor = require('../src/utils/fileExtractor');
+const { ArchiveGuard } = require('../src/utils/archiveGuard');
+
+const BODY = Buffer.from(Array.from({ length: 5000 }, (_, i) => `${i},Game ${i},${i % 100}\n`).join(''));
+const MD5_ETAG = `"${crypto.createHash('md5').update(BODY).digest('hex')}"`;
+
+function createExtractor(dataDir, download = {}) {
+  return new FileExtractor(dataDir, {
+    download: { retries: 3, backoffMs: 1, maxBackoffMs: 5, idleTimeoutMs: 2000, ...download }
+  });
+}
+
+/**
+ * Serve BODY with Range support; the first `drops` full responses close the
+ * connection halfway through the body
+ */
+function serveDump({ etag = MD5_ETAG, drops = 0 } = {}) {
+  const requests = [];
+  return listen((req, res) => {
+    requests.push({ range: req.headers.range || null, ifRange: req.headers['if-range'] || null });
+
+    const range = /^bytes=(\d+)-$/.exec(req.headers.range || '');
+    if (range && (!req.headers['if-range'] || req.headers['if-range'] === etag)) {
+      const start = parseInt(range[1]);
+      res.writeHead(206, {
+        ETag: etag,
+        'Content-Length': BODY.length - start,
+        'Content-Range': `bytes ${start}-${BODY.length - 1}/${BODY.length}`
+      });
+      res.end(BODY.subarray(start));
+      return;
+    }
+
+    res.writeHead(200, { ETag: etag, 'Content-Length': BODY.length, 'Content-Type': 'text/csv' });
+    if (drops > 0) {
+      drops--;
+      res.write(BODY.subarray(0, BODY.length / 2), () => res.destroy());
+      return;
+    }
+    res.end(BODY);
+  }).then(server => ({ ...server, requests }));
+}
+
+describe('FileExtractor.downloadFile', () => {
+  let dataDir;
+
+  before(async () => {
+    dataDir = await makeTempDir();
+  });
+
+  after(async () => {
+    await fs.remove(dataDir);
+  });
+
+  it('downloads a file and verifies it against its MD5 ETag', async (t) => {
+    const server = await serveDump();
+    t.after(() => server.close());
+    const filePath = path.join(dataDir, 'complete.csv');
+
+    const download = await createExtractor(dataDir).downloadFile(`${server.url}/ranks.csv`, filePath);
+
+    assert.deepEqual(await fs.readFile(filePath), BODY);
+    assert.equal(download.bytes, BODY.length);
+    assert.equal(download.sha256, crypto.createHash('sha256').update(BODY).digest('hex'));
+    assert.equal(download.etag, MD5_ETAG);
+    assert.equal(download.contentType, 'text/csv');
+    assert.equal(download.attempts, 1);
+  });
+
+  it('resumes with a Range request after the connection drops', async (t) => {
+    const server = await serveDump({ drops: 1 });
+    t.after(() => server.close());
+    const filePath = path.join(dataDir, 'resumed.csv');
+
+    const download = await createExtractor(dataDir).downloadFile(`${server.url}/ranks.csv`, filePath);
+
+    assert.deepEqual(await fs.readFile(filePath), BODY);
+    assert.equal(download.attempts, 2);
+    assert.equal(server.requests.length, 2);
+    assert.equal(server.requests[0].range, null);
+    assert.match(server.requests[1].range, /^bytes=\d+-$/);
+    assert.ok(parseInt(server.requests[1].range.slice('bytes='.length)) > 0);
+    assert.equal(server.requests[1].ifRange, MD5_ETAG);
+  });
+
+  it('retries until the retries are used up and removes the partial file', async (t) => {
+    const server = await listen((req, res) => {
+      res.writeHead(503);
+      res.end();
+    });
+    t.after(() => server.close());
+    const filePath = path.join(dataDir, 'unavailable.csv');
+
+    await assert.rejects(createExtractor(dataDir, { retries: 2 }).downloadFile(`${server.url}/ranks.csv`, filePath), /Unexpected HTTP status 503/);
+    assert.equal(await fs.pathExists(filePath), false);
+  });
+
+  it('does not retry client errors', async (t) => {
+    let requests = 0;
+    const server = await listen((req, res) => {
+      requests++;
+      res.writeHead(404);
+      res.end();
+    });
+    t.after(() => server.close());
+
+    await assert.rejects(createExtractor(dataDir).downloadFile(`${server.url}/ranks.csv`, path.join(dataDir, 'missing.csv')), /Unexpected HTTP status 404/);
+    assert.equal(requests, 1);
+  });
+
+  it('rejects a download whose content does not match its MD5 ETag', async (t) => {
+    const server = await serveDump({ etag: '"0123456789abcdef0123456789abcdef"' });
+    t.after(() => server.close());
+    const filePath = path.join(dataDir, 'corrupt.csv');
+
+    await assert.rejects(createExtractor(dataDir, { retries: 1 }).downloadFile(`${server.url}/ranks.csv`, filePath), /Checksum mismatch/);
+    assert.equal(server.requests.length, 2);
+    assert.equal(await fs.pathExists(filePath), false);
+  });
+
+  it('does not compare multipart ETags with the MD5', async (t) => {
+    const server = await serveDump({ etag: '"0123456789abcdef0123456789abcdef-3"' });
+    t.after(() => server.close());
+
+    const download = await createExtractor(dataDir).downloadFile(`${server.url}/ranks.csv`, path.join(dataDir, 'multipart.csv'));
+    assert.equal(download.bytes, BODY.length);
+  });
+});
+
+describe('FileExtractor archive size limits', () => {
+  let outputDir;
+
+  before(async () => {
+    outputDir = await makeTempDir();
+  });
+
+  after(async () => {
+    await fs.remove(outputDir);
+  });
+
+  /**
+   * ZIP with ranks.csv, optionally declaring an uncompressed size of 0 in its central directory
+   */
+  async function writeZip(name, { declareZeroSize = false } = {}) {
+    const zip = new AdmZip();
+    zip.addFile('ranks.csv', BODY);
+    const buffer = zip.toBuffer();
+
+    if (declareZeroSize) {
+      const centralHeader = buffer.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+      buffer.writeUInt32LE(0, centralHeader + 24);
+    }
+
+    const zipPath = path.join(outputDir, name);
+    await fs.writeFile(zipPath, buffer);
+    return zipPath;
+  }
+
+  it('extracts ZIP entries within the limit', async () => {
+    const zipPath = await writeZip('valid.zip');
+    const guard = new ArchiveGuard({ maxUncompressedBytes: BODY.length });
+
+    const [csvPath] = await new FileExtractor(outputDir).extractZip(zipPath, { expectedFiles: ['ranks.csv'], outputDir, guard });
+
+    assert.deepEqual(await fs.readFile(csvPath), BODY);
+    assert.equal(guard.extractedBytes, BODY.length);
+  });
+
+  it('stops inflating a ZIP entry that lies about its size once the limit is reached', async () => {
+    const zipPath = await writeZip('lying.zip', { declareZeroSize: true });
+    const guard = new ArchiveGuard({ maxUncompressedBytes: 1024 });
+
+    await assert.rejects(
+      new FileExtractor(outputDir).extractZip(zipPath, { expectedFiles: ['ranks.csv'], outputDir, guard }),
+      { name: 'SizeLimitError', entry: 'ranks.csv' }
+    );
+    assert.ok(guard.extractedBytes < BODY.length);
+  });
+
+  it('stops an external extractor once its output exceeds the limit', async () => {
+    const guard = new ArchiveGuard({ maxUncompressedBytes: 1024 * 1024 });
+    const endless = "setInterval(() => process.stdout.write('x'.repeat(65536)), 1)";
+
+    await assert.rejects(
+      new FileExtractor(outputDir).runCommandToFile(process.execPath, ['-e', endless], path.join(outputDir, 'endless.csv'), guard.createLimiter('endless.csv')),
+      { name: 'SizeLimitError' }
+    );
+  });
+});
+
+/**
+ * 512-byte ustar header
+ */
+function tarHeader(name, size, type, linkname = '') {
+  const header = Buffer.alloc(512);
+  header.write(name, 0, 100);
+  header.write('0000644\0', 100);
+  header.write('0000000\0', 108);
+  header.write('0000000\0', 116);
+  header.write(`${size.toString(8).padStart(11, '0')}\0`, 124);
+  header.write('00000000000\0', 136);
+  header.fill(' ', 148, 156);
+  header.write(type, 156);
+  header.write(linkname, 157);
+  header.write('ustar\0', 257);
+  header.write('00', 263);
+
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148);
+  return header;
+}
+
+/**
+ * tar.gz of the given entries, written by hand so names and types are kept as they are
+ * @param {Array<Object>} entries - { name, content, type = '0', linkname } where '2' is a symlink and '3' a character device
+ */
+function tarGzOf(entries) {
+  const blocks = [];
+  for (const { name, content: text = 'id\n', type = '0', linkname } of entries) {
+    const content = type === '0' ? Buffer.from(text) : Buffer.alloc(0);
+    blocks.push(tarHeader(name, content.length, type, linkname), content, Buffer.alloc((512 - content.length % 512) % 512));
+  }
+  blocks.push(Buffer.alloc(1024));
+  return zlib.gzipSync(Buffer.concat(blocks));
+}
+
+describe('FileExtractor archive safety', () => {
+  const UNSAFE_NAMES = ['../evil.csv', '/abs.csv', 'C:\\x.csv'];
+
+  /**
+   * ZIP of the given entries; names are patched into the buffer afterwards
+   * because adm-zip strips "../" and leading slashes when adding files
+   */
+  function zipOf(entries) {
+    const zip = new AdmZip();
+    const placeholders = entries.map(({ name, symlink = false }, index) => {
+      const placeholder = `e${index}`.padEnd(name.length, '_');
+      zip.addFile(placeholder, Buffer.from('id\n'));
+      if (symlink) zip.getEntry(placeholder).header.attr = (0o120777 << 16) >>> 0;
+      return placeholder;
+    });
+
+    const buffer = zip.toBuffer();
+    entries.forEach(({ name }, index) => {
+      const placeholder = Buffer.from(placeholders[index]);
+      for (let offset = buffer.indexOf(placeholder); offset !== -1; offset = buffer.indexOf(placeholder, offset + 1)) {
+        buffer.write(name, offset);
+      }
+    });
+    return buffer;
+  }
+
+  async function listFiles(dir) {
+    const files = [];
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+      const entryPath = path.join(dir, entry.name);
+      files.push(entryPath, ...(entry.isDirectory() ? await listFiles(entryPath) : []));
+    }
+    return files;
+  }
+
+  /**
+   * Extract an archive into root/run/extracted and expect it to be rejected
+   * without anything written besides the archive and the empty output directory
+   */
+  async function assertRejected(format, archive, error, limits = {}) {
+    const root = await makeTempDir();
+    try {
+      const archivePath = path.join(root, `unsafe.${format}`);
+      const outputDir = path.join(root, 'run', 'extracted');
+      await fs.writeFile(archivePath, archive);
+      await fs.ensureDir(outputDir);
+
+      const extractor = new FileExtractor(root);
+      const run = { expectedFiles: [], outputDir, guard: new ArchiveGuard(limits) };
+      const extraction = format === 'zip' ? extractor.extractZip(archivePath, run) : extractor.extractTarGz(archivePath, run);
+
+      await assert.rejects(extraction, error);
+      assert.deepEqual((await listFiles(root)).sort(), [path.join(root, 'run'), outputDir, archivePath].sort());
+    } finally {
+      await fs.remove(root);
+    }
+  }
+
+  for (const name of UNSAFE_NAMES) {
+    it(`rejects the ZIP entry ${name}`, async () => {
+      await assertRejected('zip', zipOf([{ name: 'ok.csv' }, { name }]), { name: 'PathTraversalError', entry: name });
+    });
+
+    it(`rejects the tar.gz entry ${name}`, async () => {
+      await assertRejected('tar.gz', tarGzOf([{ name: 'ok.csv' }, { name }]), { name: 'PathTraversalError', entry: name });
+    });
+  }
+
+  it('rejects a symlink in a ZIP', async () => {
+    await assertRejected('zip', zipOf([{ name: 'ok.csv' }, { name: 'link.csv', symlink: true }]), { name: 'UnsafeEntryTypeError', entry: 'link.csv', type: 'symlink' });
+  });
+
+  it('rejects a symlink and a device in a tar.gz', async () => {
+    await assertRejected('tar.gz', tarGzOf([{ name: 'ok.csv' }, { name: 'link.csv', type: '2', linkname: '/etc/passwd' }]), { name: 'UnsafeEntryTypeError', entry: 'link.csv', type: 'symbolic link' });
+    await assertRejected('tar.gz', tarGzOf([{ name: 'ok.csv' }, { name: 'tty.csv', type: '3' }]), { name: 'UnsafeEntryTypeError', entry: 'tty.csv', type: 'character device' });
+  });
+
+  it('rejects archives with more entries than maxEntries', async () => {
+    const entries = [{ name: 'a.csv' }, { name: 'b.csv' }, { name: 'c.csv' }];
+
+    await assertRejected('zip', zipOf(entries), { name: 'EntryCountLimitError', limit: 2, actual: 3 }, { maxEntries: 2 });
+    await assertRejected('tar.gz', tarGzOf(entries), { name: 'EntryCountLimitError', limit: 2, actual: 3 }, { maxEntries: 2 });
+  });
+});
+
+describe('FileExtractor formats', () => {
+  let dataDir;
+  let extractor;
+
+  before(async () => {
+    dataDir = await makeTempDir();
+    extractor = new FileExtractor(dataDir);
+  });
+
+  after(async () => {
+    await fs.remove(dataDir);
+  });
+
+  async function writeFile(name, content) {
+    const filePath = path.join(dataDir, name);
+    await fs.writeFile(filePath, content);
+    return filePath;
+  }
+
+  function zipOf(files) {
+    const zip = new AdmZip();
+    for (const [name, content] of Object.entries(files)) zip.addFile(name, Buffer.from(content));
+    return zip.toBuffer();
+  }
+
+  /**
+   * Extraction run writing to a fresh directory
+   */
+  async function newRun(name, options = {}) {
+    const outputDir = path.join(dataDir, name);
+    await fs.ensureDir(outputDir);
+    return { expectedFiles: [], outputDir, guard: new ArchiveGuard(), ...options };
+  }
+
+  describe('detectFormat', () => {
+    it('detects archives from their magic bytes whatever their name', async () => {
+      const files = {
+        zip: zipOf({ 'ranks.csv': 'id\n' }),
+        rar: Buffer.concat([Buffer.from('Rar!\x1a\x07\x01\x00', 'latin1'), Buffer.alloc(16)]),
+        '7z': Buffer.concat([Buffer.from([0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c]), Buffer.alloc(16)]),
+        'tar.gz': tarGzOf([{ name: 'ranks.csv' }]),
+        gz: zlib.gzipSync('id,name\n1,Catan\n')
+      };
+
+      for (const [format, content] of Object.entries(files)) {
+        const filePath = await writeFile(`download-${format.replace('.', '-')}`, content);
+        assert.equal(await extractor.detectFormat(filePath, 'application/octet-stream', 'https://example.com/download'), format);
+      }
+    });
+
+    it('treats text as plain CSV and rejects HTML pages and other binary files', async () => {
+      const csvPath = await writeFile('text-download', 'id,name\n1,Catan\n');
+      assert.equal(await extractor.detectFormat(csvPath, 'text/csv', 'https://example.com/ranks.csv'), 'csv');
+
+      const htmlPath = await writeFile('login-page', '<!DOCTYPE html><html></html>');
+      await assert.rejects(extractor.detectFormat(htmlPath, 'text/html; charset=utf-8', 'https://example.com/ranks.zip'), /Expected a data file but received an HTML page/);
+
+      const binaryPath = await writeFile('binary-download', Buffer.from([0x00, 0x01, 0x02, 0x03]));
+      await assert.rejects(extractor.detectFormat(binaryPath, null, 'https://example.com/ranks.bin'), /Unsupported file format \(content-type: unknown, extension: \.bin\)/);
+    });
+  });
+
+  describe('extractFile', () => {
+    it('decompresses a gzipped CSV under the name of the download without .gz', async () => {
+      const gzipPath = await writeFile('ranks.csv.gz', zlib.gzipSync('id,name\n1,Catan\n'));
+
+      const csvPaths = await extractor.extractFile(gzipPath, 'gz', await newRun('gz', { sourceName: 'ranks.csv.gz' }));
+
+      assert.deepEqual(csvPaths.map(csvPath => path.basename(csvPath)), ['ranks.csv']);
+      assert.equal(await fs.readFile(csvPaths[0], 'utf8'), 'id,name\n1,Catan\n');
+    });
+
+    it('extracts the expected files from a tar.gz', async () => {
+      const archivePath = await writeFile('dump.tar.gz', tarGzOf([
+        { name: 'dump/readme.txt', content: 'notes' },
+        { name: 'dump/ranks.csv', content: 'id,rank\n1,5\n' },
+        { name: 'dump/games.csv', content: 'id,name\n1,Catan\n' }
+      ]));
+
+      const csvPaths = await extractor.extractFile(archivePath, 'tar.gz', await newRun('tar', { expectedFiles: ['games.csv', 'ranks.csv'] }));
+
+      assert.deepEqual(csvPaths.map(csvPath => path.basename(csvPath)), ['games.csv', 'ranks.csv']);
+      assert.equal(await fs.readFile(csvPaths[0], 'utf8'), 'id,name\n1,Catan\n');
+      assert.equal(await fs.readFile(csvPaths[1], 'utf8'), 'id,rank\n1,5\n');
+    });
+
+    it('copies a plain CSV and adds the extension when the download has none', async () => {
+      const csvPath = await writeFile('plain-download', 'id,name\n1,Catan\n');
+
+      const [named] = await extractor.extractFile(csvPath, 'csv', await newRun('csv-named', { sourceName: 'ranks.csv' }));
+      const [unnamed] = await extractor.extractFile(csvPath, 'csv', await newRun('csv-unnamed', { sourceName: 'export' }));
+
+      assert.equal(path.basename(named), 'ranks.csv');
+      assert.equal(path.basename(unnamed), 'export.csv');
+      assert.equal(await fs.readFile(unnamed, 'utf8'), 'id,name\n1,Catan\n');
+    });
+  });
+
+  describe('CSV selection', () => {
+    const FILES = { 'readme.txt': 'notes', 'dump/games.csv': 'id,name\n', 'dump/ranks.csv': 'id,rank\n' };
+
+    it('extracts the first CSV without expected files', async () => {
+      const zipPath = await writeFile('first.zip', zipOf(FILES));
+
+      const csvPaths = await extractor.extractFile(zipPath, 'zip', await newRun('first'));
+
+      assert.deepEqual(csvPaths.map(csvPath => path.basename(csvPath)), ['games.csv']);
+    });
+
+    it('extracts the expected files in their order, matching names case-insensitively', async () => {
+      const zipPath = await writeFile('expected.zip', zipOf(FILES));
+
+      const csvPaths = await extractor.extractFile(zipPath, 'zip', await newRun('expected', { expectedFiles: ['RANKS.csv', 'games.csv'] }));
+
+      assert.deepEqual(csvPaths.map(csvPath => path.basename(csvPath)), ['ranks.csv', 'games.csv']);
+    });
+
+    it('reports missing expected files and archives without a CSV', async () => {
+      const zipPath = await writeFile('missing.zip', zipOf(FILES));
+      const emptyPath = await writeFile('empty.zip', zipOf({ 'readme.txt': 'notes' }));
+      const emptyTarPath = await writeFile('empty.tar.gz', tarGzOf([{ name: 'readme.txt' }]));
+
+      await assert.rejects(
+        extractor.extractFile(zipPath, 'zip', await newRun('missing', { expectedFiles: ['games.csv', 'prices.csv'] })),
+        /Expected files not found in the ZIP archive: prices\.csv/
+      );
+      await assert.rejects(extractor.extractFile(emptyPath, 'zip', await newRun('empty')), /No \.csv file found in the ZIP archive/);
+      await assert.rejects(extractor.extractFile(emptyTarPath, 'tar.gz', await newRun('empty-tar')), /No \.csv file found in the TAR archive/);
+    });
+
+    it('orders extracted paths like the selected entries', () => {
+      const ordered = extractor.orderLike(['/out/ranks.csv', '/out/games.csv', '/out/prices.csv'], ['dump/prices.csv', 'games.csv', 'dump/ranks.csv']);
+
+      assert.deepEqual(ordered, ['/out/prices.csv', '/out/games.csv', '/out/ranks.csv']);
+    });
+  });
+});
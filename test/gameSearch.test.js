@@ -0,0 +1,79 @@
+require('./helpers');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const GameSearch = require('../src/search/gameSearch');
+
+describe('GameSearch', () => {
+  describe('normalize', () => {
+    it('lowercases, strips diacritics and punctuation and spells out "&"', () => {
+      assert.equal(GameSearch.normalize('CATAN: Cities & Knights'), 'catan cities and knights');
+      assert.equal(GameSearch.normalize('Ticket to Ride®  – Europe'), 'ticket to ride europe');
+      assert.equal(GameSearch.normalize('Café International'), 'cafe international');
+      assert.equal(GameSearch.normalize('Łódź'), 'łodz');
+    });
+
+    it('drops apostrophes inside words', () => {
+      assert.equal(GameSearch.normalize("Sid Meier's Civilization"), 'sid meiers civilization');
+      assert.equal(GameSearch.normalize('Tzolk’in'), 'tzolkin');
+    });
+
+    it('keeps digits and handles empty input', () => {
+      assert.equal(GameSearch.normalize('7 Wonders (2nd Edition)'), '7 wonders 2nd edition');
+      assert.equal(GameSearch.normalize(null), '');
+      assert.equal(GameSearch.normalize('  ...  '), '');
+    });
+  });
+
+  describe('tokenize and trigrams', () => {
+    it('splits normalized text into tokens', () => {
+      assert.deepEqual(GameSearch.tokenize('catan cities and knights'), ['catan', 'cities', 'and', 'knights']);
+      assert.deepEqual(GameSearch.tokenize(''), []);
+    });
+
+    it('pads each token when building trigrams', () => {
+      assert.deepEqual(GameSearch.trigrams('go'), ['  g', ' go', 'go ']);
+      assert.deepEqual(GameSearch.trigrams('go go'), ['  g', ' go', 'go ']);
+    });
+  });
+
+  describe('editDistance', () => {
+    it('counts insertions, deletions and substitutions', () => {
+      assert.equal(GameSearch.editDistance('catan', 'catan'), 0);
+      assert.equal(GameSearch.editDistance('wingspn', 'wingspan'), 1);
+      assert.equal(GameSearch.editDistance('gloomhaven', 'glomhavn'), 2);
+      assert.equal(GameSearch.editDistance('azul', 'azol'), 1);
+      assert.equal(GameSearch.editDistance('', 'ab'), 2);
+    });
+
+    it('returns bound + 1 once the distance exceeds the bound', () => {
+      assert.equal(GameSearch.editDistance('carcassonne', 'cascade'), 3);
+      assert.equal(GameSearch.editDistance('abcdef', 'uvwxyz', 2), 3);
+      assert.equal(GameSearch.editDistance('abcdef', 'uvwxyz', 6), 6);
+      assert.equal(GameSearch.editDistance('a', 'abcd', 1), 2);
+    });
+  });
+
+  describe('scoreMatch', () => {
+    const search = new GameSearch(null, {});
+    const score = (query, name) => {
+      const normalized = GameSearch.normalize(query);
+      return search.scoreMatch(normalized, GameSearch.tokenize(normalized), GameSearch.trigrams(normalized), { name });
+    };
+
+    it('ranks exact, prefix, token and typo matches in that order', () => {
+      const exact = score('Wingspan', 'Wingspan');
+      const prefix = score('Wings', 'Wingspan');
+      const token = score('catan', 'Catan: Cities & Knights');
+      const typo = score('Wingspn', 'Wingspan');
+
+      assert.equal(exact, 100);
+      assert.ok(prefix > token, `${prefix} > ${token}`);
+      assert.ok(token > typo, `${token} > ${typo}`);
+      assert.ok(typo > 0);
+    });
+
+    it('does not match unrelated names', () => {
+      assert.equal(score('Gloomhaven', 'Azul'), 0);
+    });
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * Shared test helpers
+ * Required first by every test file: keeps the logger quiet and off the log file.
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.LOG_FILE = '';
+
+const fs = require('fs-extra');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Create an empty directory under the OS temp directory
+ * @returns {Promise<string>} - Directory path, removed by the caller
+ */
+async function makeTempDir() {
+  return await fs.mkdtemp(path.join(os.tmpdir(), 'bg-worker-test-'));
+}
+
+/**
+ * Start an HTTP server on a free local port
+ * @param {Function} handler - Request handler (req, res)
+ * @returns {Promise<Object>} - { server, url, close() }
+ */
+function listen(handler) {
+  const server = http.createServer(handler);
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        server,
+        url: `http://127.0.0.1:${port}`,
+        close: () => new Promise(done => {
+          server.closeAllConnections();
+          server.close(done);
+        })
+      });
+    });
+  });
+}
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+module.exports = {
+  makeTempDir,
+  listen,
+  readFixture
+};
@@ -0,0 +1,78 @@
+require('./helpers');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const JobRunner = require('../src/jobs/jobRunner');
+
+/**
+ * Runner over an in-memory job_logs with a lock that is always free
+ */
+function createRunner() {
+  const logs = [];
+  const database = {
+    getCollection: () => ({}),
+    getJobStatus: async () => null,
+    updateJobStatus: async () => {},
+    logJobExecution: async (entry) => logs.push(entry)
+  };
+  const runner = new JobRunner(database, { notifier: { jobSucceeded() {}, jobFailed() {} } });
+  runner.lock.acquire = async () => ({ acquired: true });
+  runner.lock.release = async () => {};
+  runner.lock.startHeartbeat = () => () => {};
+  return { runner, logs };
+}
+
+function failingJob(delayMs = 0) {
+  const job = {
+    name: 'flaky',
+    schedule: '0 3 * * *',
+    retry: { maxAttempts: 3, backoffMs: 10 },
+    runs: 0,
+    run: async () => {
+      job.runs++;
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+      throw new Error('source unavailable');
+    }
+  };
+  return job;
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('JobRunner retries', () => {
+  it('retries a failed run after the backoff', async (t) => {
+    const { runner, logs } = createRunner();
+    t.after(() => runner.stop());
+    const job = runner.register(failingJob());
+
+    await assert.rejects(runner.execute('flaky'), /source unavailable/);
+    assert.ok(runner.getStatus()[0].nextRetryAt instanceof Date);
+
+    await wait(100);
+    assert.equal(job.runs, 3);
+    assert.deepEqual(logs.map(entry => [entry.trigger, entry.attempt]), [['manual', 1], ['retry', 2], ['retry', 3]]);
+  });
+
+  it('does not schedule a retry for a run that fails after stop()', async () => {
+    const { runner } = createRunner();
+    const job = runner.register(failingJob(30));
+
+    const run = assert.rejects(runner.execute('flaky'), /source unavailable/);
+    runner.stop();
+    await run;
+
+    assert.equal(runner.getStatus()[0].nextRetryAt, null);
+    await wait(50);
+    assert.equal(job.runs, 1);
+  });
+
+  it('drops a pending retry when stopped', async () => {
+    const { runner } = createRunner();
+    const job = runner.register(failingJob());
+
+    await assert.rejects(runner.execute('flaky'));
+    runner.stop();
+
+    await wait(50);
+    assert.equal(job.runs, 1);
+  });
+});
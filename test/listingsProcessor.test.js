@@ -0,0 +1,190 @@
+const { makeTempDir } = require('./helpers');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const path = require('path');
+const ListingsProcessor = require('../src/processors/listingsProcessor');
+const listingsSchema = require('../config/listings-schema');
+
+const CONFIG = {
+  source: { name: 'bgg-market' },
+  processing: { collections: { games: 'board_games', listings: 'listings' }, matching: { minScore: 0.8 } }
+};
+
+const GAMES = [{ id: 13, name: 'CATAN' }, { id: 822, name: 'Carcassonne' }];
+
+/**
+ * Database whose board_games find() returns the GAMES with the requested ids
+ */
+function fakeDatabase() {
+  return {
+    getCollection: () => ({
+      find: (query) => ({ toArray: async () => GAMES.filter(game => query.id.$in.includes(game.id)) })
+    })
+  };
+}
+
+function transformOf(column) {
+  return listingsSchema.find(definition => definition.column === column).transform;
+}
+
+describe('ListingsProcessor', () => {
+  describe('dedupeKey', () => {
+    const offer = { source: 'bgg-market', listing_id: 'A-1', seller: 'Meeple', condition: 'new', price: 30, currency: 'EUR' };
+
+    it('is the same for an offer observed again', () => {
+      const again = { ...offer, observed_at: new Date(), url: 'https://example.com/A-1' };
+
+      assert.match(ListingsProcessor.dedupeKey(offer), /^[0-9a-f]{40}$/);
+      assert.equal(ListingsProcessor.dedupeKey(again), ListingsProcessor.dedupeKey(offer));
+    });
+
+    it('changes with the price, the currency and the source', () => {
+      const key = ListingsProcessor.dedupeKey(offer);
+
+      assert.notEqual(ListingsProcessor.dedupeKey({ ...offer, price: 28 }), key);
+      assert.notEqual(ListingsProcessor.dedupeKey({ ...offer, currency: 'USD' }), key);
+      assert.notEqual(ListingsProcessor.dedupeKey({ ...offer, source: 'other-market' }), key);
+    });
+
+    it('identifies offers without a listing_id by seller, game, condition and location', () => {
+      const unlisted = { ...offer, listing_id: null, title: 'Catan', location: 'Berlin' };
+      const key = ListingsProcessor.dedupeKey(unlisted);
+
+      assert.equal(ListingsProcessor.dedupeKey({ ...unlisted, seller: 'MEEPLE', title: 'CATAN!', location: 'berlin' }), key);
+      assert.notEqual(ListingsProcessor.dedupeKey({ ...unlisted, seller: 'Other' }), key);
+      assert.notEqual(ListingsProcessor.dedupeKey({ ...unlisted, condition: 'good' }), key);
+      assert.notEqual(ListingsProcessor.dedupeKey({ ...unlisted, location: 'Hamburg' }), key);
+      assert.notEqual(ListingsProcessor.dedupeKey({ ...unlisted, listed_game_id: 13 }), key);
+    });
+  });
+
+  describe('reading files', () => {
+    let dataDir;
+    const processor = new ListingsProcessor(fakeDatabase(), CONFIG);
+
+    before(async () => {
+      dataDir = await makeTempDir();
+    });
+
+    after(async () => {
+      await fs.remove(dataDir);
+    });
+
+    async function writeFile(name, content) {
+      const filePath = path.join(dataDir, name);
+      await fs.writeFile(filePath, content);
+      return filePath;
+    }
+
+    async function readAll(filePath, format) {
+      const report = processor.schema.createReport();
+      const rows = [];
+      for await (const row of processor.readRows(filePath, format, report)) {
+        rows.push(row);
+      }
+      return { rows, report };
+    }
+
+    it('detects JSON arrays, JSON Lines and CSV', async () => {
+      const array = await writeFile('array.json', '  \n[{"seller": "Meeple"}]');
+      const lines = await writeFile('lines.json', '{"seller": "Meeple"}\n{"seller": "Other"}\n');
+      const ndjson = await writeFile('export.ndjson', '[]');
+      const csv = await writeFile('export.csv', 'seller\nMeeple\n');
+
+      assert.equal(await ListingsProcessor.detectFormat(array), 'json');
+      assert.equal(await ListingsProcessor.detectFormat(lines), 'jsonl');
+      assert.equal(await ListingsProcessor.detectFormat(ndjson), 'jsonl');
+      assert.equal(await ListingsProcessor.detectFormat(csv), 'csv');
+    });
+
+    it('numbers CSV rows by their line', async () => {
+      const filePath = await writeFile('lines.csv', 'seller,price\nMeeple,30\nOther,12.5\n');
+
+      const { rows, report } = await readAll(filePath, 'csv');
+
+      assert.deepEqual(rows, [{ row: { seller: 'Meeple', price: '30' }, line: 2 }, { row: { seller: 'Other', price: '12.5' }, line: 3 }]);
+      assert.deepEqual(report.unknownColumns, []);
+      assert.ok(report.missingColumns.includes('currency'));
+    });
+
+    it('numbers JSON array rows by their index and checks their keys', async () => {
+      const filePath = await writeFile('rows.json', JSON.stringify([{ seller: 'Meeple' }, null, { seller: 'Other', shipping: 5 }]));
+
+      const { rows, report } = await readAll(filePath, 'json');
+
+      assert.deepEqual(rows, [{ row: { seller: 'Meeple' }, line: 1 }, { row: {}, line: 2 }, { row: { seller: 'Other', shipping: 5 }, line: 3 }]);
+      assert.deepEqual(report.unknownColumns, ['shipping']);
+    });
+
+    it('skips blank JSON Lines and rejects invalid ones with their line', async () => {
+      const filePath = await writeFile('rows.jsonl', '{"seller": "Meeple"}\n\n{"seller": \n{"seller": "Other"}\n');
+
+      const { rows, report } = await readAll(filePath, 'jsonl');
+
+      assert.deepEqual(rows, [{ row: { seller: 'Meeple' }, line: 1 }, { row: { seller: 'Other' }, line: 4 }]);
+      assert.equal(report.rowsTotal, 1);
+      assert.equal(report.rowsRejected, 1);
+      assert.equal(report.rejectedRows[0].line, 3);
+      assert.match(report.rejectedRows[0].reason, /^invalid JSON: /);
+    });
+
+    it('rejects a JSON file that is not an array', async () => {
+      const filePath = await writeFile('object.json', '{"listings": []}');
+
+      await assert.rejects(readAll(filePath, 'json'), /Expected a JSON array of listings in object\.json/);
+    });
+  });
+
+  describe('schema transforms', () => {
+    it('maps marketplace conditions to grades', () => {
+      const normalizeCondition = transformOf('condition');
+
+      assert.equal(normalizeCondition('New in Shrink'), 'new');
+      assert.equal(normalizeCondition('like-new'), 'like_new');
+      assert.equal(normalizeCondition('VG'), 'very_good');
+      assert.equal(normalizeCondition(' Played '), 'good');
+      assert.equal(normalizeCondition('pristine'), 'unknown');
+    });
+
+    it('accepts ISO 4217 currency codes only', () => {
+      const normalizeCurrency = transformOf('currency');
+
+      assert.equal(normalizeCurrency('eur'), 'EUR');
+      assert.equal(normalizeCurrency('USD'), 'USD');
+      assert.equal(normalizeCurrency('€'), undefined);
+      assert.equal(normalizeCurrency('EURO'), undefined);
+    });
+  });
+
+  describe('linkGames', () => {
+    it('links by game id first and falls back to the title once per title', async () => {
+      const processor = new ListingsProcessor(fakeDatabase(), CONFIG);
+      const searches = [];
+      processor.gameSearch.match = async (title, options) => {
+        searches.push([title, options]);
+        return title === 'Carcassonne' ? { game: GAMES[1], matchScore: 0.93 } : null;
+      };
+
+      const links = await processor.linkGames([
+        { listed_game_id: 13, title: 'Catan 5th edition' },
+        { listed_game_id: 99999, title: 'Carcassonne', year_published: 2000 },
+        { title: 'Carcassonne', year_published: 2000 },
+        { title: 'Unknown Game' },
+        { listed_game_id: 99998 }
+      ]);
+
+      assert.deepEqual(links, [
+        { game_id: 13, game_name: 'CATAN', link_method: 'id', match_score: null },
+        { game_id: 822, game_name: 'Carcassonne', link_method: 'name', match_score: 0.93 },
+        { game_id: 822, game_name: 'Carcassonne', link_method: 'name', match_score: 0.93 },
+        { game_id: null, game_name: null, link_method: null, match_score: null },
+        { game_id: null, game_name: null, link_method: null, match_score: null }
+      ]);
+      assert.deepEqual(searches, [
+        ['Carcassonne', { year: 2000, minScore: 0.8 }],
+        ['Unknown Game', { year: undefined, minScore: 0.8 }]
+      ]);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+require('./helpers');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const PriceStats = require('../src/pricing/priceStats');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+const CONFIG = { processing: { collections: { listings: 'listings' } }, stats: { windowsDays: [30, 90] } };
+const CURRENCY = { baseCurrency: 'EUR', rates: { base: 'EUR', maxAgeDays: 7 }, collections: { rates: 'exchange_rates' } };
+
+function daysAgo(days) {
+  return new Date(NOW.getTime() - days * DAY_MS);
+}
+
+describe('PriceStats', () => {
+  describe('percentile', () => {
+    it('interpolates between neighbouring values', () => {
+      const sorted = [10, 20, 30, 40, 50];
+
+      assert.equal(PriceStats.percentile(sorted, 0), 10);
+      assert.equal(PriceStats.percentile(sorted, 50), 30);
+      assert.equal(PriceStats.percentile(sorted, 100), 50);
+      assert.equal(PriceStats.percentile(sorted, 10), 14);
+      assert.equal(PriceStats.percentile([10, 20], 50), 15);
+    });
+
+    it('returns the only value of a single observation', () => {
+      assert.equal(PriceStats.percentile([42], 10), 42);
+      assert.equal(PriceStats.percentile([42], 90), 42);
+    });
+  });
+
+  describe('trend', () => {
+    it('is the change of the fitted line from the first to the last observation in percent of the mean', () => {
+      // 40 -> 60 over the span, mean 50: +40%
+      const rising = [{ price: 40, time: 0 }, { price: 50, time: DAY_MS }, { price: 60, time: 2 * DAY_MS }];
+      assert.equal(PriceStats.trend(rising), 40);
+
+      const falling = rising.map(({ price, time }) => ({ price: 100 - price, time }));
+      assert.equal(PriceStats.trend(falling), -40);
+    });
+
+    it('is independent of the length of the window', () => {
+      const short = [{ price: 40, time: 0 }, { price: 60, time: DAY_MS }];
+      const long = [{ price: 40, time: 0 }, { price: 60, time: 100 * DAY_MS }];
+
+      assert.equal(PriceStats.trend(short), PriceStats.trend(long));
+    });
+
+    it('is null without two observation times or a zero mean price', () => {
+      assert.equal(PriceStats.trend([{ price: 40, time: 0 }]), null);
+      assert.equal(PriceStats.trend([{ price: 40, time: 0 }, { price: 60, time: 0 }]), null);
+      assert.equal(PriceStats.trend([{ price: 0, time: 0 }, { price: 0, time: DAY_MS }]), null);
+    });
+  });
+
+  describe('summarize', () => {
+    it('rounds prices to cents', () => {
+      const stats = PriceStats.summarize([{ price: 10.006, time: 0 }, { price: 20, time: DAY_MS }, { price: 33.333, time: 2 * DAY_MS }]);
+
+      assert.deepEqual(stats, { count: 3, min: 10.01, p10: 12, median: 20, p90: 30.67, max: 33.33, trend: 110.49 });
+    });
+  });
+
+  describe('buildStats', () => {
+    it('converts prices to the base currency and groups them by window and condition', () => {
+      const priceStats = new PriceStats(null, CONFIG, CURRENCY);
+      priceStats.exchangeRates.table = [
+        { date: daysAgo(60), rates: { USD: 1.25 } },
+        { date: daysAgo(10), rates: { USD: 1.1, GBP: 0.8 } }
+      ];
+
+      const document = priceStats.buildStats(13, [
+        { price: 30, currency: 'EUR', condition: 'new', last_observed_at: daysAgo(5) },
+        { price: 22, currency: 'USD', condition: 'used', last_observed_at: daysAgo(8) },
+        { price: 25, currency: 'USD', condition: 'new', last_observed_at: daysAgo(58) },
+        // No GBP rate within 7 days of this date
+        { price: 16, currency: 'GBP', condition: 'used', last_observed_at: daysAgo(50) },
+        { price: 10, currency: 'EUR', condition: 'used', last_observed_at: daysAgo(200) }
+      ], NOW);
+
+      assert.equal(document.game_id, 13);
+      assert.equal(document.currency, 'EUR');
+      assert.equal(document.listings, 4);
+      assert.equal(document.unconverted, 1);
+      assert.deepEqual(document.last_observed_at, daysAgo(5));
+      assert.deepEqual(Object.keys(document.windows), ['30d', '90d']);
+
+      const recent = document.windows['30d'];
+      assert.deepEqual(Object.keys(recent).sort(), ['all', 'new', 'used']);
+      assert.equal(recent.all.count, 2);
+      assert.equal(recent.used.min, 20);
+      assert.equal(recent.new.max, 30);
+
+      const quarter = document.windows['90d'];
+      assert.equal(quarter.all.count, 3);
+      assert.deepEqual([quarter.all.min, quarter.all.median, quarter.all.max], [20, 20, 30]);
+    });
+
+    it('returns null without a converted listing in any window', () => {
+      const priceStats = new PriceStats(null, CONFIG, CURRENCY);
+
+      assert.equal(priceStats.buildStats(13, [{ price: 10, currency: 'USD', condition: 'new', last_observed_at: daysAgo(5) }], NOW), null);
+      assert.equal(priceStats.buildStats(13, [{ price: 10, currency: 'EUR', condition: 'new', last_observed_at: daysAgo(120) }], NOW), null);
+    });
+  });
+});
@@ -0,0 +1,94 @@
+const { readFixture, listen } = require('./helpers');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const UrlFetcher = require('../src/utils/urlFetcher');
+
+const PAGE_URL = 'https://boardgamegeek.com/data_dumps/bg_ranks';
+
+// X-Amz-Date of a URL signed at the given time
+function amzDate(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+describe('UrlFetcher', () => {
+  describe('extractDownloadUrl', () => {
+    it('finds the signed archive link and skips unparseable links', () => {
+      const fetcher = new UrlFetcher({ pageUrl: PAGE_URL });
+      const url = fetcher.extractDownloadUrl(readFixture('bgg-dumps-page.html'));
+
+      assert.ok(url.startsWith('https://geek-export-stats.s3.amazonaws.com/boardgames_export/boardgames_ranks_2026-10-19.zip?'));
+      assert.equal(new URL(url).searchParams.get('X-Amz-Expires'), '600');
+    });
+
+    it('resolves relative links against the page URL', () => {
+      const fetcher = new UrlFetcher({ pageUrl: PAGE_URL });
+      const url = fetcher.extractDownloadUrl('<a href="/about">About</a><a href="dumps/ranks.csv.gz?v=2">Ranks</a>');
+
+      assert.equal(url, 'https://boardgamegeek.com/data_dumps/dumps/ranks.csv.gz?v=2');
+    });
+
+    it('returns null without an archive link', () => {
+      const fetcher = new UrlFetcher({ pageUrl: PAGE_URL });
+      assert.equal(fetcher.extractDownloadUrl('<p>Log in to download</p><a href="/login">Login</a>'), null);
+    });
+  });
+
+  describe('getExpiry', () => {
+    it('adds X-Amz-Expires to X-Amz-Date', () => {
+      const fetcher = new UrlFetcher({ pageUrl: PAGE_URL });
+      const url = fetcher.extractDownloadUrl(readFixture('bgg-dumps-page.html'));
+
+      assert.deepEqual(fetcher.getExpiry(url), new Date('2026-10-19T14:23:36Z'));
+    });
+
+    it('returns null for unsigned or malformed URLs', () => {
+      const fetcher = new UrlFetcher({ pageUrl: PAGE_URL });
+
+      assert.equal(fetcher.getExpiry('https://example.com/ranks.zip'), null);
+      assert.equal(fetcher.getExpiry('https://example.com/ranks.zip?X-Amz-Date=yesterday&X-Amz-Expires=600'), null);
+      assert.equal(fetcher.getExpiry('https://example.com/ranks.zip?X-Amz-Date=20261019T141336Z'), null);
+    });
+  });
+
+  describe('isExpired', () => {
+    it('treats links expiring within the refresh margin as expired', () => {
+      const fetcher = new UrlFetcher({ pageUrl: PAGE_URL, refreshMarginSeconds: 60 });
+      const signedAt = new Date(Date.now() - 550 * 1000);
+
+      assert.equal(fetcher.isExpired(`https://example.com/ranks.zip?X-Amz-Date=${amzDate(signedAt)}&X-Amz-Expires=600`), true);
+      assert.equal(fetcher.isExpired(`https://example.com/ranks.zip?X-Amz-Date=${amzDate(signedAt)}&X-Amz-Expires=3600`), false);
+      assert.equal(fetcher.isExpired('https://example.com/ranks.zip'), false);
+    });
+  });
+
+  describe('getValidDownloadUrl', () => {
+    it('resolves a fresh link from the page with the session cookie when the configured one expired', async (t) => {
+      const cookies = [];
+      const page = await listen((req, res) => {
+        cookies.push(req.headers.cookie);
+        res.setHeader('Content-Type', 'text/html');
+        res.end(`<a href="/files/ranks.zip?X-Amz-Date=${amzDate(new Date())}&amp;X-Amz-Expires=600">Download</a>`);
+      });
+      t.after(() => page.close());
+
+      const fetcher = new UrlFetcher({ pageUrl: `${page.url}/data_dumps/bg_ranks`, sessionCookie: 'SessionID=abc' });
+      const expired = 'https://example.com/ranks.zip?X-Amz-Date=20200101T000000Z&X-Amz-Expires=600';
+
+      const url = await fetcher.getValidDownloadUrl(expired);
+      assert.ok(url.startsWith(`${page.url}/files/ranks.zip?`));
+      assert.deepEqual(cookies, ['SessionID=abc']);
+
+      // The resolved link is cached until it expires
+      assert.equal(await fetcher.getValidDownloadUrl(expired), url);
+      assert.equal(cookies.length, 1);
+    });
+
+    it('fails with a hint when the page has no download link', async (t) => {
+      const page = await listen((req, res) => res.end('<a href="/login">Log in</a>'));
+      t.after(() => page.close());
+
+      const fetcher = new UrlFetcher({ pageUrl: page.url });
+      await assert.rejects(fetcher.getValidDownloadUrl(), /No download link found.*BGG_SESSION_COOKIE/);
+    });
+  });
+});
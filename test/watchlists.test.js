@@ -0,0 +1,141 @@
+require('./helpers');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Watchlists = require('../src/watchlists/watchlists');
+
+const FIELDS = ['rank', 'average', 'users_rated', 'is_expansion', 'year_published', 'name'];
+
+const CONFIG = { processing: { collections: {} } };
+const SCHEMA = { fields: FIELDS.map(field => ({ field })) };
+
+function watchlist(rules, extra = {}) {
+  return { _id: 'w1', name: 'deals', rules, ...extra };
+}
+
+/**
+ * Database returning fixed documents from find() per collection
+ */
+function fakeDatabase(collections) {
+  return {
+    getCollection: (name) => ({
+      find: () => ({ toArray: async () => collections[name] || [] })
+    })
+  };
+}
+
+describe('Watchlists', () => {
+  describe('validate', () => {
+    it('accepts a valid watchlist', () => {
+      const errors = Watchlists.validate(watchlist([
+        { id: 'top100', conditions: [{ field: 'rank', op: '<=', value: 100 }] },
+        { id: 'catan', game_ids: [13], change_types: ['updated'], conditions: [{ field: 'average', op: '>', value: 7.5 }, { field: 'is_expansion', op: '==', value: false }] }
+      ]), FIELDS);
+
+      assert.deepEqual(errors, []);
+    });
+
+    it('requires a name and at least one rule', () => {
+      assert.deepEqual(Watchlists.validate({ rules: [] }, FIELDS), ['a watchlist needs a name']);
+      assert.deepEqual(Watchlists.validate(watchlist([]), FIELDS), ['deals: needs at least one rule']);
+    });
+
+    it('reports every problem of the rules', () => {
+      const errors = Watchlists.validate(watchlist([
+        { conditions: [] },
+        { id: 'a', conditions: [{ field: 'rank', op: '<', value: 10 }] },
+        { id: 'a', game_ids: ['13'], change_types: ['deleted'], conditions: [{ field: 'price', op: '~', value: { $gt: 1 } }] },
+        { id: 'b', conditions: [] }
+      ]), FIELDS);
+
+      assert.deepEqual(errors, [
+        'deals rule 1: needs a string id',
+        'deals rule a: duplicate id',
+        'deals rule a: game_ids must be a list of game ids',
+        'deals rule a: change_types must be a list of new, updated',
+        'deals rule a: unknown field price',
+        'deals rule a: unknown operator ~ (expected < <= > >= == !=)',
+        'deals rule a: value of price must be a number, string, boolean or null',
+        'deals rule b: needs at least one condition'
+      ]);
+    });
+  });
+
+  describe('matches', () => {
+    it('never matches with an operator inherited from Object.prototype', () => {
+      for (const op of ['toString', 'constructor', '__proto__']) {
+        const rule = { id: 'all', conditions: [{ field: 'rank', op, value: 1 }] };
+
+        assert.deepEqual(Watchlists.validate(watchlist([rule]), FIELDS), [`deals rule all: unknown operator ${op} (expected < <= > >= == !=)`]);
+        assert.equal(Watchlists.matches(rule, { rank: 1 }), false);
+      }
+    });
+
+    it('requires every condition to hold', () => {
+      const rule = { conditions: [{ field: 'rank', op: '<=', value: 100 }, { field: 'is_expansion', op: '==', value: false }] };
+
+      assert.equal(Watchlists.matches(rule, { rank: 100, is_expansion: false }), true);
+      assert.equal(Watchlists.matches(rule, { rank: 101, is_expansion: false }), false);
+      assert.equal(Watchlists.matches(rule, { rank: 5, is_expansion: true }), false);
+    });
+
+    it('only matches missing values with == null and !=', () => {
+      const game = { name: 'Unranked' };
+
+      assert.equal(Watchlists.matches({ conditions: [{ field: 'rank', op: '<', value: 100 }] }, game), false);
+      assert.equal(Watchlists.matches({ conditions: [{ field: 'rank', op: '>', value: 100 }] }, game), false);
+      assert.equal(Watchlists.matches({ conditions: [{ field: 'rank', op: '==', value: null }] }, game), true);
+      assert.equal(Watchlists.matches({ conditions: [{ field: 'rank', op: '!=', value: 100 }] }, game), true);
+    });
+
+    it('reads dotted field paths', () => {
+      const rule = { conditions: [{ field: 'ranks.strategy', op: '<=', value: 10 }] };
+
+      assert.equal(Watchlists.matches(rule, { ranks: { strategy: 3 } }), true);
+      assert.equal(Watchlists.matches(rule, { ranks: null }), false);
+    });
+  });
+
+  describe('evaluate', () => {
+    it('opens alerts once per rule and game and resolves them when the rule stops matching', async () => {
+      const watchlists = new Watchlists(fakeDatabase({
+        watchlists: [watchlist([
+          { id: 'top10', conditions: [{ field: 'rank', op: '<=', value: 10 }] },
+          { id: 'new-only', change_types: ['new'], conditions: [{ field: 'rank', op: '<=', value: 10 }] },
+          { id: 'off', enabled: false, conditions: [{ field: 'rank', op: '<=', value: 10 }] }
+        ])],
+        watchlist_alerts: [{ dedupe_key: 'w1:top10:2' }]
+      }), CONFIG, SCHEMA);
+      await watchlists.prepare();
+
+      const before = new Map([[1, { id: 1, rank: 12 }], [2, { id: 2, rank: 4 }]]);
+      watchlists.evaluate('updated', [{ id: 1, name: 'Climber', rank: 9 }, { id: 2, name: 'Faller', rank: 15 }], before);
+
+      assert.deepEqual(watchlists.triggered.map(({ key, values }) => ({ key, values })), [
+        { key: 'w1:top10:1', values: { rank: { before: 12, after: 9 } } }
+      ]);
+      assert.deepEqual(watchlists.resolved, [
+        { key: 'w1:top10:2', values: { rank: { before: 4, after: 15 } } }
+      ]);
+
+      // Still matching in the next chunk: the alert is already open
+      watchlists.evaluate('updated', [{ id: 1, name: 'Climber', rank: 8 }]);
+      assert.equal(watchlists.triggered.length, 1);
+    });
+
+    it('only checks the games and change types of a rule', async () => {
+      const watchlists = new Watchlists(fakeDatabase({
+        watchlists: [watchlist([
+          { id: 'catan', game_ids: [13], change_types: ['new'], conditions: [{ field: 'average', op: '>=', value: 7 }] }
+        ])]
+      }), CONFIG, SCHEMA);
+      await watchlists.prepare();
+
+      watchlists.evaluate('updated', [{ id: 13, name: 'Catan', average: 7.1 }]);
+      watchlists.evaluate('new', [{ id: 14, name: 'Other', average: 8 }, { id: 13, name: 'Catan', average: 7.1 }]);
+
+      assert.deepEqual(watchlists.triggered.map(({ key, changeType }) => ({ key, changeType })), [
+        { key: 'w1:catan:13', changeType: 'new' }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,134 @@
+const { listen } = require('./helpers');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const WebhookSink = require('../src/notifications/webhookSink');
+
+const SECRET = 'test-secret';
+
+const EVENT = {
+  id: '6f1c2d9e-1111-4222-8333-944445555666',
+  type: 'job_failed',
+  time: '2026-10-19T14:00:00.000Z',
+  job: 'bgg_data_fetch',
+  runId: 'run-1',
+  trigger: 'schedule',
+  attempt: 1,
+  data: { error: 'Download failed', maxAttempts: 3 }
+};
+
+/**
+ * Receiver answering each delivery with the next status of `statuses` (then 200)
+ */
+function receive(statuses = []) {
+  const deliveries = [];
+  return listen((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      deliveries.push({ headers: req.headers, body });
+      res.writeHead(statuses.shift() || 200);
+      res.end();
+    });
+  }).then(server => ({ ...server, deliveries }));
+}
+
+function createSink(url, options = {}) {
+  return new WebhookSink({ url, secret: SECRET, retries: 3, backoffMs: 1, maxBackoffMs: 5, ...options });
+}
+
+describe('WebhookSink', () => {
+  it('posts the event with a signature the receiver can verify', async (t) => {
+    const receiver = await receive();
+    t.after(() => receiver.close());
+
+    const result = await createSink(receiver.url).send(EVENT);
+
+    assert.deepEqual(result, { status: 200, attempts: 1 });
+    const [{ headers, body }] = receiver.deliveries;
+    assert.deepEqual(JSON.parse(body), EVENT);
+    assert.equal(headers['x-bgworker-event'], 'job_failed');
+    assert.equal(headers['x-bgworker-delivery'], EVENT.id);
+    assert.equal(headers['x-bgworker-signature'], WebhookSink.sign(SECRET, headers['x-bgworker-timestamp'], body));
+    assert.equal(WebhookSink.verify(SECRET, headers, body), true);
+  });
+
+  it('signs "<timestamp>.<body>" with HMAC-SHA256', () => {
+    const expected = crypto.createHmac('sha256', 'secret').update('1700000000.{"a":1}').digest('hex');
+
+    assert.equal(WebhookSink.sign('secret', 1700000000, '{"a":1}'), `sha256=${expected}`);
+    assert.equal(WebhookSink.sign('secret', '1700000000', '{"a":1}'), `sha256=${expected}`);
+  });
+
+  it('rejects tampered bodies, wrong secrets and old timestamps', async (t) => {
+    const receiver = await receive();
+    t.after(() => receiver.close());
+
+    await createSink(receiver.url).send(EVENT);
+    const [{ headers, body }] = receiver.deliveries;
+
+    assert.equal(WebhookSink.verify(SECRET, headers, body.replace('Download failed', 'All good')), false);
+    assert.equal(WebhookSink.verify('other-secret', headers, body), false);
+    assert.equal(WebhookSink.verify(SECRET, { ...headers, 'x-bgworker-signature': undefined }, body), false);
+
+    const timestamp = Math.floor(Date.now() / 1000) - 600;
+    const old = { 'x-bgworker-timestamp': String(timestamp), 'x-bgworker-signature': WebhookSink.sign(SECRET, timestamp, body) };
+    assert.equal(WebhookSink.verify(SECRET, old, body), false);
+    assert.equal(WebhookSink.verify(SECRET, old, body, 900), true);
+  });
+
+  it('does not sign without a secret', async (t) => {
+    const receiver = await receive();
+    t.after(() => receiver.close());
+
+    await createSink(receiver.url, { secret: null }).send(EVENT);
+    assert.equal(receiver.deliveries[0].headers['x-bgworker-signature'], undefined);
+  });
+
+  it('retries 5xx and 429 responses with the same delivery id', async (t) => {
+    const receiver = await receive([503, 429]);
+    t.after(() => receiver.close());
+
+    const result = await createSink(receiver.url).send(EVENT);
+
+    assert.deepEqual(result, { status: 200, attempts: 3 });
+    assert.deepEqual(receiver.deliveries.map(({ headers }) => headers['x-bgworker-delivery']), [EVENT.id, EVENT.id, EVENT.id]);
+    for (const { headers, body } of receiver.deliveries) {
+      assert.equal(WebhookSink.verify(SECRET, headers, body), true);
+    }
+  });
+
+  it('gives up after the configured retries', async (t) => {
+    const receiver = await receive([500, 500, 500]);
+    t.after(() => receiver.close());
+
+    await assert.rejects(createSink(receiver.url, { retries: 2 }).send(EVENT), { name: 'WebhookError', status: 500 });
+    assert.equal(receiver.deliveries.length, 3);
+  });
+
+  it('does not retry other client errors', async (t) => {
+    const receiver = await receive([400]);
+    t.after(() => receiver.close());
+
+    await assert.rejects(createSink(receiver.url).send(EVENT), { name: 'WebhookError', status: 400, retryable: false });
+    assert.equal(receiver.deliveries.length, 1);
+  });
+
+  it('retries when the receiver is unreachable', async () => {
+    const receiver = await receive();
+    const { url } = receiver;
+    await receiver.close();
+
+    await assert.rejects(createSink(url, { retries: 1 }).send(EVENT), { name: 'WebhookError', retryable: true });
+  });
+
+  it('posts Slack messages in the slack format', async (t) => {
+    const receiver = await receive();
+    t.after(() => receiver.close());
+
+    await createSink(receiver.url, { format: 'slack' }).send(EVENT);
+    const payload = JSON.parse(receiver.deliveries[0].body);
+    assert.match(payload.text, /Job bgg_data_fetch failed \(attempt 1\/3\): Download failed/);
+    assert.ok(Array.isArray(payload.blocks));
+  });
+});